@@ -0,0 +1,268 @@
+// supabase-auth-module/client/AuthCallback.jsx
+import React, { useState, useEffect } from 'react';
+import { createClient } from '@supabase/supabase-js';
+import { sendSessionToServer, takeStartPage, takeReturnUrl } from './authApi';
+
+/**
+ * Supabase Auth Callback Component
+ * Render it at `${siteUrl}/auth/callback`: completes magic link, OAuth, signup confirmation
+ * and password recovery links, then posts the session to /api/auth/supabase-callback
+ */
+const AuthCallback = ({
+  supabaseUrl,
+  supabaseAnonKey,
+  redirectUrl = '/thank-you',
+  signInUrl = '/login',
+  onSuccess = () => {},
+  onError = () => {},
+  className = ''
+}) => {
+  const [step, setStep] = useState('loading'); // 'loading', 'update-password' or 'error'
+  const [message, setMessage] = useState('Completing sign-in...');
+  const [messageType, setMessageType] = useState('');
+  const [password, setPassword] = useState('');
+  const [passwordConfirm, setPasswordConfirm] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  // The URL is parsed below; letting supabase-js consume it too would redeem the code twice
+  const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+    auth: { detectSessionInUrl: false }
+  });
+
+  useEffect(() => {
+    handleCallback();
+  }, []);
+
+  const fail = (error) => {
+    console.error('Auth callback error:', error);
+    setStep('error');
+    setMessage(error.message || 'Sign-in failed');
+    setMessageType('error');
+    onError(error);
+  };
+
+  // Parameters arrive in the query string (PKCE, token_hash links) or the hash (implicit flow)
+  const readSessionFromUrl = async () => {
+    const url = new URL(window.location.href);
+    const hash = new URLSearchParams(url.hash.replace(/^#/, ''));
+    const param = (name) => url.searchParams.get(name) || hash.get(name);
+
+    const errorDescription = param('error_description') || param('error');
+    if (errorDescription) {
+      throw new Error(errorDescription);
+    }
+
+    const isRecovery = param('type') === 'recovery' || param('flow') === 'recovery';
+    let result;
+
+    if (param('code')) {
+      result = await supabase.auth.exchangeCodeForSession(param('code'));
+    } else if (param('token_hash') && param('type')) {
+      result = await supabase.auth.verifyOtp({ token_hash: param('token_hash'), type: param('type') });
+    } else if (hash.get('access_token')) {
+      result = await supabase.auth.setSession({
+        access_token: hash.get('access_token'),
+        refresh_token: hash.get('refresh_token')
+      });
+    } else {
+      result = await supabase.auth.getSession();
+    }
+
+    // Tokens must not stay in the address bar or browser history
+    window.history.replaceState(null, '', url.pathname);
+
+    if (result.error) {
+      throw result.error;
+    }
+    if (!result.data.session) {
+      throw new Error('This link is invalid or has expired');
+    }
+
+    return { session: result.data.session, isRecovery };
+  };
+
+  const finishSignIn = async (session) => {
+    // Users with MFA step up in AuthForm, which resumes the TOTP challenge for this session
+    const { data: aal, error: aalError } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+    if (aalError) throw aalError;
+    if (aal.currentLevel !== 'aal2' && aal.nextLevel === 'aal2') {
+      window.location.href = signInUrl;
+      return;
+    }
+
+    const callbackData = await sendSessionToServer(session, {
+      registrationPageUrl: takeStartPage(),
+      returnUrl: takeReturnUrl()
+    });
+
+    setMessage('Successfully signed in!');
+    setMessageType('success');
+    onSuccess(callbackData);
+
+    window.location.href = callbackData.redirect_url || redirectUrl;
+  };
+
+  const handleCallback = async () => {
+    try {
+      const { session, isRecovery } = await readSessionFromUrl();
+
+      if (isRecovery) {
+        setStep('update-password');
+        setMessage('Choose a new password');
+        setMessageType('success');
+        return;
+      }
+
+      await finishSignIn(session);
+    } catch (error) {
+      fail(error);
+    }
+  };
+
+  const handlePasswordUpdate = async (e) => {
+    e.preventDefault();
+
+    if (password !== passwordConfirm) {
+      setMessage('Passwords do not match');
+      setMessageType('error');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const { error } = await supabase.auth.updateUser({ password });
+      if (error) throw error;
+
+      const { data: { session } } = await supabase.auth.getSession();
+      setMessage('Password updated');
+      setMessageType('success');
+      await finishSignIn(session);
+    } catch (error) {
+      setMessage(error.message || 'Failed to update password');
+      setMessageType('error');
+      onError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className={`supabase-auth-form ${className}`}>
+      <style jsx>{`
+        .supabase-auth-form {
+          max-width: 400px;
+          margin: 0 auto;
+          padding: 20px;
+          border: 1px solid #e0e0e0;
+          border-radius: 8px;
+          background: white;
+        }
+        .form-group {
+          margin-bottom: 15px;
+        }
+        .form-group label {
+          display: block;
+          margin-bottom: 5px;
+          font-weight: 600;
+        }
+        .form-group input {
+          width: 100%;
+          padding: 10px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 14px;
+        }
+        .btn {
+          width: 100%;
+          padding: 12px;
+          border: none;
+          border-radius: 4px;
+          font-size: 14px;
+          cursor: pointer;
+          margin-bottom: 10px;
+        }
+        .btn-primary {
+          background: #007bff;
+          color: white;
+        }
+        a.btn {
+          display: block;
+          box-sizing: border-box;
+          text-align: center;
+          text-decoration: none;
+        }
+        .btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .message {
+          padding: 10px;
+          border-radius: 4px;
+          margin-bottom: 15px;
+        }
+        .message.success {
+          background: #d4edda;
+          border: 1px solid #c3e6cb;
+          color: #155724;
+        }
+        .message.error {
+          background: #f8d7da;
+          border: 1px solid #f5c6cb;
+          color: #721c24;
+        }
+      `}</style>
+
+      {message && (
+        <div className={`message ${messageType}`}>
+          {message}
+        </div>
+      )}
+
+      {step === 'update-password' && (
+        <form onSubmit={handlePasswordUpdate}>
+          <div className="form-group">
+            <label htmlFor="new-password">New password</label>
+            <input
+              type="password"
+              id="new-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              minLength={6}
+              autoComplete="new-password"
+              placeholder="Create a password"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="new-password-confirm">Repeat password</label>
+            <input
+              type="password"
+              id="new-password-confirm"
+              value={passwordConfirm}
+              onChange={(e) => setPasswordConfirm(e.target.value)}
+              required
+              minLength={6}
+              autoComplete="new-password"
+              placeholder="Repeat the password"
+            />
+          </div>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={isLoading}
+          >
+            {isLoading ? 'Saving...' : 'Update password'}
+          </button>
+        </form>
+      )}
+
+      {step === 'error' && (
+        <a className="btn btn-primary" href={signInUrl}>
+          Back to sign in
+        </a>
+      )}
+    </div>
+  );
+};
+
+export default AuthCallback;
@@ -1,31 +1,148 @@
 // supabase-auth-module/client/AuthForm.jsx
-import React, { useState, useEffect } from 'react';
-import { createClient } from '@supabase/supabase-js';
+import React, { useState, useEffect, useContext } from 'react';
+import { AuthContext, AuthProvider, useAuth } from './AuthProvider';
+
+// Button labels for Supabase OAuth providers; other provider ids are shown as-is
+const PROVIDER_LABELS = {
+  apple: 'Apple',
+  azure: 'Microsoft',
+  bitbucket: 'Bitbucket',
+  discord: 'Discord',
+  facebook: 'Facebook',
+  figma: 'Figma',
+  github: 'GitHub',
+  gitlab: 'GitLab',
+  google: 'Google',
+  kakao: 'Kakao',
+  keycloak: 'Keycloak',
+  linkedin_oidc: 'LinkedIn',
+  notion: 'Notion',
+  slack_oidc: 'Slack',
+  spotify: 'Spotify',
+  twitch: 'Twitch',
+  twitter: 'Twitter',
+  workos: 'WorkOS',
+  zoom: 'Zoom'
+};
+
+/**
+ * Normalize a providers prop entry: 'github' or { id, label, icon, scopes, queryParams }
+ * icon is a React node or an image URL; scopes a string or an array of scopes
+ */
+const normalizeProvider = (provider) => {
+  const config = typeof provider === 'string' ? { id: provider } : provider;
+  return {
+    ...config,
+    label: config.label || PROVIDER_LABELS[config.id] || config.id,
+    scopes: Array.isArray(config.scopes) ? config.scopes.join(' ') : config.scopes
+  };
+};
+
+// Signup fields stored at the top level of user_metadata; other fields go to user_metadata.profile
+const METADATA_FIELDS = ['username', 'display_name'];
+
+/**
+ * Build signUp user_metadata from the signupFields schema and the entered values
+ * Checkboxes with consentVersion become consents: { [name]: { version, accepted_at } }
+ */
+const buildSignupMetadata = (fields, values, termsVersion) => {
+  const acceptedAt = new Date().toISOString();
+  const metadata = { profile: {}, consents: {} };
+
+  fields.forEach((field) => {
+    const value = values[field.name];
+
+    if (field.consentVersion) {
+      if (value) {
+        metadata.consents[field.name] = { version: String(field.consentVersion), accepted_at: acceptedAt };
+      }
+      return;
+    }
+    if (value === undefined || value === '') {
+      return;
+    }
+
+    if (METADATA_FIELDS.includes(field.name)) {
+      metadata[field.name] = value.trim();
+    } else {
+      metadata.profile[field.name] = typeof value === 'string' ? value.trim() : value;
+    }
+  });
+
+  if (termsVersion) {
+    metadata.consents.terms = { version: String(termsVersion), accepted_at: acceptedAt };
+  }
+
+  return metadata;
+};
 
 /**
  * Supabase Auth Form Component
  * React component for Supabase authentication with registration pair support
+ * Uses the surrounding AuthProvider; without one it creates its own from supabaseUrl/supabaseAnonKey
  */
-const AuthForm = ({ 
-  supabaseUrl, 
-  supabaseAnonKey, 
-  siteUrl = window.location.origin,
+const AuthForm = (props) => {
+  const context = useContext(AuthContext);
+  if (context) {
+    return <AuthFormView {...props} />;
+  }
+
+  const { supabaseUrl, supabaseAnonKey, siteUrl, requireMfa = false } = props;
+  return (
+    <AuthProvider
+      supabaseUrl={supabaseUrl}
+      supabaseAnonKey={supabaseAnonKey}
+      requireMfa={requireMfa}
+      {...(siteUrl ? { siteUrl } : {})}
+    >
+      <AuthFormView {...props} />
+    </AuthProvider>
+  );
+};
+
+const AuthFormView = ({
   redirectUrl = '/thank-you',
   onSuccess = () => {},
   onError = () => {},
   className = '',
   showMagicLink = true,
-  showSocialLogin = true
+  showSocialLogin = true,
+  providers = ['google', 'facebook'],
+  enableMfa = true,
+  requireMfa, // defaults to the AuthProvider's requireMfa
+  mfaRecoveryMessage = 'Lost your authenticator app? Contact the site administrator to reset two-factor authentication, then sign in with your password and set up a new one.',
+  // Extra signup fields: [{ name, label, type, required, placeholder, options, maxLength, consentVersion }]
+  // type: 'text' (default), 'email', 'tel', 'url', 'textarea', 'select' or 'checkbox'
+  signupFields = [],
+  termsVersion = null, // Set to require accepting the terms; recorded as the 'terms' consent
+  termsUrl = '/terms',
+  privacyUrl = '/privacy'
 }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState(''); // 'success' or 'error'
-  const [activeTab, setActiveTab] = useState('signin'); // 'signin' or 'signup'
-
-  // Initialize Supabase client
-  const supabase = createClient(supabaseUrl, supabaseAnonKey);
+  const [activeTab, setActiveTab] = useState('signin'); // 'signin', 'signup' or 'forgot'
+  const [canResendConfirmation, setCanResendConfirmation] = useState(false);
+  const [mfaStep, setMfaStep] = useState(''); // '', 'challenge' or 'enroll'
+  const [mfaForSignIn, setMfaForSignIn] = useState(false); // finish the sign-in after the MFA step
+  const [mfaFactors, setMfaFactors] = useState([]);
+  const [mfaFactorId, setMfaFactorId] = useState('');
+  const [mfaCode, setMfaCode] = useState('');
+  const [mfaEnrollment, setMfaEnrollment] = useState(null); // { id, qrCode, secret }
+  const [mfaEnrolled, setMfaEnrolled] = useState(false);
+  const [showMfaRecovery, setShowMfaRecovery] = useState(false);
+  const [signupValues, setSignupValues] = useState({});
+  const [termsAccepted, setTermsAccepted] = useState(false);
+  const [usernameTaken, setUsernameTaken] = useState(false);
+
+  const auth = useAuth();
+  const { supabase } = auth;
+  const hasSession = Boolean(auth.session);
+  const mfaRequired = requireMfa === undefined ? auth.requireMfa : requireMfa;
+
+  const socialProviders = showSocialLogin ? providers.map(normalizeProvider) : [];
 
   // Get registration pairs from environment or global config
   const registrationPairs = window.SUPABASE_CFG?.registrationPairs || [];
@@ -39,6 +156,18 @@ const AuthForm = ({
     try {
       const { data: { session } } = await supabase.auth.getSession();
       if (session) {
+        if (enableMfa) {
+          const { data: factorData } = await supabase.auth.mfa.listFactors();
+          setMfaEnrolled(Boolean(factorData && factorData.totp.length > 0));
+
+          // A reload in the middle of a step-up leaves an aal1 session: resume the challenge
+          const { currentLevel, nextLevel } = await getAssuranceLevel();
+          if (currentLevel !== 'aal2' && nextLevel === 'aal2') {
+            await startMfaChallenge();
+            return;
+          }
+        }
+
         setMessage('Already signed in');
         setMessageType('success');
       }
@@ -47,68 +176,196 @@ const AuthForm = ({
     }
   };
 
-  const handleAuth = async (e) => {
+  const getAssuranceLevel = async () => {
+    const { data, error } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+    if (error) throw error;
+    return data;
+  };
+
+  // Send token to our callback endpoint for system user creation and logging, then redirect
+  const completeSignIn = async (session) => {
+    const callbackData = await auth.syncSession(session);
+
+    setMessage(
+      activeTab === 'signin' 
+        ? 'Successfully signed in!' 
+        : 'Account created successfully! Check your email for verification.'
+    );
+    setMessageType('success');
+
+    // Call success callback
+    onSuccess(callbackData);
+
+    // Redirect based on registration pair or default
+    if (callbackData.redirect_url) {
+      window.location.href = callbackData.redirect_url;
+    } else {
+      window.location.href = redirectUrl;
+    }
+  };
+
+  // Users with a verified factor must pass a TOTP challenge (aal2);
+  // with requireMfa, users without one enroll first
+  const continueAfterSignIn = async (session) => {
+    if (enableMfa) {
+      const { currentLevel, nextLevel } = await getAssuranceLevel();
+      if (currentLevel !== 'aal2' && nextLevel === 'aal2') {
+        await startMfaChallenge();
+        return;
+      }
+      if (mfaRequired && currentLevel !== 'aal2') {
+        await startMfaEnrollment(true);
+        return;
+      }
+    }
+
+    await completeSignIn(session);
+  };
+
+  const resetMfaStep = () => {
+    setMfaStep('');
+    setMfaForSignIn(false);
+    setMfaCode('');
+    setMfaEnrollment(null);
+    setShowMfaRecovery(false);
+  };
+
+  const startMfaChallenge = async () => {
+    const { data, error } = await supabase.auth.mfa.listFactors();
+    if (error) throw error;
+
+    // data.totp holds verified TOTP factors only
+    setMfaFactors(data.totp);
+    setMfaFactorId(data.totp.length > 0 ? data.totp[0].id : '');
+    setMfaCode('');
+    setMfaForSignIn(true);
+    setMfaStep('challenge');
+    setMessage('Enter the 6-digit code from your authenticator app');
+    setMessageType('success');
+  };
+
+  const startMfaEnrollment = async (forSignIn = false) => {
+    // Factors left unverified by an abandoned enrollment would clash with the new one
+    const { data: factorData, error: listError } = await supabase.auth.mfa.listFactors();
+    if (listError) throw listError;
+    for (const factor of factorData.all) {
+      if (factor.factor_type === 'totp' && factor.status === 'unverified') {
+        await supabase.auth.mfa.unenroll({ factorId: factor.id });
+      }
+    }
+
+    const { data, error } = await supabase.auth.mfa.enroll({
+      factorType: 'totp',
+      friendlyName: `${window.location.hostname} ${new Date().toISOString()}`
+    });
+    if (error) throw error;
+
+    setMfaEnrollment({ id: data.id, qrCode: data.totp.qr_code, secret: data.totp.secret });
+    setMfaFactorId(data.id);
+    setMfaCode('');
+    setMfaForSignIn(forSignIn);
+    setMfaStep('enroll');
+    setMessage(
+      forSignIn
+        ? 'Two-factor authentication is required. Scan the QR code with your authenticator app.'
+        : 'Scan the QR code with your authenticator app.'
+    );
+    setMessageType('success');
+  };
+
+  const handleStartEnrollment = async () => {
+    setIsLoading(true);
+    try {
+      await startMfaEnrollment(false);
+    } catch (error) {
+      setMessage(error.message || 'Failed to start two-factor setup');
+      setMessageType('error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleMfaVerify = async (e) => {
     e.preventDefault();
     setIsLoading(true);
     setMessage('');
     setMessageType('');
 
     try {
-      let result;
+      const { error } = await supabase.auth.mfa.challengeAndVerify({
+        factorId: mfaFactorId,
+        code: mfaCode.trim()
+      });
+      if (error) throw error;
 
-      if (activeTab === 'signin') {
-        result = await supabase.auth.signInWithPassword({
-          email,
-          password,
-        });
+      const finishSignIn = mfaForSignIn;
+      setMfaEnrolled(true);
+      resetMfaStep();
+
+      if (finishSignIn) {
+        // The session now carries aal2 tokens
+        const { data: { session } } = await supabase.auth.getSession();
+        await completeSignIn(session);
       } else {
-        result = await supabase.auth.signUp({
-          email,
-          password,
-          options: {
-            emailRedirectTo: `${siteUrl}/auth/callback`,
-          },
-        });
+        setMessage('Two-factor authentication enabled');
+        setMessageType('success');
       }
+    } catch (error) {
+      console.error('MFA verification error:', error);
+      setMessage(error.message || 'Invalid code');
+      setMessageType('error');
+      onError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
-      if (result.error) {
-        throw new Error(result.error.message);
+  const handleMfaCancel = async () => {
+    try {
+      if (mfaStep === 'enroll' && mfaEnrollment) {
+        await supabase.auth.mfa.unenroll({ factorId: mfaEnrollment.id });
+      }
+      // An unfinished step-up must not leave a usable password-only session behind
+      if (mfaForSignIn) {
+        await supabase.auth.signOut();
       }
+    } catch (error) {
+      console.error('MFA cancel error:', error);
+    }
 
-      // Send token to our callback endpoint for system user creation and logging
-      if (result.data.session) {
-        const callbackResult = await fetch('/api/auth/supabase-callback', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            access_token: result.data.session.access_token
-          })
-        });
-
-        const callbackData = await callbackResult.json();
-
-        if (!callbackResult.ok) {
-          throw new Error(callbackData.error || 'Authentication failed');
-        }
-
-        setMessage(
-          activeTab === 'signin' 
-            ? 'Successfully signed in!' 
-            : 'Account created successfully! Check your email for verification.'
-        );
-        setMessageType('success');
+    resetMfaStep();
+    setMessage('');
+    setMessageType('');
+  };
 
-        // Call success callback
-        onSuccess(callbackData);
+  const handleAuth = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setMessage('');
+    setMessageType('');
+    setCanResendConfirmation(false);
 
-        // Redirect based on registration pair or default
-        if (callbackData.redirect_url) {
-          window.location.href = callbackData.redirect_url;
-        } else {
-          window.location.href = redirectUrl;
+    try {
+      let data;
+
+      try {
+        data = activeTab === 'signin'
+          ? await auth.signIn({ email, password })
+          : await auth.signUp({ email, password, data: buildSignupMetadata(signupFields, signupValues, termsVersion) });
+      } catch (authError) {
+        if (authError.code === 'email_not_confirmed' || /email not confirmed/i.test(authError.message)) {
+          setCanResendConfirmation(true);
         }
+        throw authError;
+      }
+
+      if (data.session) {
+        await continueAfterSignIn(data.session);
+      } else if (activeTab === 'signup') {
+        // Email confirmation is on: the session arrives through the confirmation link
+        setMessage('Account created! Check your email and follow the confirmation link.');
+        setMessageType('success');
+        setCanResendConfirmation(true);
       }
     } catch (error) {
       console.error('Authentication error:', error);
@@ -127,14 +384,7 @@ const AuthForm = ({
     setMessageType('');
 
     try {
-      const { error } = await supabase.auth.signInWithOtp({
-        email,
-        options: {
-          emailRedirectTo: `${siteUrl}/auth/callback`,
-        },
-      });
-
-      if (error) throw error;
+      await auth.signInWithMagicLink(email);
 
       setMessage('Check your email for the magic link!');
       setMessageType('success');
@@ -152,26 +402,131 @@ const AuthForm = ({
     setMessageType('');
 
     try {
-      const { error } = await supabase.auth.signInWithOAuth({
-        provider,
-        options: {
-          redirectTo: `${siteUrl}/auth/callback`,
-        },
-      });
+      await auth.signInWithOAuth(provider);
+    } catch (error) {
+      setMessage(error.message || `Failed to sign in with ${provider.label}`);
+      setMessageType('error');
+      setIsLoading(false);
+    }
+  };
 
-      if (error) throw error;
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setMessage('');
+    setMessageType('');
+
+    try {
+      await auth.resetPassword(email);
+
+      setMessage('If an account exists for this email, you will receive a password reset link.');
+      setMessageType('success');
+    } catch (error) {
+      setMessage(error.message || 'Failed to send password reset email');
+      setMessageType('error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleResendConfirmation = async () => {
+    setIsLoading(true);
+    setMessage('');
+    setMessageType('');
+
+    try {
+      await auth.resendConfirmation(email);
+
+      setMessage('Confirmation email sent again. Check your inbox.');
+      setMessageType('success');
     } catch (error) {
-      setMessage(error.message || `Failed to sign in with ${provider}`);
+      setMessage(error.message || 'Failed to resend confirmation email');
       setMessageType('error');
+    } finally {
       setIsLoading(false);
     }
   };
 
+  const setSignupValue = (name, value) => {
+    setSignupValues((values) => ({ ...values, [name]: value }));
+  };
+
+  // Only a hint: the server still makes the username unique when the account is created
+  const checkUsername = async () => {
+    const username = (signupValues.username || '').trim();
+    if (!username) {
+      setUsernameTaken(false);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/auth/username-available?username=${encodeURIComponent(username)}`);
+      const data = await response.json();
+      setUsernameTaken(response.ok && data.valid && !data.available);
+    } catch (error) {
+      console.error('Username check error:', error);
+    }
+  };
+
+  const renderSignupField = (field) => {
+    const id = `signup-${field.name}`;
+    const value = signupValues[field.name];
+    const common = {
+      id,
+      required: Boolean(field.required),
+      onChange: (e) => setSignupValue(field.name, field.type === 'checkbox' ? e.target.checked : e.target.value)
+    };
+
+    if (field.type === 'checkbox') {
+      return (
+        <div className="form-group form-check" key={field.name}>
+          <input type="checkbox" checked={Boolean(value)} {...common} />
+          <label htmlFor={id}>{field.label}</label>
+        </div>
+      );
+    }
+
+    let input;
+    if (field.type === 'select') {
+      input = (
+        <select value={value || ''} {...common}>
+          <option value="">{field.placeholder || 'Select...'}</option>
+          {(field.options || []).map((option) => {
+            const { value: optionValue, label } = typeof option === 'string' ? { value: option, label: option } : option;
+            return <option key={optionValue} value={optionValue}>{label}</option>;
+          })}
+        </select>
+      );
+    } else if (field.type === 'textarea') {
+      input = <textarea value={value || ''} placeholder={field.placeholder} maxLength={field.maxLength || 500} {...common} />;
+    } else {
+      input = (
+        <input
+          type={field.type || 'text'}
+          value={value || ''}
+          placeholder={field.placeholder}
+          maxLength={field.maxLength || (field.name === 'username' ? 32 : 500)}
+          {...(field.name === 'username' ? { onBlur: checkUsername, pattern: '[a-zA-Z0-9._\\-]{3,32}' } : {})}
+          {...common}
+        />
+      );
+    }
+
+    return (
+      <div className="form-group" key={field.name}>
+        <label htmlFor={id}>{field.label || field.name}</label>
+        {input}
+        {field.name === 'username' && usernameTaken && (
+          <div className="field-hint">This username is taken, a number will be added to it</div>
+        )}
+      </div>
+    );
+  };
+
   const handleSignOut = async () => {
     try {
-      const { error } = await supabase.auth.signOut();
-      if (error) throw error;
-      
+      await auth.signOut();
+
       setMessage('Successfully signed out');
       setMessageType('success');
       window.location.reload();
@@ -218,13 +573,32 @@ const AuthForm = ({
           margin-bottom: 5px;
           font-weight: 600;
         }
-        .form-group input {
+        .form-group input,
+        .form-group select,
+        .form-group textarea {
           width: 100%;
           padding: 10px;
           border: 1px solid #ddd;
           border-radius: 4px;
           font-size: 14px;
         }
+        .form-check {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+        .form-group.form-check input {
+          width: auto;
+        }
+        .form-group.form-check label {
+          margin-bottom: 0;
+          font-weight: normal;
+        }
+        .field-hint {
+          margin-top: 5px;
+          font-size: 12px;
+          color: #856404;
+        }
         .btn {
           width: 100%;
           padding: 12px;
@@ -238,6 +612,15 @@ const AuthForm = ({
           background: #007bff;
           color: white;
         }
+        .btn-social {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 8px;
+          background: #f5f5f5;
+          border: 1px solid #ddd;
+          color: #333;
+        }
         .btn-google {
           background: #db4437;
           color: white;
@@ -246,6 +629,22 @@ const AuthForm = ({
           background: #4267b2;
           color: white;
         }
+        .btn-github {
+          background: #24292e;
+          color: white;
+        }
+        .btn-apple {
+          background: #000;
+          color: white;
+        }
+        .btn-discord {
+          background: #5865f2;
+          color: white;
+        }
+        .provider-icon {
+          width: 18px;
+          height: 18px;
+        }
         .btn:disabled {
           opacity: 0.6;
           cursor: not-allowed;
@@ -286,11 +685,29 @@ const AuthForm = ({
         }
         .social-buttons {
           display: flex;
+          flex-wrap: wrap;
           gap: 10px;
           margin-bottom: 15px;
         }
         .social-buttons .btn {
-          flex: 1;
+          flex: 1 1 40%;
+          margin-bottom: 0;
+        }
+        .mfa-qr {
+          display: block;
+          width: 200px;
+          height: 200px;
+          margin: 0 auto 10px;
+        }
+        .mfa-secret {
+          font-family: monospace;
+          word-break: break-all;
+          text-align: center;
+          margin-bottom: 15px;
+        }
+        .btn-link {
+          background: none;
+          color: #007bff;
         }
       `}</style>
 
@@ -300,113 +717,234 @@ const AuthForm = ({
         </div>
       )}
 
-      <div className="tabs">
-        <button 
-          className={`tab ${activeTab === 'signin' ? 'active' : ''}`}
-          onClick={() => setActiveTab('signin')}
-        >
-          Sign In
-        </button>
-        <button 
-          className={`tab ${activeTab === 'signup' ? 'active' : ''}`}
-          onClick={() => setActiveTab('signup')}
-        >
-          Sign Up
-        </button>
-      </div>
-
-      {showSocialLogin && (
-        <div className="social-buttons">
-          <button 
-            className="btn btn-google"
-            onClick={() => handleSocialLogin('google')}
-            disabled={isLoading}
-          >
-            Google
-          </button>
-          <button 
-            className="btn btn-facebook"
-            onClick={() => handleSocialLogin('facebook')}
-            disabled={isLoading}
-          >
-            Facebook
-          </button>
-        </div>
-      )}
-
-      <div className="divider">
-        <span>or</span>
-      </div>
-
-      <form onSubmit={handleAuth}>
-        <div className="form-group">
-          <label htmlFor="email">Email</label>
-          <input
-            type="email"
-            id="email"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-            required
-            placeholder="your@email.com"
-          />
-        </div>
+      {mfaStep ? (
+        <form onSubmit={handleMfaVerify}>
+          {mfaStep === 'enroll' && mfaEnrollment && (
+            <>
+              <img className="mfa-qr" src={mfaEnrollment.qrCode} alt="Authenticator QR code" />
+              <div className="mfa-secret">
+                Can't scan it? Enter this key: {mfaEnrollment.secret}
+              </div>
+            </>
+          )}
+
+          {mfaStep === 'challenge' && mfaFactors.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="mfa-factor">Authenticator</label>
+              <select
+                id="mfa-factor"
+                value={mfaFactorId}
+                onChange={(e) => setMfaFactorId(e.target.value)}
+              >
+                {mfaFactors.map((factor) => (
+                  <option key={factor.id} value={factor.id}>
+                    {factor.friendly_name || factor.id}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
 
-        {activeTab === 'signin' && (
           <div className="form-group">
-            <label htmlFor="password">Password</label>
+            <label htmlFor="mfa-code">Verification code</label>
             <input
-              type="password"
-              id="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
+              type="text"
+              id="mfa-code"
+              value={mfaCode}
+              onChange={(e) => setMfaCode(e.target.value)}
               required
-              placeholder="Your password"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              pattern="[0-9]{6}"
+              maxLength={6}
+              placeholder="123456"
             />
           </div>
-        )}
 
-        {activeTab === 'signup' && (
-          <div className="form-group">
-            <label htmlFor="password">Password</label>
-            <input
-              type="password"
-              id="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-              placeholder="Create a password"
-              minLength={6}
-            />
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={isLoading || !mfaFactorId}
+          >
+            {isLoading ? 'Verifying...' : 'Verify'}
+          </button>
+
+          {mfaStep === 'challenge' && (
+            <button
+              type="button"
+              className="btn btn-link"
+              onClick={() => setShowMfaRecovery(!showMfaRecovery)}
+            >
+              Lost access to your authenticator?
+            </button>
+          )}
+          {showMfaRecovery && (
+            <div className="message error">{mfaRecoveryMessage}</div>
+          )}
+
+          <button type="button" className="btn" onClick={handleMfaCancel} disabled={isLoading}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <>
+          {enableMfa && hasSession && !mfaEnrolled && (
+            <button className="btn" onClick={handleStartEnrollment} disabled={isLoading}>
+              Set up two-factor authentication
+            </button>
+          )}
+
+          <div className="tabs">
+            <button 
+              className={`tab ${activeTab === 'signin' ? 'active' : ''}`}
+              onClick={() => setActiveTab('signin')}
+            >
+              Sign In
+            </button>
+            <button 
+              className={`tab ${activeTab === 'signup' ? 'active' : ''}`}
+              onClick={() => setActiveTab('signup')}
+            >
+              Sign Up
+            </button>
           </div>
-        )}
 
-        <button 
-          type="submit" 
-          className="btn btn-primary"
-          disabled={isLoading}
-        >
-          {isLoading ? 'Loading...' : activeTab === 'signin' ? 'Sign In' : 'Sign Up'}
-        </button>
-      </form>
+          {socialProviders.length > 0 && (
+            <div className="social-buttons">
+              {socialProviders.map((provider) => (
+                <button 
+                  key={provider.id}
+                  className={`btn btn-social btn-${provider.id}`}
+                  onClick={() => handleSocialLogin(provider)}
+                  disabled={isLoading}
+                >
+                  {typeof provider.icon === 'string'
+                    ? <img className="provider-icon" src={provider.icon} alt="" />
+                    : provider.icon}
+                  {provider.label}
+                </button>
+              ))}
+            </div>
+          )}
 
-      {showMagicLink && activeTab === 'signin' && (
-        <>
           <div className="divider">
             <span>or</span>
           </div>
-          <button 
-            className="btn"
-            onClick={handleMagicLink}
-            disabled={isLoading || !email}
-          >
-            Send Magic Link
-          </button>
+
+          <form onSubmit={activeTab === 'forgot' ? handleForgotPassword : handleAuth}>
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                placeholder="your@email.com"
+              />
+            </div>
+
+            {activeTab === 'signin' && (
+              <div className="form-group">
+                <label htmlFor="password">Password</label>
+                <input
+                  type="password"
+                  id="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  placeholder="Your password"
+                />
+              </div>
+            )}
+
+            {activeTab === 'signup' && (
+              <div className="form-group">
+                <label htmlFor="password">Password</label>
+                <input
+                  type="password"
+                  id="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  placeholder="Create a password"
+                  minLength={6}
+                />
+              </div>
+            )}
+
+            {activeTab === 'signup' && signupFields.map(renderSignupField)}
+
+            {activeTab === 'signup' && termsVersion && (
+              <div className="form-group form-check">
+                <input
+                  type="checkbox"
+                  id="signup-terms"
+                  checked={termsAccepted}
+                  onChange={(e) => setTermsAccepted(e.target.checked)}
+                  required
+                />
+                <label htmlFor="signup-terms">
+                  I agree to the <a href={termsUrl} target="_blank" rel="noopener noreferrer">Terms of Service</a> and{' '}
+                  <a href={privacyUrl} target="_blank" rel="noopener noreferrer">Privacy Policy</a>
+                </label>
+              </div>
+            )}
+
+            <button 
+              type="submit" 
+              className="btn btn-primary"
+              disabled={isLoading}
+            >
+              {isLoading
+                ? 'Loading...'
+                : { signin: 'Sign In', signup: 'Sign Up', forgot: 'Send Reset Link' }[activeTab]}
+            </button>
+
+            {activeTab === 'signin' && (
+              <button type="button" className="btn btn-link" onClick={() => setActiveTab('forgot')}>
+                Forgot password?
+              </button>
+            )}
+            {activeTab === 'forgot' && (
+              <button type="button" className="btn btn-link" onClick={() => setActiveTab('signin')}>
+                Back to sign in
+              </button>
+            )}
+          </form>
+
+          {canResendConfirmation && (
+            <button
+              className="btn"
+              onClick={handleResendConfirmation}
+              disabled={isLoading || !email}
+            >
+              Resend Confirmation Email
+            </button>
+          )}
+
+          {showMagicLink && activeTab === 'signin' && (
+            <>
+              <div className="divider">
+                <span>or</span>
+              </div>
+              <button 
+                className="btn"
+                onClick={handleMagicLink}
+                disabled={isLoading || !email}
+              >
+                Send Magic Link
+              </button>
+            </>
+          )}
+
+          {activeTab !== 'forgot' && !(activeTab === 'signup' && termsVersion) && (
+            <div style={{ marginTop: '20px', fontSize: '12px', color: '#666', textAlign: 'center' }}>
+              By {activeTab === 'signin' ? 'signing in' : 'signing up'}, you agree to our Terms of Service and Privacy Policy.
+            </div>
+          )}
         </>
       )}
-
-      <div style={{ marginTop: '20px', fontSize: '12px', color: '#666', textAlign: 'center' }}>
-        By {activeTab === 'signin' ? 'signing in' : 'signing up'}, you agree to our Terms of Service and Privacy Policy.
-      </div>
     </div>
   );
 };
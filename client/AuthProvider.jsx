@@ -0,0 +1,292 @@
+// supabase-auth-module/client/AuthProvider.jsx
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState, useCallback } from 'react';
+import { createClient } from '@supabase/supabase-js';
+import {
+  sendSessionToServer,
+  fetchCurrentUser,
+  updateCurrentUser,
+  uploadAvatar,
+  exportMyData,
+  manageAccountDeletion,
+  revokeServerSession,
+  rememberStartPage,
+  takeReturnUrl
+} from './authApi';
+
+export const AuthContext = createContext(null);
+
+const defaultNavigate = (url) => window.location.assign(url);
+
+// Read the aal claim of an access token; it is only a hint here, the server verifies the token
+const getTokenAal = (accessToken) => {
+  try {
+    const payload = accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).aal || 'aal1';
+  } catch (error) {
+    return 'aal1';
+  }
+};
+
+/**
+ * Whether a session still has to pass a TOTP challenge (or enroll, with requireMfa)
+ * before it counts as signed in
+ */
+export const isMfaPending = (session, requireMfa = false) => {
+  if (getTokenAal(session.access_token) === 'aal2') {
+    return false;
+  }
+  const hasVerifiedFactor = (session.user.factors || []).some((factor) => factor.status === 'verified');
+  return hasVerifiedFactor || requireMfa;
+};
+
+/**
+ * Supabase Auth Provider
+ * Owns one Supabase client, tracks the session and reports new sign-ins to /api/auth/supabase-callback
+ * (system user creation, logging, pair redirect). The system user (role, permissions) comes from
+ * /api/auth/me. Read it with useAuth().
+ */
+export const AuthProvider = ({
+  supabaseUrl,
+  supabaseAnonKey,
+  client = null, // Existing Supabase client to use instead of creating one
+  siteUrl = window.location.origin,
+  requireMfa = false, // Sessions without aal2 are not reported to the server
+  syncOnSignIn = true,
+  signInUrl = '/login', // Where RequireAuth and the other guards send signed-out users
+  navigate = defaultNavigate, // Replace with your router's navigation
+  onSync = () => {},
+  onError = () => {},
+  children
+}) => {
+  // Links (magic link, OAuth, confirmation, recovery) are completed by AuthCallback,
+  // so this client must not consume the code in the URL as well
+  const supabase = useMemo(
+    () => client || createClient(supabaseUrl, supabaseAnonKey, { auth: { detectSessionInUrl: false } }),
+    [client, supabaseUrl, supabaseAnonKey]
+  );
+
+  const [session, setSession] = useState(null);
+  const [systemUser, setSystemUser] = useState(null);
+  const [callbackData, setCallbackData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUserLoading, setIsUserLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // The user last reported to the server and the pending/finished request, so that
+  // onAuthStateChange and an explicit syncSession() post a sign-in only once
+  const syncRef = useRef({ userId: null, promise: null });
+  const handlersRef = useRef({ onSync, onError });
+  handlersRef.current = { onSync, onError };
+
+  /**
+   * Load the system user of a session from /api/auth/me
+   * @returns {Promise<Object|null>} User, or null if it could not be loaded
+   */
+  const loadCurrentUser = useCallback(async (currentSession) => {
+    setIsUserLoading(true);
+    try {
+      const currentUser = await fetchCurrentUser(currentSession.access_token);
+      setSystemUser(currentUser);
+      return currentUser;
+    } catch (loadError) {
+      console.error('Current user load error:', loadError);
+      setSystemUser(null);
+      return null;
+    } finally {
+      setIsUserLoading(false);
+    }
+  }, []);
+
+  /**
+   * Post the session to /supabase-callback once per signed-in user
+   * A return URL remembered by a guard is sent along and becomes the callback's redirect_url
+   * @param {Object} currentSession Supabase session
+   * @param {Object} [options] { registrationPageUrl, returnUrl }
+   * @returns {Promise<Object>} Callback response
+   */
+  const syncSession = useCallback((currentSession, options = {}) => {
+    const userId = currentSession.user.id;
+    if (syncRef.current.userId === userId && syncRef.current.promise) {
+      return syncRef.current.promise;
+    }
+
+    const promise = sendSessionToServer(currentSession, { returnUrl: takeReturnUrl(), ...options })
+      .then(async (data) => {
+        // The callback creates the system user, so /me knows it from now on
+        await loadCurrentUser(currentSession);
+        setCallbackData(data);
+        setError(null);
+        handlersRef.current.onSync(data);
+        return data;
+      })
+      .catch((syncError) => {
+        // Let the next attempt try again
+        syncRef.current = { userId: null, promise: null };
+        setError(syncError);
+        handlersRef.current.onError(syncError);
+        throw syncError;
+      });
+
+    syncRef.current = { userId, promise };
+    return promise;
+  }, [loadCurrentUser]);
+
+  useEffect(() => {
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, nextSession) => {
+      setSession(nextSession);
+
+      if (event === 'INITIAL_SESSION') {
+        // A session restored from storage was reported when it was created
+        syncRef.current = { userId: nextSession ? nextSession.user.id : null, promise: null };
+        if (nextSession) {
+          loadCurrentUser(nextSession).finally(() => setIsLoading(false));
+        } else {
+          setIsLoading(false);
+        }
+        return;
+      }
+
+      if (event === 'SIGNED_OUT') {
+        syncRef.current = { userId: null, promise: null };
+        setSystemUser(null);
+        setCallbackData(null);
+        return;
+      }
+
+      const isSignIn = event === 'SIGNED_IN' || event === 'MFA_CHALLENGE_VERIFIED';
+      if (syncOnSignIn && isSignIn && nextSession &&
+          syncRef.current.userId !== nextSession.user.id && !isMfaPending(nextSession, requireMfa)) {
+        // Supabase calls made inside this callback can deadlock the client, so sync after it returns
+        setIsUserLoading(true);
+        setTimeout(() => {
+          syncSession(nextSession)
+            .catch(() => {})
+            .finally(() => setIsUserLoading(false));
+        }, 0);
+      }
+    });
+
+    return () => subscription.unsubscribe();
+  }, [supabase, syncOnSignIn, requireMfa, syncSession, loadCurrentUser]);
+
+  // Supabase actions resolve to { data, error }: keep the error in state and throw it
+  const run = useCallback(async (request) => {
+    const { data, error: authError } = await request;
+    if (authError) {
+      setError(authError);
+      throw authError;
+    }
+    setError(null);
+    return data;
+  }, []);
+
+  const value = useMemo(() => {
+    const callbackUrl = `${siteUrl}/auth/callback`;
+
+    return {
+      supabase,
+      session,
+      user: session ? session.user : null,
+      systemUser,
+      callbackData,
+      // Also true while the system user of a new sign-in is being created/loaded
+      isLoading: isLoading || isUserLoading,
+      error,
+      requireMfa,
+      signInUrl,
+      navigate,
+      syncSession,
+
+      signIn: ({ email, password }) => run(supabase.auth.signInWithPassword({ email, password })),
+
+      // The confirmation link ends on /auth/callback; AuthCallback reports the start page to the server
+      signUp: ({ email, password, data = {} }) => {
+        rememberStartPage();
+        return run(supabase.auth.signUp({ email, password, options: { emailRedirectTo: callbackUrl, data } }));
+      },
+
+      signInWithMagicLink: (email) => {
+        rememberStartPage();
+        return run(supabase.auth.signInWithOtp({ email, options: { emailRedirectTo: callbackUrl } }));
+      },
+
+      // provider: 'github' or { id, scopes, queryParams }
+      signInWithOAuth: (provider) => {
+        const { id, scopes, queryParams } = typeof provider === 'string' ? { id: provider } : provider;
+        rememberStartPage();
+        return run(supabase.auth.signInWithOAuth({
+          provider: id,
+          options: {
+            redirectTo: callbackUrl,
+            ...(scopes ? { scopes: Array.isArray(scopes) ? scopes.join(' ') : scopes } : {}),
+            ...(queryParams ? { queryParams } : {}),
+          },
+        }));
+      },
+
+      // AuthCallback shows the new-password form for recovery links
+      resetPassword: (email) => run(
+        supabase.auth.resetPasswordForEmail(email, { redirectTo: `${callbackUrl}?flow=recovery` })
+      ),
+
+      resendConfirmation: (email) => run(
+        supabase.auth.resend({ type: 'signup', email, options: { emailRedirectTo: callbackUrl } })
+      ),
+
+      signOut: async () => {
+        if (session) {
+          await revokeServerSession(session.access_token);
+        }
+        return run(supabase.auth.signOut());
+      },
+
+      // { username?, display_name?, preferences? }; resolves to the updated user
+      updateProfile: async (updates) => {
+        const updatedUser = await updateCurrentUser(session.access_token, updates);
+        setSystemUser((current) => ({ ...current, ...updatedUser, supabase: current ? current.supabase : null }));
+        return updatedUser;
+      },
+
+      uploadAvatar: async (file) => {
+        const updatedUser = await uploadAvatar(session.access_token, file);
+        setSystemUser((current) => ({ ...current, ...updatedUser, supabase: current ? current.supabase : null }));
+        return updatedUser;
+      },
+
+      // Everything the server stores about the user, as a JSON bundle
+      exportData: () => exportMyData(session.access_token),
+
+      // Two steps: requestDeletion() returns a confirmation_token for confirmDeletion(token);
+      // the account is erased after the grace period unless cancelDeletion() is called
+      requestDeletion: () => manageAccountDeletion(session.access_token, 'request'),
+      confirmDeletion: (confirmationToken) => manageAccountDeletion(session.access_token, 'confirm', confirmationToken),
+      cancelDeletion: () => manageAccountDeletion(session.access_token, 'cancel'),
+
+      // New tokens and a fresh system user (e.g. after a role change)
+      refresh: async () => {
+        const data = await run(supabase.auth.refreshSession());
+        if (data.session) {
+          await loadCurrentUser(data.session);
+        }
+        return data.session;
+      },
+    };
+  }, [supabase, session, systemUser, callbackData, isLoading, isUserLoading, error, requireMfa, signInUrl, navigate, siteUrl,
+    syncSession, loadCurrentUser, run]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+/**
+ * Read the auth state and actions of the nearest AuthProvider
+ * @returns {Object} { session, user, systemUser, isLoading, error, signIn, signUp, ... }
+ */
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside <AuthProvider>');
+  }
+  return context;
+};
+
+export default AuthProvider;
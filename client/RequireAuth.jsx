@@ -0,0 +1,115 @@
+// supabase-auth-module/client/RequireAuth.jsx
+import React, { useEffect } from 'react';
+import { useAuth } from './AuthProvider';
+import { rememberReturnUrl } from './authApi';
+
+/**
+ * Send signed-out users to the sign-in page, remembering the current page
+ * /supabase-callback then redirects back to it instead of the pair's thank-you page
+ */
+const useSignInRedirect = (shouldRedirect, signInUrl) => {
+  const auth = useAuth();
+  const url = signInUrl || auth.signInUrl;
+
+  useEffect(() => {
+    if (shouldRedirect) {
+      rememberReturnUrl();
+      auth.navigate(url);
+    }
+  }, [shouldRedirect, url]);
+};
+
+/**
+ * Render children only for signed-in users
+ * @param {string} [signInUrl] Overrides the AuthProvider's signInUrl
+ * @param {React.ReactNode} [fallback] Rendered while the session loads or before the redirect
+ */
+export const RequireAuth = ({ children, signInUrl, fallback = null }) => {
+  const { session, isLoading } = useAuth();
+  const signedOut = !isLoading && !session;
+
+  useSignInRedirect(signedOut, signInUrl);
+
+  if (isLoading || signedOut) {
+    return fallback;
+  }
+  return children;
+};
+
+/**
+ * Render children only for users with one of the roles (system_users.role)
+ * @param {string[]} roles Allowed roles, e.g. ['admin', 'editor']
+ * @param {React.ReactNode} [forbidden] Rendered for signed-in users without the role
+ */
+export const RequireRole = ({ roles = [], children, signInUrl, fallback = null, forbidden = null }) => {
+  const { session, systemUser, isLoading } = useAuth();
+  const signedOut = !isLoading && !session;
+
+  useSignInRedirect(signedOut, signInUrl);
+
+  if (isLoading || signedOut) {
+    return fallback;
+  }
+  return systemUser && roles.includes(systemUser.role) ? children : forbidden;
+};
+
+/**
+ * Render children only for users with a confirmed email address
+ * @param {React.ReactNode} [unverified] Rendered for signed-in users who have not confirmed their email
+ */
+export const RequireVerifiedEmail = ({
+  children,
+  signInUrl,
+  fallback = null,
+  unverified = <div className="message error">Please confirm your email address to continue.</div>
+}) => {
+  const { session, user, isLoading } = useAuth();
+  const signedOut = !isLoading && !session;
+
+  useSignInRedirect(signedOut, signInUrl);
+
+  if (isLoading || signedOut) {
+    return fallback;
+  }
+  return user.email_confirmed_at ? children : unverified;
+};
+
+/**
+ * Wrap a component in the guards
+ * @param {React.ComponentType} Component
+ * @param {Object} [options] { roles, requireVerifiedEmail, signInUrl, fallback, forbidden, unverified }
+ * @returns {React.ComponentType}
+ */
+export const withAuth = (Component, options = {}) => {
+  const { roles, requireVerifiedEmail = false, signInUrl, fallback = null, forbidden, unverified } = options;
+
+  const WithAuth = (props) => {
+    let content = <Component {...props} />;
+
+    if (requireVerifiedEmail) {
+      content = (
+        <RequireVerifiedEmail signInUrl={signInUrl} fallback={fallback} {...(unverified ? { unverified } : {})}>
+          {content}
+        </RequireVerifiedEmail>
+      );
+    }
+    if (roles) {
+      content = (
+        <RequireRole roles={roles} signInUrl={signInUrl} fallback={fallback} forbidden={forbidden}>
+          {content}
+        </RequireRole>
+      );
+    }
+
+    return (
+      <RequireAuth signInUrl={signInUrl} fallback={fallback}>
+        {content}
+      </RequireAuth>
+    );
+  };
+
+  WithAuth.displayName = `withAuth(${Component.displayName || Component.name || 'Component'})`;
+  return WithAuth;
+};
+
+export default RequireAuth;
@@ -0,0 +1,226 @@
+// supabase-auth-module/client/authApi.js
+// Client helpers shared by the auth components
+
+const START_PAGE_KEY = 'supabase_auth_start_page';
+const RETURN_URL_KEY = 'supabase_auth_return_url';
+// Both survive email links and OAuth round trips, so they live in localStorage for a while
+const SAVED_URL_TTL_MS = 60 * 60 * 1000; // 1 hour, like Supabase email links
+
+const saveUrl = (key, url) => {
+  try {
+    localStorage.setItem(key, JSON.stringify({ url, savedAt: Date.now() }));
+  } catch (error) {
+    console.error('Could not remember page:', error);
+  }
+};
+
+const takeUrl = (key) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key) || 'null');
+    localStorage.removeItem(key);
+    return saved && Date.now() - saved.savedAt < SAVED_URL_TTL_MS ? saved.url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Remember the page an auth flow starts on (magic link, OAuth, signup confirmation)
+ * These flows end on the callback page, so the server cannot see the registration page in the Referer
+ */
+export const rememberStartPage = () => {
+  saveUrl(START_PAGE_KEY, window.location.pathname + window.location.search);
+};
+
+/**
+ * Read and forget the remembered start page
+ * @returns {string|null} Path with query string, or null if none or expired
+ */
+export const takeStartPage = () => takeUrl(START_PAGE_KEY);
+
+/**
+ * Remember the page to return to after signing in (used by the RequireAuth guards)
+ * @param {string} [url] Local path, defaults to the current page
+ */
+export const rememberReturnUrl = (url = window.location.pathname + window.location.search + window.location.hash) => {
+  saveUrl(RETURN_URL_KEY, url);
+};
+
+/**
+ * Read and forget the remembered return URL
+ * @returns {string|null}
+ */
+export const takeReturnUrl = () => takeUrl(RETURN_URL_KEY);
+
+/**
+ * Post a Supabase session to /api/auth/supabase-callback (system user creation, logging, pair redirect)
+ * @param {Object} session Supabase session
+ * @param {Object} [options] { registrationPageUrl, returnUrl } - page the flow started on (defaults
+ *   to the Referer) and page to return to, which replaces the pair's redirect_url
+ * @returns {Promise<Object>} Callback response (redirect_url, matched_pair, ...)
+ */
+export const sendSessionToServer = async (session, { registrationPageUrl = null, returnUrl = null } = {}) => {
+  const response = await fetch('/api/auth/supabase-callback', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      access_token: session.access_token,
+      refresh_token: session.refresh_token,
+      ...(registrationPageUrl ? { registration_page_url: registrationPageUrl } : {}),
+      ...(returnUrl ? { return_url: returnUrl } : {})
+    })
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Authentication failed');
+  }
+
+  return data;
+};
+
+/**
+ * Fetch the current user from /api/auth/me (role, permissions, profile)
+ * @param {string} accessToken Access token of the session
+ * @returns {Promise<Object>} User
+ */
+export const fetchCurrentUser = async (accessToken) => {
+  const response = await fetch('/api/auth/me', {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load current user');
+  }
+
+  return data.user;
+};
+
+/**
+ * Update my profile (PATCH /api/auth/me)
+ * @param {string} accessToken Access token of the session
+ * @param {Object} updates { username?, display_name?, preferences? }
+ * @returns {Promise<Object>} Updated user
+ */
+export const updateCurrentUser = async (accessToken, updates) => {
+  const response = await fetch('/api/auth/me', {
+    method: 'PATCH',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(updates)
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to update profile');
+  }
+
+  return data.user;
+};
+
+/**
+ * Upload my avatar (PUT /api/auth/me/avatar)
+ * @param {string} accessToken Access token of the session
+ * @param {File|Blob} file PNG, JPEG, GIF or WebP image
+ * @returns {Promise<Object>} Updated user
+ */
+export const uploadAvatar = async (accessToken, file) => {
+  const response = await fetch('/api/auth/me/avatar', {
+    method: 'PUT',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': file.type,
+    },
+    body: file
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to upload avatar');
+  }
+
+  return data.user;
+};
+
+/**
+ * Download all data the server stores about me (GET /api/auth/me/export)
+ * @param {string} accessToken Access token of the session
+ * @returns {Promise<Object>} Export bundle
+ */
+export const exportMyData = async (accessToken) => {
+  const response = await fetch('/api/auth/me/export', {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to export data');
+  }
+
+  return data;
+};
+
+/**
+ * Request, confirm or cancel deletion of my account (/api/auth/me/delete)
+ * @param {string} accessToken Access token of the session
+ * @param {string} action 'request', 'confirm' or 'cancel'
+ * @param {string} [confirmationToken] Token returned by the request step, for 'confirm'
+ * @returns {Promise<Object>} { request, confirmation_token?, grace_days? }
+ */
+export const manageAccountDeletion = async (accessToken, action, confirmationToken = null) => {
+  const requests = {
+    request: { url: '/api/auth/me/delete', method: 'POST' },
+    confirm: { url: '/api/auth/me/delete/confirm', method: 'POST', body: { confirmation_token: confirmationToken } },
+    cancel: { url: '/api/auth/me/delete', method: 'DELETE' },
+  };
+  const { url, method, body } = requests[action];
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to update account deletion');
+  }
+
+  return data;
+};
+
+/**
+ * Revoke the server-side session (/api/auth/logout) before signing out of Supabase
+ * Failures are logged only: the Supabase sign-out must still happen
+ * @param {string} accessToken Access token of the session
+ */
+export const revokeServerSession = async (accessToken) => {
+  try {
+    await fetch('/api/auth/logout', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+      },
+    });
+  } catch (error) {
+    console.error('Server logout error:', error);
+  }
+};
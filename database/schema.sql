@@ -8,18 +8,38 @@ CREATE TABLE IF NOT EXISTS wp_user_registrations (
   user_id UUID NOT NULL,
   registered_at TIMESTAMPTZ DEFAULT NOW(),
   site_url TEXT,
+  site_id UUID, -- Site resolved from the request origin (see sites)
   created_at TIMESTAMPTZ DEFAULT NOW(),
   pair_id UUID, -- Reference to registration pair
   registration_url TEXT, -- URL where user registered
   thankyou_page_url TEXT -- URL of thank you page
 );
 
+-- Registry of sites served by this backend (one row per WordPress/landing site)
+CREATE TABLE IF NOT EXISTS sites (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  site_url TEXT NOT NULL UNIQUE,
+  name TEXT,
+  allowed_origins TEXT[] DEFAULT '{}', -- Extra origins accepted for this site, e.g. {'https://www.example.com'}
+  default_thankyou_page_url TEXT, -- Redirect when no pair matches
+  default_welcome_back_page_url TEXT, -- Redirect for returning users when no pair matches
+  settings JSONB DEFAULT '{}'::jsonb, -- Free-form per-site settings
+  active BOOLEAN DEFAULT TRUE, -- Inactive sites are rejected by CSRF protection
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Table for registration pairs (from original plugin)
 CREATE TABLE IF NOT EXISTS wp_registration_pairs (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   site_url TEXT NOT NULL,
-  registration_page_url TEXT NOT NULL,
+  site_id UUID REFERENCES sites(id) ON DELETE SET NULL, -- Registered site the pair belongs to
+  registration_page_url TEXT NOT NULL, -- Path or pattern, interpreted according to match_mode
   thankyou_page_url TEXT NOT NULL,
+  welcome_back_page_url TEXT, -- Optional redirect for returning users (login instead of registration)
+  match_mode TEXT DEFAULT 'exact', -- 'exact', 'prefix', 'glob', 'regex'
+  priority INTEGER DEFAULT 0, -- Higher priority wins when several pairs match
+  query_params JSONB DEFAULT '{}'::jsonb, -- Required query params, e.g. {"utm_campaign": "spring"}; "*" = any value
   registration_page_id TEXT, -- Can be used for external page IDs
   thankyou_page_id TEXT, -- Can be used for external page IDs
   created_at TIMESTAMPTZ DEFAULT NOW(),
@@ -34,6 +54,13 @@ CREATE TABLE IF NOT EXISTS system_users (
   username TEXT,
   display_name TEXT,
   role TEXT DEFAULT 'user',
+  status TEXT DEFAULT 'active', -- 'active', 'suspended'
+  suspended_at TIMESTAMPTZ,
+  last_provider TEXT, -- provider of the latest sign-in: 'email', 'google', 'github', ...
+  providers TEXT[] DEFAULT '{}', -- every provider linked to the account (app_metadata.providers)
+  profile JSONB DEFAULT '{}'::jsonb, -- custom signup form fields (company, ...)
+  preferences JSONB DEFAULT '{}'::jsonb, -- locale, timezone, marketing_opt_in (PATCH /me)
+  avatar_url TEXT, -- public URL in the avatars Storage bucket
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW(),
   last_login TIMESTAMPTZ
@@ -43,20 +70,296 @@ CREATE TABLE IF NOT EXISTS system_users (
 CREATE TABLE IF NOT EXISTS auth_events (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   user_id UUID NOT NULL,
-  event_type TEXT NOT NULL, -- 'login', 'logout', 'registration', 'token_refresh'
+  event_type TEXT NOT NULL, -- 'login', 'logout', 'registration', 'token_refresh',
+                            -- 'role_change', 'user_update', 'user_suspended', 'user_reactivated', 'user_deleted',
+                            -- 'data_export', 'deletion_requested', 'deletion_confirmed', 'deletion_cancelled', 'deletion_scheduled'
   ip_address INET,
   user_agent TEXT,
+  metadata JSONB, -- Event details, e.g. acting admin, changed fields or sign-in provider
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Table for server-side sessions (device tracking, refresh-token rotation, revocation)
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL, -- Supabase user ID
+  supabase_session_id UUID UNIQUE, -- session_id claim of the Supabase JWT
+  refresh_token_hash TEXT, -- SHA-256 of the current refresh token
+  previous_refresh_token_hash TEXT, -- SHA-256 of the rotated-away refresh token (reuse detection)
+  device TEXT,
+  ip_address INET,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  refreshed_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  revoked_reason TEXT -- 'logout', 'logout_all', 'refresh_token_reuse'
+);
+
+-- Table for rate limit and lockout counters (used when RATE_LIMIT_STORE=postgres)
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,
+  total_hits INTEGER NOT NULL DEFAULT 0,
+  reset_time TIMESTAMPTZ NOT NULL
+);
+
+-- Atomically count a hit; starts a new window when the previous one has expired
+CREATE OR REPLACE FUNCTION rate_limit_increment(p_key TEXT, p_window_ms INTEGER)
+RETURNS TABLE (total_hits INTEGER, reset_time TIMESTAMPTZ)
+LANGUAGE sql AS $$
+  INSERT INTO rate_limits AS rl (key, total_hits, reset_time)
+  VALUES (p_key, 1, NOW() + make_interval(secs => p_window_ms / 1000.0))
+  ON CONFLICT (key) DO UPDATE SET
+    total_hits = CASE WHEN rl.reset_time <= NOW() THEN 1 ELSE rl.total_hits + 1 END,
+    reset_time = CASE WHEN rl.reset_time <= NOW()
+                      THEN NOW() + make_interval(secs => p_window_ms / 1000.0)
+                      ELSE rl.reset_time END
+  RETURNING rl.total_hits, rl.reset_time;
+$$;
+
+CREATE OR REPLACE FUNCTION rate_limit_decrement(p_key TEXT)
+RETURNS VOID
+LANGUAGE sql AS $$
+  UPDATE rate_limits
+  SET total_hits = GREATEST(total_hits - 1, 0)
+  WHERE key = p_key AND reset_time > NOW();
+$$;
+
+-- Table for outgoing webhook endpoints
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL, -- HMAC-SHA256 signing secret
+  events TEXT[] NOT NULL, -- e.g. {'user.created','registration.logged'}; '*' = all events
+  site_url TEXT, -- Only events from this site (NULL = all sites)
+  pair_id UUID REFERENCES wp_registration_pairs(id) ON DELETE CASCADE, -- Only events for this pair (NULL = all pairs)
+  description TEXT,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table for webhook delivery log (one row per event per endpoint)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'success', 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT, -- Truncated response of the last attempt
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table for consents given at signup (terms of service, privacy policy, marketing, ...)
+CREATE TABLE IF NOT EXISTS consent_records (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL, -- Supabase user ID
+  system_user_id UUID REFERENCES system_users(id) ON DELETE SET NULL,
+  consent_type TEXT NOT NULL, -- 'terms', 'privacy', 'marketing' or a custom checkbox name
+  version TEXT NOT NULL, -- Version of the accepted document
+  accepted_at TIMESTAMPTZ NOT NULL, -- When the user ticked the checkbox (reported by the client)
+  recorded_at TIMESTAMPTZ DEFAULT NOW(),
+  ip_address INET,
+  user_agent TEXT,
+  UNIQUE (user_id, consent_type, version)
+);
+
+-- Account deletion requests (GDPR erasure)
+-- Users request and confirm deletion; the account is erased when scheduled_for passes
+CREATE TABLE IF NOT EXISTS deletion_requests (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL, -- Supabase user ID
+  system_user_id UUID, -- Kept after the system user is erased
+  email TEXT, -- Cleared once the erasure is completed
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending' (awaiting confirmation), 'scheduled', 'cancelled', 'completed'
+  requested_by UUID, -- Supabase user ID of the admin who filed the request, NULL for self-service
+  confirmation_token_hash TEXT, -- SHA-256 of the confirmation token
+  confirmation_expires_at TIMESTAMPTZ,
+  confirmed_at TIMESTAMPTZ,
+  scheduled_for TIMESTAMPTZ, -- End of the grace period
+  cancelled_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  last_error TEXT, -- Error of the last failed erasure attempt (retried on the next run)
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Data retention runs (server/retention.js): what each run anonymized or deleted
+CREATE TABLE IF NOT EXISTS retention_runs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  trigger TEXT NOT NULL, -- 'scheduler', 'cli' or 'admin'
+  triggered_by UUID, -- Supabase user ID of the admin who started the run
+  dry_run BOOLEAN NOT NULL DEFAULT FALSE, -- Counted only, nothing was changed
+  status TEXT NOT NULL, -- 'completed' or 'failed' (at least one rule failed)
+  results JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ rule, table, action, days, cutoff, affected, error? }]
+  started_at TIMESTAMPTZ NOT NULL,
+  finished_at TIMESTAMPTZ
+);
+
+-- Admin audit trail (server/audit.js): who changed what through the admin API
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  actor_id UUID, -- Supabase user ID of the admin
+  actor_email TEXT,
+  actor_role TEXT, -- System role at the time of the action
+  action TEXT NOT NULL, -- e.g. 'pair.create', 'pair.update', 'pair.delete', 'user.role_change'
+  target_type TEXT NOT NULL, -- 'pair' or 'user'
+  target_id TEXT, -- ID of the pair or system user
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb, -- { field: { before, after } }
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb, -- e.g. { source: 'import', row } or a suspension reason
+  ip_address INET,
+  user_agent TEXT,
+  request_id TEXT, -- X-Request-Id, matches the server logs
+  method TEXT,
+  path TEXT,
+  status INTEGER, -- Response status of the request
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Data retention: truncate auth_events IP addresses older than p_before to their network
+-- (e.g. 203.0.113.7 -> 203.0.113.0/24) and remove user agents; rows already truncated are skipped
+-- Returns the number of rows changed, or with p_dry_run the number that would be changed
+CREATE OR REPLACE FUNCTION retention_anonymize_auth_events(
+  p_before TIMESTAMPTZ,
+  p_ipv4_prefix INTEGER DEFAULT 24,
+  p_ipv6_prefix INTEGER DEFAULT 48,
+  p_dry_run BOOLEAN DEFAULT FALSE
+)
+RETURNS BIGINT
+LANGUAGE sql AS $$
+  WITH candidates AS (
+    SELECT id FROM auth_events
+    WHERE created_at < p_before
+      AND (user_agent IS NOT NULL OR
+           masklen(ip_address) > CASE family(ip_address) WHEN 4 THEN p_ipv4_prefix ELSE p_ipv6_prefix END)
+  ),
+  anonymized AS (
+    UPDATE auth_events e SET
+      ip_address = network(set_masklen(e.ip_address,
+        CASE family(e.ip_address) WHEN 4 THEN p_ipv4_prefix ELSE p_ipv6_prefix END))::inet,
+      user_agent = NULL
+    FROM candidates c
+    WHERE e.id = c.id AND NOT p_dry_run
+    RETURNING 1
+  )
+  SELECT CASE WHEN p_dry_run THEN (SELECT COUNT(*) FROM candidates) ELSE (SELECT COUNT(*) FROM anonymized) END;
+$$;
+
+-- Registration statistics: registrations per period, split into new and returning users
+-- A registration is "returning" when the user had an earlier login or registration event
+CREATE OR REPLACE FUNCTION registration_stats_series(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_interval TEXT, -- 'day', 'week', 'month'
+  p_site_url TEXT DEFAULT NULL,
+  p_pair_id UUID DEFAULT NULL
+)
+RETURNS TABLE (period TIMESTAMPTZ, total BIGINT, new_users BIGINT, returning_users BIGINT)
+LANGUAGE sql STABLE AS $$
+  WITH periods AS (
+    SELECT generate_series(
+      date_trunc(p_interval, p_from),
+      p_to - INTERVAL '1 microsecond',
+      ('1 ' || p_interval)::INTERVAL
+    ) AS period
+  ),
+  registrations AS (
+    SELECT
+      date_trunc(p_interval, r.registered_at) AS period,
+      EXISTS (
+        SELECT 1 FROM auth_events e
+        WHERE e.user_id = r.user_id
+          AND e.event_type IN ('registration', 'login')
+          AND e.created_at < r.registered_at
+      ) AS is_returning
+    FROM wp_user_registrations r
+    WHERE r.registered_at >= p_from
+      AND r.registered_at < p_to
+      AND (p_site_url IS NULL OR r.site_url = p_site_url)
+      AND (p_pair_id IS NULL OR r.pair_id = p_pair_id)
+  )
+  SELECT
+    p.period,
+    COUNT(r.period),
+    COUNT(r.period) FILTER (WHERE NOT r.is_returning),
+    COUNT(r.period) FILTER (WHERE r.is_returning)
+  FROM periods p
+  LEFT JOIN registrations r ON r.period = p.period
+  GROUP BY p.period
+  ORDER BY p.period;
+$$;
+
+-- Registration statistics grouped by 'pair', 'site' or 'registration_url', largest first
+CREATE OR REPLACE FUNCTION registration_stats_breakdown(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_group_by TEXT,
+  p_site_url TEXT DEFAULT NULL,
+  p_pair_id UUID DEFAULT NULL
+)
+RETURNS TABLE (key TEXT, total BIGINT, new_users BIGINT, returning_users BIGINT)
+LANGUAGE sql STABLE AS $$
+  WITH registrations AS (
+    SELECT
+      CASE p_group_by
+        WHEN 'pair' THEN r.pair_id::TEXT
+        WHEN 'site' THEN r.site_url
+        ELSE r.registration_url
+      END AS key,
+      EXISTS (
+        SELECT 1 FROM auth_events e
+        WHERE e.user_id = r.user_id
+          AND e.event_type IN ('registration', 'login')
+          AND e.created_at < r.registered_at
+      ) AS is_returning
+    FROM wp_user_registrations r
+    WHERE r.registered_at >= p_from
+      AND r.registered_at < p_to
+      AND (p_site_url IS NULL OR r.site_url = p_site_url)
+      AND (p_pair_id IS NULL OR r.pair_id = p_pair_id)
+  )
+  SELECT
+    key,
+    COUNT(*),
+    COUNT(*) FILTER (WHERE NOT is_returning),
+    COUNT(*) FILTER (WHERE is_returning)
+  FROM registrations
+  GROUP BY key
+  ORDER BY COUNT(*) DESC, key;
+$$;
+
+-- Upgrades for databases created with an earlier version of this schema
+ALTER TABLE system_users ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'active';
+ALTER TABLE system_users ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+ALTER TABLE auth_events ADD COLUMN IF NOT EXISTS metadata JSONB;
+ALTER TABLE wp_registration_pairs ADD COLUMN IF NOT EXISTS match_mode TEXT DEFAULT 'exact';
+ALTER TABLE wp_registration_pairs ADD COLUMN IF NOT EXISTS priority INTEGER DEFAULT 0;
+ALTER TABLE wp_registration_pairs ADD COLUMN IF NOT EXISTS query_params JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE wp_registration_pairs ADD COLUMN IF NOT EXISTS welcome_back_page_url TEXT;
+ALTER TABLE wp_registration_pairs ADD COLUMN IF NOT EXISTS site_id UUID REFERENCES sites(id) ON DELETE SET NULL;
+ALTER TABLE wp_user_registrations ADD COLUMN IF NOT EXISTS site_id UUID;
+ALTER TABLE system_users ADD COLUMN IF NOT EXISTS last_provider TEXT;
+ALTER TABLE system_users ADD COLUMN IF NOT EXISTS providers TEXT[] DEFAULT '{}';
+ALTER TABLE system_users ADD COLUMN IF NOT EXISTS profile JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE system_users ADD COLUMN IF NOT EXISTS preferences JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE system_users ADD COLUMN IF NOT EXISTS avatar_url TEXT;
+
 -- Indexes for better performance on user lookups
 CREATE INDEX IF NOT EXISTS idx_wp_user_registrations_user_id ON wp_user_registrations(user_id);
 CREATE INDEX IF NOT EXISTS idx_wp_user_registrations_email ON wp_user_registrations(user_email);
 CREATE INDEX IF NOT EXISTS idx_wp_user_registrations_registered_at ON wp_user_registrations(registered_at);
 CREATE INDEX IF NOT EXISTS idx_wp_user_registrations_pair_id ON wp_user_registrations(pair_id);
+CREATE INDEX IF NOT EXISTS idx_wp_user_registrations_user_pair ON wp_user_registrations(user_id, pair_id);
 
 -- Indexes for registration pairs
 CREATE INDEX IF NOT EXISTS idx_wp_registration_pairs_site_url ON wp_registration_pairs(site_url);
+CREATE INDEX IF NOT EXISTS idx_wp_registration_pairs_site_id ON wp_registration_pairs(site_id);
 CREATE INDEX IF NOT EXISTS idx_wp_registration_pairs_reg_url ON wp_registration_pairs(registration_page_url);
 CREATE INDEX IF NOT EXISTS idx_wp_registration_pairs_ty_url ON wp_registration_pairs(thankyou_page_url);
 
@@ -64,11 +367,47 @@ CREATE INDEX IF NOT EXISTS idx_wp_registration_pairs_ty_url ON wp_registration_p
 CREATE INDEX IF NOT EXISTS idx_system_users_supabase_id ON system_users(supabase_user_id);
 CREATE INDEX IF NOT EXISTS idx_system_users_email ON system_users(email);
 CREATE INDEX IF NOT EXISTS idx_system_users_role ON system_users(role);
+CREATE INDEX IF NOT EXISTS idx_system_users_status ON system_users(status);
+CREATE INDEX IF NOT EXISTS idx_system_users_providers ON system_users USING GIN (providers);
+-- Usernames are unique regardless of case (rename duplicates before upgrading an existing database)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_system_users_username_unique ON system_users(LOWER(username));
+
+-- Index for consent records
+CREATE INDEX IF NOT EXISTS idx_consent_records_system_user_id ON consent_records(system_user_id);
+
+-- Indexes for deletion requests; one open request per user
+CREATE INDEX IF NOT EXISTS idx_deletion_requests_status_scheduled ON deletion_requests(status, scheduled_for);
+CREATE INDEX IF NOT EXISTS idx_deletion_requests_user_id ON deletion_requests(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deletion_requests_open_user ON deletion_requests(user_id)
+  WHERE status IN ('pending', 'scheduled');
+
+-- Index for retention runs
+CREATE INDEX IF NOT EXISTS idx_retention_runs_started_at ON retention_runs(started_at);
+
+-- Indexes for the admin audit trail
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor_id ON admin_audit_log(actor_id);
+
+-- Indexes for sessions
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_refresh_token_hash ON sessions(refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_refresh_token_hash ON sessions(previous_refresh_token_hash);
+
+-- Index for pruning expired rate limit counters (the rate_limits maintenance job)
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_time ON rate_limits(reset_time);
+
+-- Indexes for webhooks
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_active ON webhook_endpoints(active);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint_id ON webhook_deliveries(endpoint_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status_next ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at ON webhook_deliveries(created_at);
 
 -- Indexes for auth events
 CREATE INDEX IF NOT EXISTS idx_auth_events_user_id ON auth_events(user_id);
 CREATE INDEX IF NOT EXISTS idx_auth_events_event_type ON auth_events(event_type);
 CREATE INDEX IF NOT EXISTS idx_auth_events_created_at ON auth_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_auth_events_user_created ON auth_events(user_id, created_at); -- returning-user checks in registration stats
 
 -- Grant necessary permissions (adjust based on your Supabase RLS policies)
 -- Note: In Supabase, you might want to enable RLS and create policies instead
@@ -77,8 +416,17 @@ CREATE INDEX IF NOT EXISTS idx_auth_events_created_at ON auth_events(created_at)
 /*
 ALTER TABLE wp_user_registrations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE wp_registration_pairs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sites ENABLE ROW LEVEL SECURITY;
 ALTER TABLE system_users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE auth_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rate_limits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE consent_records ENABLE ROW LEVEL SECURITY;
+ALTER TABLE deletion_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE retention_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_audit_log ENABLE ROW LEVEL SECURITY;
 
 -- Policy for wp_user_registrations - only service role can insert
 CREATE POLICY "Service role can insert registrations" ON wp_user_registrations
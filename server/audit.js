@@ -0,0 +1,115 @@
+// supabase-auth-module/server/audit.js
+// Admin audit trail: who changed what, stored in admin_audit_log
+
+const supabase = require('../utils/supabaseClient');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'audit' });
+
+const AUDIT_COLUMNS = 'id, actor_id, actor_email, actor_role, action, target_type, target_id, changes, metadata, ' +
+  'ip_address, user_agent, request_id, method, path, status, created_at';
+
+// Bookkeeping columns that change on every write
+const IGNORED_DIFF_FIELDS = ['created_at', 'updated_at'];
+
+const TARGET_TYPE_PATTERN = /^[a-z_]{1,50}$/;
+const ACTION_PATTERN = /^[a-z_]+(\.[a-z_]+)*$/;
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Field-level diff of two versions of a record
+ * A create has no before, a delete no after; every field is reported then
+ * @returns {Object} { field: { before, after } } for the fields that differ
+ */
+function diffRecords(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach((field) => {
+    if (IGNORED_DIFF_FIELDS.includes(field)) return;
+
+    const previous = before ? before[field] : undefined;
+    const next = after ? after[field] : undefined;
+    if (!sameValue(previous, next)) {
+      changes[field] = {
+        before: previous === undefined ? null : previous,
+        after: next === undefined ? null : next
+      };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Build an admin_audit_log row for an action taken in a request
+ * @param {Object} req Express request (after authMiddleware)
+ * @param {Object} entry { action, targetType, targetId, before, after, metadata }
+ * @param {number} status Response status
+ */
+function buildAuditRow(req, entry, status) {
+  const user = req.user || {};
+
+  return {
+    actor_id: user.id || null,
+    actor_email: user.email || null,
+    actor_role: user.system_role || null,
+    action: entry.action,
+    target_type: entry.targetType,
+    target_id: entry.targetId ? String(entry.targetId) : null,
+    changes: diffRecords(entry.before, entry.after),
+    metadata: entry.metadata || {},
+    ip_address: req.ip || null,
+    user_agent: req.get('User-Agent') || null,
+    request_id: req.id || null,
+    method: req.method,
+    path: req.baseUrl + req.path,
+    status
+  };
+}
+
+/**
+ * Store the audit entries of a request
+ * Failures are logged only: the action itself has already happened
+ * @returns {Promise<Object>} { success, error? }
+ */
+async function recordAuditEntries(req, entries, status) {
+  if (!entries || entries.length === 0) {
+    return { success: true };
+  }
+
+  try {
+    const { error } = await supabase
+      .from('admin_audit_log')
+      .insert(entries.map((entry) => buildAuditRow(req, entry, status)));
+
+    if (error) {
+      log.error('Audit log write error', { error: error.message, actions: entries.map((entry) => entry.action) });
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (err) {
+    log.error('Audit log write exception', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Validate an audit entry passed to req.audit()
+ * @returns {boolean}
+ */
+function isValidAuditEntry(entry) {
+  return Boolean(entry) && ACTION_PATTERN.test(entry.action || '') && TARGET_TYPE_PATTERN.test(entry.targetType || '');
+}
+
+module.exports = {
+  AUDIT_COLUMNS,
+  diffRecords,
+  buildAuditRow,
+  recordAuditEntries,
+  isValidAuditEntry
+};
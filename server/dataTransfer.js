@@ -0,0 +1,364 @@
+// supabase-auth-module/server/dataTransfer.js
+// CSV/JSON export of admin lists and bulk import of registration pairs
+
+const supabase = require('../utils/supabaseClient');
+const { validatePairInput } = require('./pairMatcher');
+const { findSiteByUrl } = require('./sites');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const EXPORT_BATCH_SIZE = 1000;
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns of a pairs CSV, in order (id and timestamps are exported but ignored on import)
+const PAIR_IMPORT_COLUMNS = [
+  'site_url',
+  'registration_page_url',
+  'thankyou_page_url',
+  'welcome_back_page_url',
+  'match_mode',
+  'priority',
+  'query_params',
+  'registration_page_id',
+  'thankyou_page_id'
+];
+
+// Spreadsheet apps treat cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one CSV cell: objects as JSON, formula-like strings prefixed with "'"
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return values.map(toCsvValue).join(',') + '\r\n';
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line endings)
+ * The first line is the header
+ * @returns {Object[]} One object per data row keyed by header name
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, ''); // strip a UTF-8 byte order mark
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...dataRows] = rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map((key) => key.trim());
+  return dataRows.map((cells) =>
+    Object.fromEntries(keys.map((key, index) => [key, cells[index] === undefined ? '' : cells[index]]))
+  );
+}
+
+/**
+ * Stream every row of a query as CSV or JSON, fetching EXPORT_BATCH_SIZE rows at a time
+ * @param {Object} res Express response
+ * @param {Object} options { buildQuery, columns, format, filename }
+ *   buildQuery() must return a fresh Supabase query selecting `columns`, filtered and ordered
+ */
+async function streamExport(res, { buildQuery, columns, format, filename }) {
+  const fetchBatch = async (offset) => {
+    const { data, error } = await buildQuery().range(offset, offset + EXPORT_BATCH_SIZE - 1);
+    if (error) {
+      throw new Error(error.message);
+    }
+    return data || [];
+  };
+
+  // Fetch the first batch before sending headers so query errors still produce a JSON 500
+  let batch = await fetchBatch(0);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${date}.${format}"`);
+  res.write(format === 'csv' ? toCsvLine(columns) : '[');
+
+  let offset = 0;
+  let first = true;
+
+  while (batch.length > 0) {
+    let chunk = '';
+    for (const row of batch) {
+      if (format === 'csv') {
+        chunk += toCsvLine(columns.map((column) => row[column]));
+      } else {
+        chunk += (first ? '\n' : ',\n') + JSON.stringify(row);
+        first = false;
+      }
+    }
+    res.write(chunk);
+
+    if (batch.length < EXPORT_BATCH_SIZE) {
+      break;
+    }
+    offset += EXPORT_BATCH_SIZE;
+    batch = await fetchBatch(offset);
+  }
+
+  res.end(format === 'csv' ? '' : '\n]\n');
+}
+
+/**
+ * Turn a CSV import row into pair input: empty cells become undefined, query_params is parsed
+ * @returns {Object} Pair input, or { parseError } when a cell cannot be read
+ */
+function normalizeCsvPairRow(row) {
+  const input = {};
+
+  for (const column of PAIR_IMPORT_COLUMNS) {
+    let value = row[column] === undefined ? '' : String(row[column]).trim();
+    // Undo the formula protection added by toCsvValue
+    if (/^'[=+\-@]/.test(value)) {
+      value = value.slice(1);
+    }
+    input[column] = value === '' ? undefined : value;
+  }
+
+  if (input.query_params) {
+    try {
+      input.query_params = JSON.parse(input.query_params);
+    } catch (e) {
+      return { parseError: 'query_params must be a JSON object' };
+    }
+  }
+
+  return input;
+}
+
+/**
+ * Read import rows from a request: CSV text, a JSON array, or { rows: [...] }
+ * @returns {Object} { rows } or { error }
+ */
+function readImportRows(body, isCsv) {
+  let rows;
+
+  if (isCsv) {
+    if (typeof body !== 'string') {
+      return { error: 'Expected a CSV body' };
+    }
+    try {
+      rows = parseCsv(body).map(normalizeCsvPairRow);
+    } catch (e) {
+      return { error: `Invalid CSV: ${e.message}` };
+    }
+  } else {
+    rows = Array.isArray(body) ? body : body && body.rows;
+    if (!Array.isArray(rows)) {
+      return { error: 'Expected a JSON array of pairs or { rows: [...] }' };
+    }
+  }
+
+  if (rows.length === 0) {
+    return { error: 'No rows to import' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `Too many rows (max ${MAX_IMPORT_ROWS})` };
+  }
+
+  return { rows };
+}
+
+function pairKey(siteUrl, registrationPageUrl) {
+  return `${siteUrl.replace(/\/+$/, '')} ${registrationPageUrl}`;
+}
+
+/**
+ * Load existing pairs for the given sites, keyed by (site_url, registration_page_url)
+ */
+async function loadExistingPairs(siteUrls) {
+  const siteVariants = [...new Set(siteUrls.flatMap((url) => [url, url.replace(/\/+$/, '')]))];
+  if (siteVariants.length === 0) {
+    return new Map();
+  }
+
+  const { data, error } = await supabase
+    .from('wp_registration_pairs')
+    .select('*')
+    .in('site_url', siteVariants);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return new Map((data || []).map((pair) => [pairKey(pair.site_url, pair.registration_page_url), pair]));
+}
+
+/**
+ * Validate and import registration pairs
+ * mode "insert" rejects rows whose (site_url, registration_page_url) already exists,
+ * mode "upsert" updates those pairs instead. Invalid rows are reported and skipped.
+ * @param {Object[]} rows Pair inputs (see readImportRows)
+ * @param {Object} options { mode: 'insert'|'upsert', dryRun }
+ * @returns {Promise<Object>} Summary with one result per row: { row, action, pair?, previous?, errors? }
+ */
+async function importPairs(rows, { mode = 'insert', dryRun = true } = {}) {
+  const results = rows.map((input, index) => {
+    const row = index + 1;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { row, action: 'error', errors: ['row must be an object'] };
+    }
+    if (input.parseError) {
+      return { row, action: 'error', errors: [input.parseError] };
+    }
+
+    const errors = [];
+    const fields = validatePairInput(input, errors);
+    return fields
+      ? { row, action: null, fields }
+      : { row, action: 'error', errors: errors.map((field) => `invalid ${field}`) };
+  });
+
+  const valid = results.filter((result) => result.fields);
+  const existing = await loadExistingPairs([...new Set(valid.map((result) => result.fields.site_url))]);
+  const seen = new Map();
+
+  for (const result of valid) {
+    // Link pairs to their registered site, as the pair API does
+    const site = await findSiteByUrl(result.fields.site_url);
+    result.fields.site_id = site ? site.id : null;
+
+    const key = pairKey(result.fields.site_url, result.fields.registration_page_url);
+    const match = existing.get(key);
+
+    if (seen.has(key)) {
+      result.action = 'error';
+      result.errors = [`duplicate of row ${seen.get(key)}`];
+    } else if (match && mode !== 'upsert') {
+      result.action = 'error';
+      result.errors = ['pair already exists (use mode=upsert to update it)'];
+    } else {
+      result.action = match ? 'update' : 'create';
+      result.existingId = match ? match.id : null;
+      result.previous = match || null;
+    }
+    seen.set(key, result.row);
+  }
+
+  if (!dryRun) {
+    await writeImportedPairs(results);
+  }
+
+  const count = (action) => results.filter((result) => result.action === action).length;
+
+  return {
+    dry_run: dryRun,
+    mode,
+    total: results.length,
+    created: count('create'),
+    updated: count('update'),
+    failed: count('error'),
+    results: results.map(({ row, action, fields, pair, previous, errors }) => ({
+      row,
+      action,
+      ...(pair || fields ? { pair: pair || fields } : {}),
+      ...(action === 'update' && previous ? { previous } : {}),
+      ...(errors ? { errors } : {})
+    }))
+  };
+}
+
+/**
+ * Write the create/update results of importPairs; rows that fail to save turn into errors
+ */
+async function writeImportedPairs(results) {
+  const creates = results.filter((result) => result.action === 'create');
+  const updates = results.filter((result) => result.action === 'update');
+
+  if (creates.length > 0) {
+    const { data, error } = await supabase
+      .from('wp_registration_pairs')
+      .insert(creates.map((result) => result.fields))
+      .select();
+
+    creates.forEach((result, index) => {
+      if (error) {
+        result.action = 'error';
+        result.errors = [error.message];
+      } else {
+        result.pair = data[index];
+      }
+    });
+  }
+
+  for (const result of updates) {
+    const { data, error } = await supabase
+      .from('wp_registration_pairs')
+      .update({ ...result.fields, updated_at: new Date().toISOString() })
+      .eq('id', result.existingId)
+      .select();
+
+    if (error || !data || data.length === 0) {
+      result.action = 'error';
+      result.errors = [error ? error.message : 'pair no longer exists'];
+    } else {
+      result.pair = data[0];
+    }
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  PAIR_IMPORT_COLUMNS,
+  parseCsv,
+  toCsvLine,
+  streamExport,
+  readImportRows,
+  importPairs
+};
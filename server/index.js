@@ -1,60 +1,234 @@
 // supabase-auth-module/server/index.js
 const express = require('express');
 const bodyParser = require('body-parser');
-const { verifyJwt } = require('./verifyJwt');
+const crypto = require('crypto');
+const { verifyJwtDetailed } = require('./verifyJwt');
 const supabase = require('../utils/supabaseClient');
 const { authMiddleware } = require('./middleware/authMiddleware');
+const { requireRole, requirePermission, clearRoleCache, ROLES } = require('./middleware/roleMiddleware');
+const { requireAal } = require('./middleware/claimsMiddleware');
+const { selectBestPair, validatePairInput } = require('./pairMatcher');
+const {
+  recordSession,
+  isSessionRevoked,
+  listUserSessions,
+  revokeSession,
+  revokeSupabaseSession,
+  revokeAllUserSessions,
+  rotateRefreshToken
+} = require('./sessions');
+const {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  emitWebhookEvent,
+  redeliver,
+  resolveWebhookTarget
+} = require('./webhooks');
+const {
+  STATS_INTERVALS,
+  STATS_BREAKDOWNS,
+  parseStatsRange,
+  getRegistrationSeries,
+  getRegistrationBreakdown
+} = require('./stats');
+const { parseSignupMetadata, recordConsents } = require('./signupProfile');
+const {
+  AVATAR_TYPES,
+  PREFERENCE_VALIDATORS,
+  BOOLEAN_PREFERENCES,
+  getAvatarConfig,
+  parsePreferences,
+  mergePreferences,
+  detectAvatarType,
+  uploadAvatar,
+  removeAvatar
+} = require('./profile');
+const {
+  DELETION_REQUEST_COLUMNS,
+  getDeletionGraceDays,
+  buildUserExport,
+  findOpenDeletionRequest,
+  requestDeletion,
+  confirmDeletion,
+  cancelDeletion,
+  processDueDeletions
+} = require('./privacy');
+const { getRetentionPolicy, runRetention, listRetentionRuns } = require('./retention');
+const { AUDIT_COLUMNS } = require('./audit');
+const { refreshKeys, getJwksStatus } = require('./jwks');
+const {
+  EXPORT_FORMATS,
+  PAIR_IMPORT_COLUMNS,
+  streamExport,
+  readImportRows,
+  importPairs
+} = require('./dataTransfer');
+const {
+  clearSiteCache,
+  findSiteById,
+  findSiteByUrl,
+  getRequestOrigin,
+  resolveRequestSite,
+  validateSiteInput
+} = require('./sites');
 const { 
   validateEmail, 
   validateUuid, 
   validateUrlPath, 
   validateSiteUrl,
+  validateUsername,
+  validateReturnUrl,
+  validateDisplayName,
   csrfProtection,
-  rateLimitMiddleware 
+  rateLimitMiddleware,
+  accountLockout,
+  auditLog
 } = require('./middleware/securityMiddleware');
+const { createLogger, requestIdMiddleware } = require('./logger');
+
+const log = createLogger({ component: 'auth-routes' });
 
 const router = express.Router();
+// First, so every log entry written for a request carries its request_id
+router.use(requestIdMiddleware);
 router.use(bodyParser.json());
 
 // Rate limiting for authentication endpoints
-router.use('/supabase-callback', rateLimitMiddleware(10, 60)); // 10 attempts per 60 seconds
-router.use('/admin/*', rateLimitMiddleware(20, 60)); // 20 attempts per 60 seconds for admin
+router.use('/supabase-callback', rateLimitMiddleware({ name: 'callback', max: 10, windowSeconds: 60, keyBy: 'ip' }));
+router.use('/supabase-callback', accountLockout({ name: 'callback-lockout', keyBy: 'user' }));
+router.use('/admin/*', rateLimitMiddleware({ name: 'admin', max: 20, windowSeconds: 60, keyBy: 'ip' }));
+router.use('/me/avatar', rateLimitMiddleware({ name: 'avatar', max: 10, windowSeconds: 60, keyBy: 'ip' }));
+router.use('/username-available', rateLimitMiddleware({ name: 'username', max: 30, windowSeconds: 60, keyBy: 'ip' }));
+router.use('/sessions/refresh', rateLimitMiddleware({ name: 'refresh', max: 30, windowSeconds: 60, keyBy: 'ip' }));
+// Per-user limits: mounted inside the routes after authMiddleware, which sets req.user
+const exportRateLimit = rateLimitMiddleware({ name: 'export', max: 5, windowSeconds: 3600, keyBy: 'user' });
+const deletionRateLimit = rateLimitMiddleware({ name: 'delete', max: 10, windowSeconds: 3600, keyBy: 'user' });
+
+// Supabase provider names: 'email', 'phone', 'google', 'github', 'linkedin_oidc', ...
+const PROVIDER_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Read the auth providers from verified token claims
+ * app_metadata.provider is the provider the account was created with, so the sign-in method
+ * (amr) decides when possible: "oauth" picks the account's only OAuth identity, password/OTP
+ * logins count as "email". An OAuth sign-in on an account with several OAuth identities
+ * cannot be attributed and gives provider null.
+ * @returns {Object} { provider, providers }
+ */
+function getTokenProviders(payload) {
+  const appMetadata = payload.app_metadata || {};
+  const providers = [...new Set(
+    (Array.isArray(appMetadata.providers) ? appMetadata.providers : [appMetadata.provider])
+      .filter((name) => typeof name === 'string' && PROVIDER_PATTERN.test(name))
+  )];
+
+  const amr = Array.isArray(payload.amr) ? payload.amr : [];
+  const latestMethod = amr
+    .filter((entry) => entry && entry.method && entry.method !== 'totp')
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))[0];
+  const oauthProviders = providers.filter((name) => name !== 'email' && name !== 'phone');
+
+  let provider = PROVIDER_PATTERN.test(appMetadata.provider || '') ? appMetadata.provider : null;
+  if (latestMethod && latestMethod.method === 'oauth') {
+    provider = oauthProviders.length === 1 ? oauthProviders[0] : null;
+  } else if (latestMethod && ['password', 'otp', 'magiclink'].includes(latestMethod.method) && providers.includes('email')) {
+    provider = 'email';
+  }
+
+  return { provider, providers: provider && !providers.includes(provider) ? [...providers, provider] : providers };
+}
+
+// Usernames are 3-32 characters of [a-zA-Z0-9._-]
+const USERNAME_MAX_LENGTH = 32;
+const USERNAME_SUFFIX_LENGTH = 7; // '-' and 6 random hex characters
+
+/**
+ * Turn a wanted username (or email local part) into a valid one
+ */
+function normalizeUsername(wanted) {
+  return (wanted.replace(/[^a-zA-Z0-9._-]/g, '') || 'user').padEnd(3, '0').slice(0, USERNAME_MAX_LENGTH);
+}
+
+/**
+ * Username shortened so that a suffix still fits
+ */
+function usernameStem(wanted) {
+  return normalizeUsername(wanted).slice(0, USERNAME_MAX_LENGTH - USERNAME_SUFFIX_LENGTH);
+}
+
+/**
+ * Find a free username based on the wanted one (as is, then -2 ... -5, then a random suffix)
+ */
+async function findAvailableUsername(wanted) {
+  const stem = usernameStem(wanted);
+  const candidates = [normalizeUsername(wanted), `${stem}-2`, `${stem}-3`, `${stem}-4`, `${stem}-5`];
+
+  for (const candidate of candidates) {
+    if (!(await isUsernameTaken(candidate))) {
+      return candidate;
+    }
+  }
+
+  return `${stem}-${crypto.randomBytes(3).toString('hex')}`;
+}
 
 /**
  * Create system user in our database
+ * The username is made unique: a taken username gets a suffix and username_taken is reported
+ * @param {Object} [providerInfo] { provider, providers } from getTokenProviders
+ * @param {Object} [profile] Validated custom signup fields
  */
-async function createSystemUser(supabaseUserId, email, username = null, displayName = null) {
+async function createSystemUser(supabaseUserId, email, username = null, displayName = null, providerInfo = {}, profile = {}) {
   try {
-    const { data, error } = await supabase
+    const wantedUsername = username || email.split('@')[0];
+    const row = {
+      supabase_user_id: supabaseUserId,
+      email: email,
+      username: await findAvailableUsername(wantedUsername),
+      display_name: displayName || email.split('@')[0],
+      role: 'user',
+      last_provider: providerInfo.provider || null,
+      providers: providerInfo.providers || [],
+      profile,
+      last_login: new Date().toISOString()
+    };
+
+    let { data, error } = await supabase
       .from('system_users')
-      .insert([
-        {
-          supabase_user_id: supabaseUserId,
-          email: email,
-          username: username || email.split('@')[0],
-          display_name: displayName || email.split('@')[0],
-          role: 'user',
-          last_login: new Date().toISOString()
-        }
-      ])
+      .insert([row])
       .select();
 
+    // Another signup took the username between the check and the insert
+    if (error && error.code === '23505' && error.message.includes('username')) {
+      row.username = `${usernameStem(wantedUsername)}-${crypto.randomBytes(3).toString('hex')}`;
+      ({ data, error } = await supabase
+        .from('system_users')
+        .insert([row])
+        .select());
+    }
+
     if (error) {
-      console.error('System user creation error:', error.message);
+      log.error('System user creation error', { error: error.message });
       return { success: false, error: error.message };
     }
 
-    return { success: true, user: data[0] };
+    return {
+      success: true,
+      user: data[0],
+      usernameTaken: Boolean(username) && data[0].username !== username
+    };
   } catch (err) {
-    console.error('System user creation exception:', err.message);
+    log.error('System user creation exception', { error: err.message });
     return { success: false, error: err.message };
   }
 }
 
 /**
  * Get or create system user (handles race conditions)
+ * @param {Object} [providerInfo] { provider, providers } of this sign-in
+ * @param {Object} [signup] { username, displayName, profile } from parseSignupMetadata, used on creation
  */
-async function getOrCreateSystemUser(supabaseUserId, email) {
+async function getOrCreateSystemUser(supabaseUserId, email, providerInfo = {}, signup = {}) {
   try {
     // First, try to find existing user by supabase_user_id
     const { data: existingUsers, error: findError } = await supabase
@@ -64,32 +238,108 @@ async function getOrCreateSystemUser(supabaseUserId, email) {
       .limit(1);
 
     if (findError) {
-      console.error('Error finding system user:', findError.message);
+      log.error('Error finding system user', { error: findError.message });
       return { success: false, error: findError.message };
     }
 
     if (existingUsers && existingUsers.length > 0) {
-      // Update last login
+      // Update last login and the providers seen in the token
+      const loginFields = { last_login: new Date().toISOString() };
+      if (providerInfo.provider) {
+        loginFields.last_provider = providerInfo.provider;
+      }
+      if (providerInfo.providers && providerInfo.providers.length > 0) {
+        loginFields.providers = providerInfo.providers;
+      }
       await supabase
         .from('system_users')
-        .update({ last_login: new Date().toISOString() })
+        .update(loginFields)
         .eq('id', existingUsers[0].id);
       
-      return { success: true, user: existingUsers[0], existed: true };
+      return { success: true, user: { ...existingUsers[0], ...loginFields }, existed: true };
     }
 
     // If not found, create new user
-    return await createSystemUser(supabaseUserId, email);
+    return await createSystemUser(
+      supabaseUserId,
+      email,
+      signup.username,
+      signup.displayName,
+      providerInfo,
+      signup.profile
+    );
   } catch (err) {
-    console.error('Error in getOrCreateSystemUser:', err.message);
+    log.error('Error in getOrCreateSystemUser', { error: err.message });
     return { success: false, error: err.message };
   }
 }
 
+/**
+ * Find system user by its own ID
+ */
+async function findSystemUserById(systemUserId) {
+  const { data, error } = await supabase
+    .from('system_users')
+    .select('*')
+    .eq('id', systemUserId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Check whether a username is already taken by another system user
+ */
+async function isUsernameTaken(username, excludeSystemUserId = null) {
+  let query = supabase
+    .from('system_users')
+    .select('id')
+    .ilike('username', username.replace(/[%_\\]/g, '\\$&'))
+    .limit(1);
+
+  if (excludeSystemUserId) {
+    query = query.neq('id', excludeSystemUserId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data && data.length > 0;
+}
+
+/**
+ * Update system user fields and bump updated_at
+ */
+async function updateSystemUser(systemUserId, updates) {
+  const { data, error } = await supabase
+    .from('system_users')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', systemUserId)
+    .select();
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+
+  if (!data || data.length === 0) {
+    return { success: false, error: 'User not found' };
+  }
+
+  return { success: true, user: data[0] };
+}
+
 /**
  * Log authentication event
+ * @param {Object} [metadata] Extra event details (stored as JSONB)
  */
-async function logAuthEvent(userId, eventType, ipAddress = null, userAgent = null) {
+async function logAuthEvent(userId, eventType, ipAddress = null, userAgent = null, metadata = null) {
   try {
     const { error } = await supabase
       .from('auth_events')
@@ -98,53 +348,97 @@ async function logAuthEvent(userId, eventType, ipAddress = null, userAgent = nul
           user_id: userId,
           event_type: eventType,
           ip_address: ipAddress,
-          user_agent: userAgent
+          user_agent: userAgent,
+          metadata: metadata
         }
       ]);
 
     if (error) {
-      console.error('Auth event logging error:', error.message);
+      log.error('Auth event logging error', { error: error.message });
     }
   } catch (err) {
-    console.error('Auth event logging exception:', err.message);
+    log.error('Auth event logging exception', { error: err.message });
   }
 }
 
 /**
- * Find registration pair by URL
+ * Find the most specific registration pair for a site, registration path and query
+ * Pairs are scoped to their site (site_id, or site_url for pairs without one);
+ * matching rules live in pairMatcher.js
  */
-async function findRegistrationPair(registrationUrl) {
+async function findRegistrationPair(siteUrl, registrationUrl, queryParams = {}, siteId = null) {
   try {
-    const { data, error } = await supabase
+    if (!siteUrl || !registrationUrl) {
+      return null;
+    }
+
+    // Accept rows saved with or without a trailing slash on site_url
+    const siteVariants = [siteUrl, siteUrl.replace(/\/+$/, '')];
+    const quotedVariants = siteVariants.map((variant) => `"${variant.replace(/"/g, '')}"`).join(',');
+
+    let query = supabase
       .from('wp_registration_pairs')
-      .select('*')
-      .eq('registration_page_url', registrationUrl)
-      .limit(1);
+      .select('*');
+
+    query = siteId
+      ? query.or(`site_id.eq.${siteId},site_url.in.(${quotedVariants})`)
+      : query.in('site_url', siteVariants);
+
+    const { data, error } = await query;
 
     if (error) {
-      console.error('Error finding registration pair:', error.message);
+      log.error('Error finding registration pair', { error: error.message });
       return null;
     }
 
-    return data && data.length > 0 ? data[0] : null;
+    return selectBestPair(data, registrationUrl, queryParams);
   } catch (err) {
-    console.error('Exception finding registration pair:', err.message);
+    log.error('Exception finding registration pair', { error: err.message });
     return null;
   }
 }
 
+/**
+ * Find an existing registration of a user for a pair (null pair = unpaired registration)
+ */
+async function findExistingRegistration(supabaseUserId, pairId) {
+  let query = supabase
+    .from('wp_user_registrations')
+    .select('*')
+    .eq('user_id', supabaseUserId);
+
+  query = pairId ? query.eq('pair_id', pairId) : query.is('pair_id', null);
+
+  const { data, error } = await query
+    .order('registered_at', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
 /**
  * Enhanced registration logging with pair information
+ * Inserts at most one registration row per user per pair
  */
-async function logRegistrationWithPair(userEmail, supabaseUserId, registrationUrl, siteUrl) {
+async function logRegistrationWithPair(userEmail, supabaseUserId, registrationUrl, siteUrl, queryParams = {}, siteId = null) {
   try {
     // Find matching registration pair
-    const pair = await findRegistrationPair(registrationUrl);
+    const pair = await findRegistrationPair(siteUrl, registrationUrl, queryParams, siteId);
+
+    const existingRegistration = await findExistingRegistration(supabaseUserId, pair ? pair.id : null);
+    if (existingRegistration) {
+      return { success: true, registration: existingRegistration, pair, created: false };
+    }
     
     const logData = {
       user_email: userEmail,
       user_id: supabaseUserId,
       site_url: siteUrl,
+      site_id: siteId,
       registration_url: registrationUrl,
       pair_id: pair ? pair.id : null,
       thankyou_page_url: pair ? pair.thankyou_page_url : null
@@ -156,13 +450,13 @@ async function logRegistrationWithPair(userEmail, supabaseUserId, registrationUr
       .select();
 
     if (error) {
-      console.error('Registration logging error:', error.message);
+      log.error('Registration logging error', { error: error.message });
       return { success: false, error: error.message };
     }
 
-    return { success: true, registration: data[0] };
+    return { success: true, registration: data[0], pair, created: true };
   } catch (err) {
-    console.error('Registration logging exception:', err.message);
+    log.error('Registration logging exception', { error: err.message });
     return { success: false, error: err.message };
   }
 }
@@ -172,15 +466,22 @@ async function logRegistrationWithPair(userEmail, supabaseUserId, registrationUr
  */
 router.post('/supabase-callback', csrfProtection, async (req, res) => {
   try {
-    const { access_token } = req.body;
+    const { access_token, refresh_token } = req.body;
     if (!access_token) {
       return res.status(400).json({ error: 'Missing access_token' });
     }
 
     // Проверяем токен
-    const payload = await verifyJwt(access_token);
-    if (!payload) {
-      return res.status(401).json({ error: 'Invalid token' });
+    const verification = await verifyJwtDetailed(access_token);
+    if (!verification.valid) {
+      return res.status(401).json({ error: verification.message, code: verification.reason });
+    }
+    const payload = verification.payload;
+    // Verified claims: failed callbacks from here on count against this account (accountLockout)
+    req.tokenClaims = payload;
+
+    if (await isSessionRevoked(payload.session_id)) {
+      return res.status(401).json({ error: 'Session revoked' });
     }
 
     // Извлекаем данные пользователя из токена
@@ -194,352 +495,3541 @@ router.post('/supabase-callback', csrfProtection, async (req, res) => {
       return res.status(400).json({ error: 'Invalid user data' });
     }
 
-    // Get site URL from environment or request
-    const siteUrl = process.env.SITE_URL || req.headers.origin || 'unknown';
+    // Resolve the site from the request origin (already checked by csrfProtection).
+    // Unregistered origins only pass CSRF when they are SITE_URL or this host.
+    const site = await resolveRequestSite(req);
+    const siteUrl = site ? site.site_url : (process.env.SITE_URL || getRequestOrigin(req) || 'unknown');
     const validatedSiteUrl = validateSiteUrl(siteUrl);
 
-    // Get registration URL from referer
-    const registrationUrl = req.headers.referer ? new URL(req.headers.referer).pathname : '/';
+    // Get registration URL and query parameters (e.g. utm_campaign) from referer.
+    // Magic link, OAuth and email confirmation end on the callback page, so the client
+    // sends the page the flow started on as registration_page_url (only its path is used)
+    const registrationSource = typeof req.body.registration_page_url === 'string'
+      ? req.body.registration_page_url
+      : req.headers.referer;
+    let registrationUrl = '/';
+    const registrationQuery = {};
+    if (registrationSource) {
+      try {
+        const refererUrl = new URL(registrationSource, 'http://localhost');
+        registrationUrl = refererUrl.pathname;
+        refererUrl.searchParams.forEach((value, key) => {
+          registrationQuery[key] = value;
+        });
+      } catch (e) {
+        log.warn('Invalid registration page URL', { length: String(registrationSource).length });
+      }
+    }
     const validatedRegistrationUrl = validateUrlPath(registrationUrl);
 
-    // Create or get system user
-    const userResult = await getOrCreateSystemUser(validatedUserId, validatedEmail);
+    // Page a RequireAuth guard sent the user away from; it wins over the pair's redirect
+    const returnUrl = req.body.return_url ? validateReturnUrl(req.body.return_url) : false;
+
+    // Create or get system user; signup form fields arrive in the token's user_metadata
+    const providerInfo = getTokenProviders(payload);
+    const signup = parseSignupMetadata(payload.user_metadata);
+    const userResult = await getOrCreateSystemUser(validatedUserId, validatedEmail, providerInfo, signup);
     if (!userResult.success) {
       return res.status(500).json({ error: 'Failed to create system user: ' + userResult.error });
     }
 
+    if (userResult.user.status === 'suspended') {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
+    // Record consents given in the signup form (once per consent type and version)
+    const consentResult = await recordConsents(validatedUserId, userResult.user.id, signup.consents, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
     // Log registration with pair information
     const logResult = await logRegistrationWithPair(
       validatedEmail, 
       validatedUserId, 
       validatedRegistrationUrl, 
-      validatedSiteUrl
+      validatedSiteUrl,
+      registrationQuery,
+      site ? site.id : null
     );
 
+    // Returning users log in, first-time users register
+    const eventType = userResult.existed ? 'login' : 'registration';
+
+    // Track the session (device, IP, user agent) for session management and revocation
+    const sessionResult = await recordSession(payload, {
+      refreshToken: typeof refresh_token === 'string' ? refresh_token : null,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
     // Log authentication event
     await logAuthEvent(
       validatedUserId, 
-      'registration', 
+      eventType, 
       req.ip, 
-      req.get('User-Agent')
+      req.get('User-Agent'),
+      { provider: providerInfo.provider, providers: providerInfo.providers }
     );
 
-    // Determine redirect URL based on registration pair
+    // Notify webhook subscribers (deliveries run in the background)
+    const webhookScope = {
+      siteUrl: validatedSiteUrl || null,
+      pairId: logResult.success && logResult.pair ? logResult.pair.id : null
+    };
+    emitWebhookEvent(userResult.existed ? 'user.login' : 'user.created', {
+      supabase_user_id: validatedUserId,
+      system_user_id: userResult.user.id,
+      email: validatedEmail,
+      role: userResult.user.role,
+      provider: providerInfo.provider
+    }, webhookScope);
+    if (logResult.success && logResult.created) {
+      emitWebhookEvent('registration.logged', { registration: logResult.registration }, webhookScope);
+    }
+
+    // Determine redirect URL based on registration pair, then the site's defaults
     let redirectUrl = '/thank-you'; // Default fallback
-    if (logResult.success && logResult.registration && logResult.registration.thankyou_page_url) {
-      redirectUrl = logResult.registration.thankyou_page_url;
+    const pair = logResult.success ? logResult.pair : null;
+    if (userResult.existed && pair && pair.welcome_back_page_url) {
+      redirectUrl = pair.welcome_back_page_url;
+    } else if (pair && pair.thankyou_page_url) {
+      redirectUrl = pair.thankyou_page_url;
+    } else if (userResult.existed && site && site.default_welcome_back_page_url) {
+      redirectUrl = site.default_welcome_back_page_url;
+    } else if (site && site.default_thankyou_page_url) {
+      redirectUrl = site.default_thankyou_page_url;
+    }
+    if (returnUrl) {
+      redirectUrl = returnUrl;
     }
 
     // Возвращаем успешный ответ с расширенной информацией
     res.status(200).json({
-      message: 'User verified and registration logged successfully',
+      message: userResult.existed
+        ? 'User verified and login logged successfully'
+        : 'User verified and registration logged successfully',
+      event_type: eventType,
       user: { 
         email: validatedEmail, 
         supabase_user_id: validatedUserId, 
         aud,
         system_user_id: userResult.user.id,
-        role: userResult.user.role
+        role: userResult.user.role,
+        provider: providerInfo.provider
       },
       registration: logResult.registration,
+      registration_created: Boolean(logResult.created),
+      site: site ? { id: site.id, site_url: site.site_url, name: site.name } : null,
+      session_id: sessionResult.success ? sessionResult.session.id : null,
+      matched_pair: logResult.pair ? {
+        id: logResult.pair.id,
+        site_url: logResult.pair.site_url,
+        registration_page_url: logResult.pair.registration_page_url,
+        match_mode: logResult.pair.match_mode || 'exact',
+        priority: logResult.pair.priority || 0,
+        query_params: logResult.pair.query_params || {}
+      } : null,
       redirect_url: redirectUrl,
-      system_user_created: !userResult.existed
+      return_url_used: Boolean(returnUrl),
+      system_user_created: !userResult.existed,
+      username: userResult.user.username,
+      username_taken: Boolean(userResult.usernameTaken),
+      consents_recorded: consentResult.success ? consentResult.recorded.length : 0,
+      signup_field_errors: signup.errors
     });
   } catch (err) {
-    console.error('Callback error:', err.message);
+    log.error('Callback error', { error: err.message });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 /**
- * Тестовый маршрут для проверки middleware аутентификации
+ * Check whether a username can be chosen at signup
+ * Query: username
  */
-router.get('/test-protected', authMiddleware, (req, res) => {
-  res.json({ 
-    message: 'Access granted', 
-    user: req.user,
-    timestamp: new Date().toISOString()
-  });
+router.get('/username-available', async (req, res) => {
+  try {
+    const username = validateUsername(req.query.username);
+    if (!username) {
+      return res.json({ username: req.query.username || null, valid: false, available: false });
+    }
+
+    res.json({ username, valid: true, available: !(await isUsernameTaken(username)) });
+  } catch (err) {
+    log.error('Username check error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
 /**
- * Admin routes for registration pairs management
+ * Build the /me response: token claims, the system user and the Supabase auth user
+ * System fields are null until /supabase-callback has created the system user
  */
-const adminRouter = express.Router();
+function buildCurrentUser(req, systemUser, authUser) {
+  const field = (name, fallback = null) => (systemUser && systemUser[name] !== undefined ? systemUser[name] : fallback);
 
-// Apply authentication middleware to all admin routes
-adminRouter.use(authMiddleware);
-adminRouter.use(csrfProtection);
+  return {
+    supabase_user_id: req.user.id,
+    email: req.user.email,
+    email_verified: req.user.email_verified,
+    aal: req.user.aal,
+    system_user_id: field('id'),
+    username: field('username'),
+    display_name: field('display_name'),
+    avatar_url: field('avatar_url'),
+    role: field('role'),
+    permissions: systemUser ? req.user.permissions : [],
+    status: field('status'),
+    last_provider: field('last_provider'),
+    providers: field('providers', []),
+    profile: field('profile') || {},
+    preferences: field('preferences') || {},
+    created_at: field('created_at'),
+    updated_at: field('updated_at'),
+    last_login: field('last_login'),
+    supabase: authUser ? {
+      phone: authUser.phone || null,
+      email_confirmed_at: authUser.email_confirmed_at || null,
+      last_sign_in_at: authUser.last_sign_in_at || null,
+      created_at: authUser.created_at,
+      user_metadata: authUser.user_metadata || {},
+      identities: (authUser.identities || []).map((identity) => ({
+        provider: identity.provider,
+        created_at: identity.created_at,
+        last_sign_in_at: identity.last_sign_in_at
+      }))
+    } : null
+  };
+}
 
 /**
- * Get all registration pairs
+ * Load the system user of the current request for /me routes
+ * Sends 404 itself and returns null when the user has no system user yet
+ */
+async function loadCurrentSystemUser(req, res) {
+  const systemUser = req.systemUser ? await findSystemUserById(req.systemUser.id) : null;
+  if (!systemUser) {
+    res.status(404).json({ error: 'System user not found', code: 'system_user_missing' });
+    return null;
+  }
+  return systemUser;
+}
+
+/**
+ * Record a change to my profile in auth_events and notify webhook subscribers
+ */
+async function logProfileEvent(req, systemUser, eventType, details = {}) {
+  emitWebhookEvent('user.updated', {
+    change: eventType,
+    supabase_user_id: systemUser.supabase_user_id,
+    system_user_id: systemUser.id,
+    email: systemUser.email,
+    actor_id: req.user.id,
+    ...details
+  });
+
+  await logAuthEvent(req.user.id, eventType, req.ip, req.get('User-Agent'), {
+    system_user_id: systemUser.id,
+    ...details
+  });
+}
+
+/**
+ * Get the current user: token claims, system user (role, permissions, profile, preferences)
+ * and Supabase auth user (identities, confirmation)
  */
-adminRouter.get('/pairs', async (req, res) => {
+router.get('/me', authMiddleware, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('wp_registration_pairs')
-      .select('*')
-      .order('created_at', { ascending: false });
+    const systemUser = req.systemUser ? await findSystemUserById(req.systemUser.id) : null;
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
+    const { data: authData, error: authError } = await supabase.auth.admin.getUserById(req.user.id);
+    if (authError) {
+      log.error('Supabase user fetch error', { error: authError.message });
     }
 
-    res.json({ pairs: data });
+    res.json({ user: buildCurrentUser(req, systemUser, authError ? null : authData.user) });
   } catch (err) {
-    console.error('Admin pairs error:', err.message);
+    log.error('Current user error', { error: err.message });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 /**
- * Create new registration pair
+ * Update my username, display name or preferences
+ * Body: { username?, display_name?, preferences?: { locale, timezone, marketing_opt_in } }
+ * Preferences are merged into the stored ones; null removes a preference
  */
-adminRouter.post('/pairs', async (req, res) => {
+router.patch('/me', authMiddleware, csrfProtection, async (req, res) => {
   try {
-    const { site_url, registration_page_url, thankyou_page_url, registration_page_id, thankyou_page_id } = req.body;
+    const systemUser = await loadCurrentSystemUser(req, res);
+    if (!systemUser) return;
 
-    // Validate inputs
-    const validatedSiteUrl = validateSiteUrl(site_url);
-    const validatedRegUrl = validateUrlPath(registration_page_url);
-    const validatedTyUrl = validateUrlPath(thankyou_page_url);
+    const { username, display_name, preferences } = req.body;
+    const updates = {};
 
-    if (!validatedSiteUrl || !validatedRegUrl || !validatedTyUrl) {
-      return res.status(400).json({ error: 'Invalid input data' });
+    if (username !== undefined) {
+      const validatedUsername = validateUsername(username);
+      if (!validatedUsername) {
+        return res.status(400).json({ error: 'Invalid username' });
+      }
+      if (await isUsernameTaken(validatedUsername, systemUser.id)) {
+        return res.status(409).json({ error: 'Username already taken' });
+      }
+      updates.username = validatedUsername;
     }
 
-    const { data, error } = await supabase
-      .from('wp_registration_pairs')
-      .insert([
-        {
-          site_url: validatedSiteUrl,
-          registration_page_url: validatedRegUrl,
-          thankyou_page_url: validatedTyUrl,
-          registration_page_id: registration_page_id || null,
-          thankyou_page_id: thankyou_page_id || null
-        }
-      ])
-      .select();
+    if (display_name !== undefined) {
+      const validatedDisplayName = validateDisplayName(display_name);
+      if (!validatedDisplayName) {
+        return res.status(400).json({ error: 'Invalid display name' });
+      }
+      updates.display_name = validatedDisplayName;
+    }
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
+    if (preferences !== undefined) {
+      const { preferences: validatedPreferences, errors } = parsePreferences(preferences);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid preferences',
+          invalid_fields: errors,
+          allowed_fields: [...Object.keys(PREFERENCE_VALIDATORS), ...BOOLEAN_PREFERENCES]
+        });
+      }
+      updates.preferences = mergePreferences(systemUser.preferences, validatedPreferences);
     }
 
-    res.status(201).json({ pair: data[0] });
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const result = await updateSystemUser(systemUser.id, updates);
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    clearRoleCache(req.user.id);
+
+    const changes = {};
+    Object.keys(updates).forEach((field) => {
+      changes[field] = { from: systemUser[field], to: updates[field] };
+    });
+    await logProfileEvent(req, systemUser, 'profile_update', { changes });
+
+    res.json({ user: buildCurrentUser(req, result.user, null) });
   } catch (err) {
-    console.error('Admin create pair error:', err.message);
+    log.error('Profile update error', { error: err.message });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 /**
- * Update registration pair
+ * Parse an avatar upload (raw image body) and answer oversized uploads with JSON
  */
-adminRouter.put('/pairs/:id', async (req, res) => {
-  try {
-    const pairId = req.params.id;
-    const { site_url, registration_page_url, thankyou_page_url, registration_page_id, thankyou_page_id } = req.body;
-
-    // Validate UUID
-    const validatedPairId = validateUuid(pairId);
-    if (!validatedPairId) {
-      return res.status(400).json({ error: 'Invalid pair ID' });
+function parseAvatarBody(req, res, next) {
+  const { maxBytes } = getAvatarConfig();
+  bodyParser.raw({ type: Object.keys(AVATAR_TYPES), limit: maxBytes })(req, res, (err) => {
+    if (err && err.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Avatar too large', max_bytes: maxBytes });
     }
+    next(err);
+  });
+}
 
-    // Validate inputs
-    const validatedSiteUrl = validateSiteUrl(site_url);
-    const validatedRegUrl = validateUrlPath(registration_page_url);
-    const validatedTyUrl = validateUrlPath(thankyou_page_url);
+/**
+ * Upload my avatar to Supabase Storage
+ * Body: the image (Content-Type: image/png, image/jpeg, image/gif or image/webp)
+ */
+router.put('/me/avatar', authMiddleware, csrfProtection, parseAvatarBody, async (req, res) => {
+  try {
+    const systemUser = await loadCurrentSystemUser(req, res);
+    if (!systemUser) return;
 
-    if (!validatedSiteUrl || !validatedRegUrl || !validatedTyUrl) {
-      return res.status(400).json({ error: 'Invalid input data' });
+    const contentType = detectAvatarType(req.body);
+    if (!contentType) {
+      return res.status(415).json({ error: 'Unsupported avatar type', allowed_types: Object.keys(AVATAR_TYPES) });
     }
 
-    const { data, error } = await supabase
-      .from('wp_registration_pairs')
-      .update({
-        site_url: validatedSiteUrl,
-        registration_page_url: validatedRegUrl,
-        thankyou_page_url: validatedTyUrl,
-        registration_page_id: registration_page_id || null,
-        thankyou_page_id: thankyou_page_id || null,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', validatedPairId)
-      .select();
-
-    if (error) {
-      return res.status(500).json({ error: error.message });
+    const upload = await uploadAvatar(systemUser.id, req.body, contentType);
+    if (!upload.success) {
+      return res.status(500).json({ error: 'Failed to upload avatar' });
     }
 
-    if (!data || data.length === 0) {
-      return res.status(404).json({ error: 'Pair not found' });
+    const result = await updateSystemUser(systemUser.id, { avatar_url: upload.url });
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
     }
 
-    res.json({ pair: data[0] });
+    await logProfileEvent(req, systemUser, 'avatar_update', { content_type: contentType, size: req.body.length });
+
+    res.json({ avatar_url: upload.url, user: buildCurrentUser(req, result.user, null) });
   } catch (err) {
-    console.error('Admin update pair error:', err.message);
+    log.error('Avatar upload error', { error: err.message });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 /**
- * Delete registration pair
+ * Remove my avatar
  */
-adminRouter.delete('/pairs/:id', async (req, res) => {
+router.delete('/me/avatar', authMiddleware, csrfProtection, async (req, res) => {
   try {
-    const pairId = req.params.id;
+    const systemUser = await loadCurrentSystemUser(req, res);
+    if (!systemUser) return;
 
-    // Validate UUID
-    const validatedPairId = validateUuid(pairId);
-    if (!validatedPairId) {
-      return res.status(400).json({ error: 'Invalid pair ID' });
+    if (!systemUser.avatar_url) {
+      return res.status(404).json({ error: 'No avatar' });
     }
 
-    const { error } = await supabase
-      .from('wp_registration_pairs')
-      .delete()
-      .eq('id', validatedPairId);
+    const removal = await removeAvatar(systemUser.id);
+    if (!removal.success) {
+      return res.status(500).json({ error: 'Failed to remove avatar' });
+    }
 
-    if (error) {
-      return res.status(500).json({ error: error.message });
+    const result = await updateSystemUser(systemUser.id, { avatar_url: null });
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
     }
 
-    res.json({ message: 'Pair deleted successfully' });
+    await logProfileEvent(req, systemUser, 'avatar_remove');
+
+    res.json({ user: buildCurrentUser(req, result.user, null) });
   } catch (err) {
-    console.error('Admin delete pair error:', err.message);
+    log.error('Avatar removal error', { error: err.message });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 /**
- * Admin dashboard - serve HTML interface
+ * Send a user data export as a JSON file download
  */
-adminRouter.get('/dashboard', (req, res) => {
-  const html = `
-  <!DOCTYPE html>
-  <html lang="en">
-  <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Supabase Auth Module - Admin</title>
-      <style>
-          body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
-          .container { max-width: 1200px; margin: 0 auto; background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-          .header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 30px; padding-bottom: 20px; border-bottom: 1px solid #eee; }
-          .tabs { display: flex; gap: 10px; margin-bottom: 20px; }
-          .tab { padding: 10px 20px; background: #e9ecef; border: none; border-radius: 4px; cursor: pointer; }
-          .tab.active { background: #007bff; color: white; }
-          .table { width: 100%; border-collapse: collapse; }
-          .table th, .table td { padding: 12px; text-align: left; border-bottom: 1px solid #eee; }
-          .table th { background: #f8f9fa; font-weight: 600; }
-          .btn { padding: 8px 16px; border: none; border-radius: 4px; cursor: pointer; }
-          .btn-primary { background: #007bff; color: white; }
-          .btn-danger { background: #dc3545; color: white; }
-          .form-group { margin-bottom: 15px; }
-          .form-group label { display: block; margin-bottom: 5px; font-weight: 600; }
-          .form-group input { width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; }
-          .modal { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); }
-          .modal-content { background: white; margin: 50px auto; padding: 20px; width: 500px; border-radius: 8px; }
-      </style>
-  </head>
-  <body>
-      <div class="container">
-          <div class="header">
-              <h1>🚀 Supabase Auth Module - Admin</h1>
-              <div>Welcome, ${req.user.email}</div>
-          </div>
+function sendUserExport(res, supabaseUserId, bundle) {
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="user-data-${supabaseUserId}.json"`);
+  res.send(JSON.stringify(bundle, null, 2));
+}
 
-          <div class="tabs">
-              <button class="tab active" onclick="showTab('pairs')">Registration Pairs</button>
-              <button class="tab" onclick="showTab('users')">System Users</button>
-              <button class="tab" onclick="showTab('logs')">Registration Logs</button>
-          </div>
+/**
+ * Download all data stored about me (GDPR access / portability)
+ */
+router.get('/me/export', authMiddleware, exportRateLimit, async (req, res) => {
+  try {
+    const result = await buildUserExport(req.user.id);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to build export' });
+    }
 
-          <div id="pairs-tab" class="tab-content">
-              <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
-                  <h2>Registration Pairs</h2>
-                  <button class="btn btn-primary" onclick="showAddPairModal()">Add New Pair</button>
-              </div>
-              <div id="pairs-table-container">
-                  Loading...
-              </div>
-          </div>
+    await logAuthEvent(req.user.id, 'data_export', req.ip, req.get('User-Agent'), { requested_by: 'user' });
 
-          <div id="users-tab" class="tab-content" style="display: none;">
-              <h2>System Users</h2>
-              <div id="users-table-container">
-                  Loading...
+    sendUserExport(res, req.user.id, result.export);
+  } catch (err) {
+    log.error('Data export error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get my open account deletion request
+ */
+router.get('/me/delete', authMiddleware, deletionRateLimit, async (req, res) => {
+  try {
+    const request = await findOpenDeletionRequest(req.user.id);
+    res.json({ request, grace_days: getDeletionGraceDays() });
+  } catch (err) {
+    log.error('Deletion request fetch error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Request deletion of my account (step 1)
+ * Returns a confirmation token for POST /me/delete/confirm, valid for 30 minutes
+ */
+router.post('/me/delete', authMiddleware, deletionRateLimit, csrfProtection, async (req, res) => {
+  try {
+    const result = await requestDeletion({
+      supabaseUserId: req.user.id,
+      systemUserId: req.systemUser ? req.systemUser.id : null,
+      email: req.user.email
+    });
+
+    if (!result.success) {
+      const status = result.code === 'already_scheduled' ? 409 : 500;
+      return res.status(status).json({ error: result.error, code: result.code, request: result.request });
+    }
+
+    await logAuthEvent(req.user.id, 'deletion_requested', req.ip, req.get('User-Agent'), {
+      deletion_request_id: result.request.id
+    });
+
+    res.status(201).json({
+      request: result.request,
+      confirmation_token: result.confirmationToken,
+      grace_days: getDeletionGraceDays()
+    });
+  } catch (err) {
+    log.error('Deletion request error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Confirm deletion of my account (step 2); the account is erased after the grace period
+ * Body: { confirmation_token }
+ */
+router.post('/me/delete/confirm', authMiddleware, deletionRateLimit, csrfProtection, async (req, res) => {
+  try {
+    const result = await confirmDeletion(req.user.id, req.body.confirmation_token);
+    if (!result.success) {
+      const statuses = { not_found: 404, invalid_token: 400, token_expired: 410 };
+      return res.status(statuses[result.code] || 500).json({ error: result.error, code: result.code });
+    }
+
+    await logAuthEvent(req.user.id, 'deletion_confirmed', req.ip, req.get('User-Agent'), {
+      deletion_request_id: result.request.id,
+      scheduled_for: result.request.scheduled_for
+    });
+
+    res.json({ request: result.request });
+  } catch (err) {
+    log.error('Deletion confirmation error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Cancel my account deletion during the grace period
+ */
+router.delete('/me/delete', authMiddleware, deletionRateLimit, csrfProtection, async (req, res) => {
+  try {
+    const result = await cancelDeletion(req.user.id);
+    if (!result.success) {
+      return res.status(result.code === 'not_found' ? 404 : 500).json({ error: result.error, code: result.code });
+    }
+
+    await logAuthEvent(req.user.id, 'deletion_cancelled', req.ip, req.get('User-Agent'), {
+      deletion_request_id: result.request.id
+    });
+
+    res.json({ request: result.request });
+  } catch (err) {
+    log.error('Deletion cancel error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * List my active sessions
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: Boolean(req.user.session_id) && session.supabase_session_id === req.user.session_id
+      }))
+    });
+  } catch (err) {
+    log.error('List sessions error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Rotate refresh token (body: { refresh_token })
+ * Returns new tokens; reusing an old refresh token revokes the session
+ */
+router.post('/sessions/refresh', csrfProtection, async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token || typeof refresh_token !== 'string') {
+      return res.status(400).json({ error: 'Missing refresh_token' });
+    }
+
+    const result = await rotateRefreshToken(refresh_token);
+
+    if (!result.success) {
+      if (result.reused) {
+        await logAuthEvent(
+          result.reused.user_id,
+          'logout',
+          req.ip,
+          req.get('User-Agent'),
+          { reason: 'refresh_token_reuse', session_id: result.reused.id }
+        );
+      }
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await logAuthEvent(
+      result.payload.sub,
+      'token_refresh',
+      req.ip,
+      req.get('User-Agent'),
+      { session_id: result.dbSession ? result.dbSession.id : null }
+    );
+
+    res.json({
+      access_token: result.session.access_token,
+      refresh_token: result.session.refresh_token,
+      expires_at: result.session.expires_at,
+      session_id: result.dbSession ? result.dbSession.id : null
+    });
+  } catch (err) {
+    log.error('Refresh session error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Log out the current session
+ */
+router.post('/logout', authMiddleware, csrfProtection, async (req, res) => {
+  try {
+    let revoked = null;
+    if (req.user.session_id) {
+      revoked = await revokeSupabaseSession(req.user.id, req.user.session_id, 'logout');
+    }
+
+    // Also invalidate the Supabase refresh token of this session
+    const { error } = await supabase.auth.admin.signOut(req.accessToken, 'local');
+    if (error) {
+      log.error('Supabase sign out error', { error: error.message });
+    }
+
+    await logAuthEvent(req.user.id, 'logout', req.ip, req.get('User-Agent'), {
+      scope: 'local',
+      session_id: revoked ? revoked.id : null
+    });
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    log.error('Logout error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Revoke one of my sessions
+ */
+router.delete('/sessions/:id', authMiddleware, csrfProtection, async (req, res) => {
+  try {
+    const validatedSessionId = validateUuid(req.params.id);
+    if (!validatedSessionId) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const revoked = await revokeSession(req.user.id, validatedSessionId, 'logout');
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await logAuthEvent(req.user.id, 'logout', req.ip, req.get('User-Agent'), {
+      scope: 'session',
+      session_id: revoked.id
+    });
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (err) {
+    log.error('Revoke session error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Log out everywhere
+ * Query: keep_current=true keeps the session making this request
+ */
+router.delete('/sessions', authMiddleware, csrfProtection, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keep_current === 'true' && Boolean(req.user.session_id);
+
+    const revoked = await revokeAllUserSessions(
+      req.user.id,
+      'logout_all',
+      keepCurrent ? req.user.session_id : null
+    );
+
+    // Invalidate Supabase refresh tokens as well
+    const { error } = await supabase.auth.admin.signOut(req.accessToken, keepCurrent ? 'others' : 'global');
+    if (error) {
+      log.error('Supabase sign out error', { error: error.message });
+    }
+
+    await logAuthEvent(req.user.id, 'logout', req.ip, req.get('User-Agent'), {
+      scope: keepCurrent ? 'others' : 'global',
+      revoked_sessions: revoked.length
+    });
+
+    res.json({ message: 'Sessions revoked successfully', revoked_count: revoked.length });
+  } catch (err) {
+    log.error('Revoke all sessions error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Тестовый маршрут для проверки middleware аутентификации
+ */
+router.get('/test-protected', authMiddleware, (req, res) => {
+  res.json({ 
+    message: 'Access granted', 
+    user: req.user,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Admin routes for registration pairs management
+ */
+const adminRouter = express.Router();
+
+// Apply authentication middleware to all admin routes
+adminRouter.use(authMiddleware);
+
+// ADMIN_REQUIRE_MFA=true: password-only (aal1) sessions must step up with TOTP first
+const requireAdminMfa = requireAal('aal2', {
+  code: 'mfa_required',
+  message: 'Multi-factor authentication required'
+});
+adminRouter.use((req, res, next) => (
+  process.env.ADMIN_REQUIRE_MFA === 'true' ? requireAdminMfa(req, res, next) : next()
+));
+
+adminRouter.use(csrfProtection);
+
+// Only staff roles may reach the admin API; individual routes narrow this further by permission
+adminRouter.use(requireRole('admin', 'editor', 'viewer'));
+
+// Request log plus req.audit() for the admin_audit_log trail
+adminRouter.use(auditLog);
+
+/**
+ * Parse registration pair list filters (shared by the list and export endpoints)
+ * Query: site_id
+ * @returns {Function|false} Applies the filters to a Supabase query, or false if invalid
+ */
+function parsePairFilters(reqQuery) {
+  const siteId = reqQuery.site_id ? validateUuid(reqQuery.site_id) : null;
+  if (siteId === false) {
+    return false;
+  }
+
+  return (query) => (siteId ? query.eq('site_id', siteId) : query);
+}
+
+/**
+ * Get all registration pairs
+ * Query: site_id (optional)
+ */
+adminRouter.get('/pairs', requirePermission('pairs:read'), async (req, res) => {
+  try {
+    const applyFilters = parsePairFilters(req.query);
+    if (!applyFilters) {
+      return res.status(400).json({ error: 'Invalid filter parameters' });
+    }
+
+    const query = applyFilters(
+      supabase
+        .from('wp_registration_pairs')
+        .select('*')
+    );
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ pairs: data });
+  } catch (err) {
+    log.error('Admin pairs error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Validate a pair request body and attach it to its site
+ * With site_id the pair takes the site's site_url; otherwise a site with the same site_url is linked if registered
+ * @returns {Promise<Object|null>} Row fields or null if invalid
+ */
+async function validatePairRequest(body) {
+  let input = body;
+  let site = null;
+
+  if (body.site_id) {
+    const siteId = validateUuid(body.site_id);
+    site = siteId ? await findSiteById(siteId) : null;
+    if (!site) {
+      return null;
+    }
+    input = { ...body, site_url: site.site_url };
+  }
+
+  const pairFields = validatePairInput(input);
+  if (!pairFields) {
+    return null;
+  }
+
+  if (!site) {
+    site = await findSiteByUrl(pairFields.site_url);
+  }
+
+  return { ...pairFields, site_id: site ? site.id : null };
+}
+
+/**
+ * Create new registration pair
+ */
+adminRouter.post('/pairs', requirePermission('pairs:write'), async (req, res) => {
+  try {
+    // Validate inputs
+    const pairFields = await validatePairRequest(req.body);
+
+    if (!pairFields) {
+      return res.status(400).json({ error: 'Invalid input data' });
+    }
+
+    const { data, error } = await supabase
+      .from('wp_registration_pairs')
+      .insert([pairFields])
+      .select();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    emitWebhookEvent('pair.changed', { action: 'created', pair: data[0] },
+      { siteUrl: data[0].site_url, pairId: data[0].id });
+    req.audit({ action: 'pair.create', targetType: 'pair', targetId: data[0].id, after: data[0] });
+
+    res.status(201).json({ pair: data[0] });
+  } catch (err) {
+    log.error('Admin create pair error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Update registration pair
+ */
+adminRouter.put('/pairs/:id', requirePermission('pairs:write'), async (req, res) => {
+  try {
+    const pairId = req.params.id;
+
+    // Validate UUID
+    const validatedPairId = validateUuid(pairId);
+    if (!validatedPairId) {
+      return res.status(400).json({ error: 'Invalid pair ID' });
+    }
+
+    // Validate inputs
+    const pairFields = await validatePairRequest(req.body);
+
+    if (!pairFields) {
+      return res.status(400).json({ error: 'Invalid input data' });
+    }
+
+    // Previous version for the audit trail
+    const { data: previous, error: findError } = await supabase
+      .from('wp_registration_pairs')
+      .select('*')
+      .eq('id', validatedPairId)
+      .limit(1);
+
+    if (findError) {
+      return res.status(500).json({ error: findError.message });
+    }
+
+    if (!previous || previous.length === 0) {
+      return res.status(404).json({ error: 'Pair not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('wp_registration_pairs')
+      .update({
+        ...pairFields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', validatedPairId)
+      .select();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Pair not found' });
+    }
+
+    emitWebhookEvent('pair.changed', { action: 'updated', pair: data[0] },
+      { siteUrl: data[0].site_url, pairId: data[0].id });
+    req.audit({ action: 'pair.update', targetType: 'pair', targetId: data[0].id, before: previous[0], after: data[0] });
+
+    res.json({ pair: data[0] });
+  } catch (err) {
+    log.error('Admin update pair error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete registration pair
+ */
+adminRouter.delete('/pairs/:id', requirePermission('pairs:write'), async (req, res) => {
+  try {
+    const pairId = req.params.id;
+
+    // Validate UUID
+    const validatedPairId = validateUuid(pairId);
+    if (!validatedPairId) {
+      return res.status(400).json({ error: 'Invalid pair ID' });
+    }
+
+    const { data, error } = await supabase
+      .from('wp_registration_pairs')
+      .delete()
+      .eq('id', validatedPairId)
+      .select();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (data && data.length > 0) {
+      emitWebhookEvent('pair.changed', { action: 'deleted', pair: data[0] },
+        { siteUrl: data[0].site_url, pairId: data[0].id });
+      req.audit({ action: 'pair.delete', targetType: 'pair', targetId: data[0].id, before: data[0] });
+    }
+
+    res.json({ message: 'Pair deleted successfully' });
+  } catch (err) {
+    log.error('Admin delete pair error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Parse pagination and sorting parameters for admin list endpoints
+ * @param {Object} query Request query
+ * @param {string[]} sortableColumns Columns allowed in ?sort=
+ * @param {string} defaultSort Column used when ?sort= is missing or not allowed
+ * @returns {Object} { page, limit, from, to, sort, ascending }
+ */
+function parseListParams(query, sortableColumns, defaultSort) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), 100);
+  const sort = sortableColumns.includes(query.sort) ? query.sort : defaultSort;
+  const ascending = query.order === 'asc';
+
+  return {
+    page,
+    limit,
+    from: (page - 1) * limit,
+    to: page * limit - 1,
+    sort,
+    ascending
+  };
+}
+
+/**
+ * Parse a date filter value (YYYY-MM-DD or ISO timestamp)
+ * @param {string} value Raw query value
+ * @returns {string|null|false} ISO string, null if empty, false if invalid
+ */
+function parseDateFilter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (typeof value !== 'string' || isNaN(date.getTime())) {
+    log.warn('Invalid date filter', { value });
+    return false;
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * Parse the upper bound of a date range (date_to) for applyDateRange
+ * A plain date includes that whole day (UTC), as in the stats endpoints: it becomes an
+ * exclusive bound at the start of the next day. An explicit timestamp stays inclusive.
+ * @param {string} value Raw query value
+ * @returns {Object|null|false} { value: ISO string, exclusive }, null if empty, false if invalid
+ */
+function parseDateToFilter(value) {
+  const parsed = parseDateFilter(value);
+  if (!parsed) {
+    return parsed;
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { value: parsed, exclusive: false };
+  }
+
+  const nextDay = new Date(parsed);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+  return { value: nextDay.toISOString(), exclusive: true };
+}
+
+/**
+ * Parse a partial email search term for ILIKE filters
+ * @param {string} value Raw query value
+ * @returns {string|null|false} ILIKE pattern, null if empty, false if invalid
+ */
+function parseEmailSearch(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value !== 'string' || value.length > 254 || /[\s<>,()]/.test(value)) {
+    log.warn('Invalid email search term', { length: String(value).length });
+    return false;
+  }
+
+  // Escape LIKE wildcards so the term is matched literally
+  return `%${value.toLowerCase().replace(/[%_\\]/g, '\\$&')}%`;
+}
+
+/**
+ * Apply a created/registered date range to a Supabase query
+ * dateFrom (from parseDateFilter) is inclusive; dateTo comes from parseDateToFilter
+ */
+function applyDateRange(query, column, dateFrom, dateTo) {
+  if (dateFrom) {
+    query = query.gte(column, dateFrom);
+  }
+  if (dateTo) {
+    query = dateTo.exclusive ? query.lt(column, dateTo.value) : query.lte(column, dateTo.value);
+  }
+  return query;
+}
+
+/**
+ * Build pagination metadata for admin list responses
+ */
+function buildPagination(params, total) {
+  return {
+    page: params.page,
+    limit: params.limit,
+    total: total || 0,
+    total_pages: Math.ceil((total || 0) / params.limit)
+  };
+}
+
+const USER_SORT_COLUMNS = [
+  'email', 'username', 'display_name', 'role', 'status', 'last_provider', 'created_at', 'last_login'
+];
+
+/**
+ * Parse system user list filters (shared by the list and export endpoints)
+ * Query: email, role, status, date_from, date_to
+ * @returns {Function|false} Applies the filters to a Supabase query, or false if invalid
+ */
+function parseUserFilters(reqQuery) {
+  const emailSearch = parseEmailSearch(reqQuery.email);
+  const dateFrom = parseDateFilter(reqQuery.date_from);
+  const dateTo = parseDateToFilter(reqQuery.date_to);
+  const role = reqQuery.role || null;
+  const status = reqQuery.status || null;
+  const provider = reqQuery.provider || null;
+
+  if (emailSearch === false || dateFrom === false || dateTo === false ||
+      (role && !ROLES.includes(role)) ||
+      (status && !['active', 'suspended'].includes(status)) ||
+      (provider && !PROVIDER_PATTERN.test(provider))) {
+    return false;
+  }
+
+  return (query) => {
+    if (emailSearch) {
+      query = query.ilike('email', emailSearch);
+    }
+    if (role) {
+      query = query.eq('role', role);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (provider) {
+      // Users who have ever signed in with the provider, not only most recently
+      query = query.contains('providers', [provider]);
+    }
+    return applyDateRange(query, 'created_at', dateFrom, dateTo);
+  };
+}
+
+/**
+ * Get system users (paginated, filterable, sortable)
+ * Query: page, limit, sort, order, email, role, status, provider, date_from, date_to
+ */
+adminRouter.get('/users', requirePermission('users:read'), async (req, res) => {
+  try {
+    const params = parseListParams(req.query, USER_SORT_COLUMNS, 'created_at');
+    const applyFilters = parseUserFilters(req.query);
+
+    if (!applyFilters) {
+      return res.status(400).json({ error: 'Invalid filter parameters' });
+    }
+
+    const query = applyFilters(
+      supabase
+        .from('system_users')
+        .select('*', { count: 'exact' })
+    );
+
+    const { data, error, count } = await query
+      .order(params.sort, { ascending: params.ascending })
+      .range(params.from, params.to);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ users: data, pagination: buildPagination(params, count) });
+  } catch (err) {
+    log.error('Admin users error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Load the target system user for /users/:id routes
+ * Sends 400/404 itself and returns null when the request cannot continue
+ */
+async function loadTargetUser(req, res) {
+  const validatedUserId = validateUuid(req.params.id);
+  if (!validatedUserId) {
+    res.status(400).json({ error: 'Invalid user ID' });
+    return null;
+  }
+
+  const targetUser = await findSystemUserById(validatedUserId);
+  if (!targetUser) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  return targetUser;
+}
+
+/**
+ * Record an admin change to a system user in auth_events and the admin audit trail,
+ * and notify webhook subscribers
+ * @param {Object} [updatedUser] The user after the change; the audit trail then stores the field diff
+ */
+async function logAdminUserEvent(req, targetUser, eventType, details = {}, updatedUser = null) {
+  if (req.audit) {
+    // The diff replaces the hand-built changes in the audit row
+    const { changes, ...metadata } = details;
+    req.audit({
+      action: `user.${eventType.replace(/^user_/, '')}`,
+      targetType: 'user',
+      targetId: targetUser.id,
+      before: updatedUser ? targetUser : null,
+      after: updatedUser,
+      metadata: updatedUser ? metadata : details
+    });
+  }
+
+  emitWebhookEvent(eventType === 'user_deleted' ? 'user.deleted' : 'user.updated', {
+    change: eventType,
+    supabase_user_id: targetUser.supabase_user_id,
+    system_user_id: targetUser.id,
+    email: targetUser.email,
+    actor_id: req.user.id,
+    ...details
+  });
+
+  await logAuthEvent(
+    targetUser.supabase_user_id,
+    eventType,
+    req.ip,
+    req.get('User-Agent'),
+    {
+      actor_id: req.user.id,
+      actor_email: req.user.email,
+      system_user_id: targetUser.id,
+      ...details
+    }
+  );
+}
+
+/**
+ * Update username / display name of a system user
+ * Body: { username?, display_name? }
+ */
+adminRouter.patch('/users/:id', requirePermission('users:write'), async (req, res) => {
+  try {
+    const targetUser = await loadTargetUser(req, res);
+    if (!targetUser) return;
+
+    const { username, display_name } = req.body;
+    const updates = {};
+
+    if (username !== undefined) {
+      const validatedUsername = validateUsername(username);
+      if (!validatedUsername) {
+        return res.status(400).json({ error: 'Invalid username' });
+      }
+      if (await isUsernameTaken(validatedUsername, targetUser.id)) {
+        return res.status(409).json({ error: 'Username already taken' });
+      }
+      updates.username = validatedUsername;
+    }
+
+    if (display_name !== undefined) {
+      const validatedDisplayName = validateDisplayName(display_name);
+      if (!validatedDisplayName) {
+        return res.status(400).json({ error: 'Invalid display name' });
+      }
+      updates.display_name = validatedDisplayName;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const result = await updateSystemUser(targetUser.id, updates);
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    const changes = {};
+    Object.keys(updates).forEach((field) => {
+      changes[field] = { from: targetUser[field], to: updates[field] };
+    });
+    await logAdminUserEvent(req, targetUser, 'user_update', { changes }, result.user);
+
+    res.json({ user: result.user });
+  } catch (err) {
+    log.error('Admin update user error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Change role of a system user
+ * Body: { role }
+ */
+adminRouter.put('/users/:id/role', requirePermission('users:write'), async (req, res) => {
+  try {
+    const targetUser = await loadTargetUser(req, res);
+    if (!targetUser) return;
+
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role', allowed_roles: ROLES });
+    }
+
+    if (targetUser.supabase_user_id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const result = await updateSystemUser(targetUser.id, { role });
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    clearRoleCache(targetUser.supabase_user_id);
+    await logAdminUserEvent(req, targetUser, 'role_change', {
+      changes: { role: { from: targetUser.role, to: role } }
+    }, result.user);
+
+    res.json({ user: result.user });
+  } catch (err) {
+    log.error('Admin change role error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Suspend a system user (authMiddleware rejects them from now on)
+ * Body: { reason? }
+ */
+adminRouter.post('/users/:id/suspend', requirePermission('users:write'), async (req, res) => {
+  try {
+    const targetUser = await loadTargetUser(req, res);
+    if (!targetUser) return;
+
+    if (targetUser.supabase_user_id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot suspend your own account' });
+    }
+
+    if (targetUser.status === 'suspended') {
+      return res.status(409).json({ error: 'User is already suspended' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.slice(0, 500) : null;
+
+    const result = await updateSystemUser(targetUser.id, {
+      status: 'suspended',
+      suspended_at: new Date().toISOString()
+    });
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    clearRoleCache(targetUser.supabase_user_id);
+    await logAdminUserEvent(req, targetUser, 'user_suspended', { reason }, result.user);
+
+    res.json({ user: result.user });
+  } catch (err) {
+    log.error('Admin suspend user error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Reactivate a suspended system user
+ */
+adminRouter.post('/users/:id/reactivate', requirePermission('users:write'), async (req, res) => {
+  try {
+    const targetUser = await loadTargetUser(req, res);
+    if (!targetUser) return;
+
+    if (targetUser.status !== 'suspended') {
+      return res.status(409).json({ error: 'User is not suspended' });
+    }
+
+    const result = await updateSystemUser(targetUser.id, {
+      status: 'active',
+      suspended_at: null
+    });
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    clearRoleCache(targetUser.supabase_user_id);
+    await logAdminUserEvent(req, targetUser, 'user_reactivated', {}, result.user);
+
+    res.json({ user: result.user });
+  } catch (err) {
+    log.error('Admin reactivate user error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Remove all MFA factors of a user (recovery when their authenticator is lost)
+ * The user signs in with their password again and can enroll a new factor
+ */
+adminRouter.delete('/users/:id/mfa', requirePermission('users:write'), async (req, res) => {
+  try {
+    const targetUser = await loadTargetUser(req, res);
+    if (!targetUser) return;
+
+    const { data, error } = await supabase.auth.admin.mfa.listFactors({ userId: targetUser.supabase_user_id });
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const factors = (data && data.factors) || [];
+    for (const factor of factors) {
+      const { error: deleteError } = await supabase.auth.admin.mfa.deleteFactor({
+        id: factor.id,
+        userId: targetUser.supabase_user_id
+      });
+      if (deleteError) {
+        return res.status(500).json({ error: deleteError.message });
+      }
+    }
+
+    await logAdminUserEvent(req, targetUser, 'mfa_reset', { factors_removed: factors.length });
+
+    res.json({ message: 'MFA factors removed', factors_removed: factors.length });
+  } catch (err) {
+    log.error('Admin reset MFA error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete a system user
+ * Query: delete_auth_user=true also removes the Supabase auth user (service-role client)
+ */
+adminRouter.delete('/users/:id', requirePermission('users:write'), async (req, res) => {
+  try {
+    const targetUser = await loadTargetUser(req, res);
+    if (!targetUser) return;
+
+    if (targetUser.supabase_user_id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const deleteAuthUser = req.query.delete_auth_user === 'true';
+
+    // Remove the Supabase auth user first so a failure leaves the system user intact
+    if (deleteAuthUser) {
+      const { error: authError } = await supabase.auth.admin.deleteUser(targetUser.supabase_user_id);
+      if (authError) {
+        log.error('Supabase auth user deletion error', { error: authError.message });
+        return res.status(502).json({ error: 'Failed to delete Supabase auth user: ' + authError.message });
+      }
+    }
+
+    const { error } = await supabase
+      .from('system_users')
+      .delete()
+      .eq('id', targetUser.id);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    clearRoleCache(targetUser.supabase_user_id);
+    await logAdminUserEvent(req, targetUser, 'user_deleted', {
+      email: targetUser.email,
+      role: targetUser.role,
+      auth_user_deleted: deleteAuthUser
+    });
+
+    res.json({ message: 'User deleted successfully', auth_user_deleted: deleteAuthUser });
+  } catch (err) {
+    log.error('Admin delete user error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Download all data stored about a user (GDPR access request filed with an admin)
+ */
+adminRouter.get('/users/:id/export', requirePermission('users:write'), async (req, res) => {
+  try {
+    const targetUser = await loadTargetUser(req, res);
+    if (!targetUser) return;
+
+    const result = await buildUserExport(targetUser.supabase_user_id);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to build export' });
+    }
+
+    await logAdminUserEvent(req, targetUser, 'data_export');
+
+    sendUserExport(res, targetUser.supabase_user_id, result.export);
+  } catch (err) {
+    log.error('Admin data export error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Schedule erasure of a user (GDPR erasure request filed with an admin)
+ * Body: { grace_days? (default DELETION_GRACE_DAYS), immediate?: true to erase now }
+ */
+adminRouter.post('/users/:id/deletion', requirePermission('users:write'), async (req, res) => {
+  try {
+    const targetUser = await loadTargetUser(req, res);
+    if (!targetUser) return;
+
+    if (targetUser.supabase_user_id === req.user.id) {
+      return res.status(400).json({ error: 'Use /me/delete to delete your own account' });
+    }
+
+    const immediate = req.body.immediate === true;
+    const graceDays = immediate ? 0 : (req.body.grace_days !== undefined ? parseInt(req.body.grace_days, 10) : getDeletionGraceDays());
+    if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > 365) {
+      return res.status(400).json({ error: 'Invalid grace_days (0-365)' });
+    }
+
+    const result = await requestDeletion({
+      supabaseUserId: targetUser.supabase_user_id,
+      systemUserId: targetUser.id,
+      email: targetUser.email
+    }, { requestedBy: req.user.id, graceDays });
+
+    if (!result.success) {
+      const status = result.code === 'already_scheduled' ? 409 : 500;
+      return res.status(status).json({ error: result.error, code: result.code, request: result.request });
+    }
+
+    // Logged before an immediate erasure, which anonymizes this entry too
+    await logAdminUserEvent(req, targetUser, 'deletion_scheduled', {
+      deletion_request_id: result.request.id,
+      scheduled_for: result.request.scheduled_for
+    });
+
+    if (!immediate) {
+      return res.status(201).json({ request: result.request });
+    }
+
+    const summary = await processDueDeletions({ requestId: result.request.id });
+    if (summary.failed.length > 0) {
+      return res.status(500).json({ error: 'Erasure failed, it will be retried', details: summary.failed[0].error, request: result.request });
+    }
+
+    res.json({ message: 'User erased', request_id: result.request.id });
+  } catch (err) {
+    log.error('Admin deletion request error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Cancel the open deletion request of a user
+ */
+adminRouter.delete('/users/:id/deletion', requirePermission('users:write'), async (req, res) => {
+  try {
+    const targetUser = await loadTargetUser(req, res);
+    if (!targetUser) return;
+
+    const result = await cancelDeletion(targetUser.supabase_user_id);
+    if (!result.success) {
+      return res.status(result.code === 'not_found' ? 404 : 500).json({ error: result.error, code: result.code });
+    }
+
+    await logAdminUserEvent(req, targetUser, 'deletion_cancelled', { deletion_request_id: result.request.id });
+
+    res.json({ request: result.request });
+  } catch (err) {
+    log.error('Admin deletion cancel error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * List account deletion requests
+ * Query: page, limit, status (pending|scheduled|cancelled|completed), failed=true (erasure errors only)
+ */
+adminRouter.get('/deletions', requirePermission('users:read'), async (req, res) => {
+  try {
+    const params = parseListParams(req.query, ['created_at', 'scheduled_for', 'completed_at'], 'created_at');
+
+    let query = supabase
+      .from('deletion_requests')
+      .select(DELETION_REQUEST_COLUMNS, { count: 'exact' });
+
+    if (req.query.status) {
+      if (!['pending', 'scheduled', 'cancelled', 'completed'].includes(req.query.status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+      }
+      query = query.eq('status', req.query.status);
+    }
+    if (req.query.failed === 'true') {
+      query = query.not('last_error', 'is', null);
+    }
+
+    const { data, error, count } = await query
+      .order(params.sort, { ascending: params.ascending })
+      .range(params.from, params.to);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ requests: data, pagination: buildPagination(params, count) });
+  } catch (err) {
+    log.error('Admin deletions error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Erase the users whose grace period has ended now instead of waiting for the scheduler
+ */
+adminRouter.post('/deletions/process', requirePermission('users:write'), async (req, res) => {
+  try {
+    const summary = await processDueDeletions();
+    res.json(summary);
+  } catch (err) {
+    log.error('Admin deletions process error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get the data retention policy and the latest retention runs
+ */
+adminRouter.get('/retention', requirePermission('logs:read'), async (req, res) => {
+  try {
+    const runs = await listRetentionRuns();
+    res.json({ policy: getRetentionPolicy(), runs });
+  } catch (err) {
+    log.error('Admin retention error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Run the data retention policy now
+ * Body: { dry_run?: true to only count the rows that would be anonymized or deleted }
+ */
+adminRouter.post('/retention/run', requirePermission('logs:write'), async (req, res) => {
+  try {
+    const result = await runRetention({
+      dryRun: req.body.dry_run === true,
+      trigger: 'admin',
+      triggeredBy: req.user.id
+    });
+
+    res.status(result.success ? 200 : 500).json({ run: result.run });
+  } catch (err) {
+    log.error('Admin retention run error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const AUDIT_TARGET_TYPES = ['pair', 'user'];
+
+/**
+ * Get the admin audit trail (paginated, filterable, newest first by default)
+ * Query: page, limit, sort, order, action (e.g. pair.delete, or pair.* for a prefix),
+ * target_type, target_id, actor_id, actor_email, request_id, date_from, date_to
+ */
+adminRouter.get('/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const params = parseListParams(req.query, ['created_at', 'action'], 'created_at');
+    const actorEmail = parseEmailSearch(req.query.actor_email);
+    const actorId = req.query.actor_id ? validateUuid(req.query.actor_id) : null;
+    const dateFrom = parseDateFilter(req.query.date_from);
+    const dateTo = parseDateToFilter(req.query.date_to);
+    const { action, target_type: targetType, target_id: targetId, request_id: requestId } = req.query;
+
+    if (actorEmail === false || actorId === false || dateFrom === false || dateTo === false ||
+        (action && !/^[a-z_]+(\.[a-z_]+)*(\.\*)?$/.test(action)) ||
+        (targetType && !AUDIT_TARGET_TYPES.includes(targetType)) ||
+        (targetId && (typeof targetId !== 'string' || targetId.length > 100)) ||
+        (requestId && !/^[A-Za-z0-9._:-]{1,128}$/.test(requestId))) {
+      return res.status(400).json({ error: 'Invalid filter parameters' });
+    }
+
+    let query = supabase
+      .from('admin_audit_log')
+      .select(AUDIT_COLUMNS, { count: 'exact' });
+
+    if (action) {
+      query = action.endsWith('.*')
+        ? query.like('action', `${action.slice(0, -1).replace(/_/g, '\\_')}%`)
+        : query.eq('action', action);
+    }
+    if (targetType) {
+      query = query.eq('target_type', targetType);
+    }
+    if (targetId) {
+      query = query.eq('target_id', targetId);
+    }
+    if (actorId) {
+      query = query.eq('actor_id', actorId);
+    }
+    if (actorEmail) {
+      query = query.ilike('actor_email', actorEmail);
+    }
+    if (requestId) {
+      query = query.eq('request_id', requestId);
+    }
+    query = applyDateRange(query, 'created_at', dateFrom, dateTo);
+
+    const { data, error, count } = await query
+      .order(params.sort, { ascending: params.ascending })
+      .range(params.from, params.to);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ entries: data, pagination: buildPagination(params, count) });
+  } catch (err) {
+    log.error('Admin audit log error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const LOG_SORT_COLUMNS = ['user_email', 'site_url', 'registration_url', 'registered_at'];
+
+/**
+ * Parse registration log filters (shared by the list and export endpoints)
+ * Query: email, site_url, pair_id, date_from, date_to
+ * @returns {Function|false} Applies the filters to a Supabase query, or false if invalid
+ */
+function parseLogFilters(reqQuery) {
+  const emailSearch = parseEmailSearch(reqQuery.email);
+  const dateFrom = parseDateFilter(reqQuery.date_from);
+  const dateTo = parseDateToFilter(reqQuery.date_to);
+  const siteUrl = reqQuery.site_url ? validateSiteUrl(reqQuery.site_url) : null;
+  const pairId = reqQuery.pair_id ? validateUuid(reqQuery.pair_id) : null;
+
+  if (emailSearch === false || dateFrom === false || dateTo === false ||
+      siteUrl === false || pairId === false) {
+    return false;
+  }
+
+  return (query) => {
+    if (emailSearch) {
+      query = query.ilike('user_email', emailSearch);
+    }
+    if (siteUrl) {
+      query = query.eq('site_url', siteUrl);
+    }
+    if (pairId) {
+      query = query.eq('pair_id', pairId);
+    }
+    return applyDateRange(query, 'registered_at', dateFrom, dateTo);
+  };
+}
+
+/**
+ * Get registration logs (paginated, filterable, sortable)
+ * Query: page, limit, sort, order, email, site_url, pair_id, date_from, date_to
+ */
+adminRouter.get('/logs', requirePermission('logs:read'), async (req, res) => {
+  try {
+    const params = parseListParams(req.query, LOG_SORT_COLUMNS, 'registered_at');
+    const applyFilters = parseLogFilters(req.query);
+
+    if (!applyFilters) {
+      return res.status(400).json({ error: 'Invalid filter parameters' });
+    }
+
+    const query = applyFilters(
+      supabase
+        .from('wp_user_registrations')
+        .select('*', { count: 'exact' })
+    );
+
+    const { data, error, count } = await query
+      .order(params.sort, { ascending: params.ascending })
+      .range(params.from, params.to);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ logs: data, pagination: buildPagination(params, count) });
+  } catch (err) {
+    log.error('Admin logs error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export definitions: table, columns and the list endpoint's filters and sorting
+const EXPORT_RESOURCES = {
+  pairs: {
+    table: 'wp_registration_pairs',
+    columns: ['id', ...PAIR_IMPORT_COLUMNS, 'site_id', 'created_at', 'updated_at'],
+    sortColumns: ['created_at'],
+    defaultSort: 'created_at',
+    parseFilters: parsePairFilters
+  },
+  users: {
+    table: 'system_users',
+    columns: ['id', 'supabase_user_id', 'email', 'username', 'display_name', 'role', 'status',
+      'suspended_at', 'last_provider', 'providers', 'profile', 'preferences', 'avatar_url', 'created_at', 'updated_at', 'last_login'],
+    sortColumns: USER_SORT_COLUMNS,
+    defaultSort: 'created_at',
+    parseFilters: parseUserFilters
+  },
+  logs: {
+    table: 'wp_user_registrations',
+    columns: ['id', 'user_email', 'user_id', 'registered_at', 'site_url', 'site_id', 'pair_id',
+      'registration_url', 'thankyou_page_url'],
+    sortColumns: LOG_SORT_COLUMNS,
+    defaultSort: 'registered_at',
+    parseFilters: parseLogFilters
+  }
+};
+
+/**
+ * Build a streaming export handler for one of EXPORT_RESOURCES
+ * Query: format (csv|json), sort, order and the resource's list filters
+ */
+function exportHandler(resourceName) {
+  const resource = EXPORT_RESOURCES[resourceName];
+
+  return async (req, res) => {
+    try {
+      const format = req.query.format || 'csv';
+      const { sort, ascending } = parseListParams(req.query, resource.sortColumns, resource.defaultSort);
+      const applyFilters = resource.parseFilters(req.query);
+
+      if (!EXPORT_FORMATS.includes(format) || !applyFilters) {
+        return res.status(400).json({ error: 'Invalid export parameters' });
+      }
+
+      await streamExport(res, {
+        // Order by id as well so batches do not overlap when sort values repeat
+        buildQuery: () => applyFilters(supabase.from(resource.table).select(resource.columns.join(', ')))
+          .order(sort, { ascending })
+          .order('id', { ascending: true }),
+        columns: resource.columns,
+        format,
+        filename: resourceName
+      });
+    } catch (err) {
+      log.error('Admin export error', { resource: resourceName, error: err.message });
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  };
+}
+
+adminRouter.get('/export/pairs', requirePermission('pairs:read'), exportHandler('pairs'));
+adminRouter.get('/export/users', requirePermission('users:read'), exportHandler('users'));
+adminRouter.get('/export/logs', requirePermission('logs:read'), exportHandler('logs'));
+
+/**
+ * Bulk import registration pairs from CSV (Content-Type: text/csv) or JSON
+ * Query: mode (insert|upsert, default insert), dry_run (true = validate and preview only)
+ * Rows are matched to existing pairs by (site_url, registration_page_url)
+ */
+adminRouter.post(
+  '/import/pairs',
+  requirePermission('pairs:write'),
+  bodyParser.text({ type: 'text/csv', limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const mode = req.query.mode || 'insert';
+      const dryRun = req.query.dry_run === 'true';
+
+      if (!['insert', 'upsert'].includes(mode)) {
+        return res.status(400).json({ error: 'Invalid import mode' });
+      }
+
+      const { rows, error } = readImportRows(req.body, Boolean(req.is('text/csv')));
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const summary = await importPairs(rows, { mode, dryRun });
+
+      if (!dryRun) {
+        summary.results
+          .filter((result) => result.action === 'create' || result.action === 'update')
+          .forEach((result) => {
+            emitWebhookEvent('pair.changed', {
+              action: result.action === 'create' ? 'created' : 'updated',
+              pair: result.pair
+            }, { siteUrl: result.pair.site_url, pairId: result.pair.id });
+            req.audit({
+              action: result.action === 'create' ? 'pair.create' : 'pair.update',
+              targetType: 'pair',
+              targetId: result.pair.id,
+              before: result.previous || null,
+              after: result.pair,
+              metadata: { source: 'import', row: result.row }
+            });
+          });
+      }
+
+      res.json(summary);
+    } catch (err) {
+      log.error('Admin pairs import error', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * Parse the shared filters of the stats endpoints
+ * @returns {Object|false} { range, siteUrl, pairId } or false if invalid
+ */
+function parseStatsFilters(query) {
+  const range = parseStatsRange(query.date_from, query.date_to);
+  const siteUrl = query.site_url ? validateSiteUrl(query.site_url) : null;
+  const pairId = query.pair_id ? validateUuid(query.pair_id) : null;
+
+  if (!range || siteUrl === false || pairId === false) {
+    return false;
+  }
+
+  return { range, siteUrl, pairId };
+}
+
+/**
+ * Registrations per period with new/returning split and previous-period comparison
+ * Query: interval (day|week|month), date_from, date_to, site_url, pair_id
+ */
+adminRouter.get('/stats/registrations', requirePermission('logs:read'), async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    const filters = parseStatsFilters(req.query);
+
+    if (!STATS_INTERVALS.includes(interval) || !filters) {
+      return res.status(400).json({ error: 'Invalid stats parameters' });
+    }
+
+    const stats = await getRegistrationSeries(filters.range, interval, filters);
+    res.json(stats);
+  } catch (err) {
+    log.error('Admin registration stats error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Registrations broken down by pair, site or registration URL
+ * Query: by (pair|site|registration_url), date_from, date_to, site_url, pair_id
+ */
+adminRouter.get('/stats/breakdown', requirePermission('logs:read'), async (req, res) => {
+  try {
+    const groupBy = req.query.by || 'pair';
+    const filters = parseStatsFilters(req.query);
+
+    if (!STATS_BREAKDOWNS.includes(groupBy) || !filters) {
+      return res.status(400).json({ error: 'Invalid stats parameters' });
+    }
+
+    const stats = await getRegistrationBreakdown(filters.range, groupBy, filters);
+    res.json(stats);
+  } catch (err) {
+    log.error('Admin registration breakdown error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Validate webhook endpoint fields from a request body
+ * @returns {Object|null} Row fields ready for insert/update, or null if invalid
+ */
+function validateWebhookInput(body) {
+  const { url, events, site_url, pair_id, description, active = true } = body;
+
+  const validatedUrl = validateSiteUrl(url);
+  const validatedSiteUrl = site_url ? validateSiteUrl(site_url) : null;
+  const validatedPairId = pair_id ? validateUuid(pair_id) : null;
+  const validEvents = Array.isArray(events) && events.length > 0 &&
+    events.every((event) => event === '*' || WEBHOOK_EVENTS.includes(event));
+
+  if (!validatedUrl || !validEvents || validatedSiteUrl === false || validatedPairId === false ||
+      (description !== undefined && description !== null &&
+        (typeof description !== 'string' || description.length > 200)) ||
+      typeof active !== 'boolean') {
+    return null;
+  }
+
+  return {
+    url: validatedUrl,
+    events: [...new Set(events)],
+    site_url: validatedSiteUrl,
+    pair_id: validatedPairId,
+    description: description || null,
+    active
+  };
+}
+
+// Columns returned by the webhook API (the signing secret is only returned on creation)
+const WEBHOOK_ENDPOINT_COLUMNS = 'id, url, events, site_url, pair_id, description, active, created_at, updated_at';
+
+/**
+ * Get webhook endpoints
+ */
+adminRouter.get('/webhooks', requirePermission('webhooks:read'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .select(WEBHOOK_ENDPOINT_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ webhooks: data, available_events: WEBHOOK_EVENTS });
+  } catch (err) {
+    log.error('Admin webhooks error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Create webhook endpoint
+ * Body: { url, events[], site_url?, pair_id?, description?, active? }
+ * The generated signing secret is returned once, in this response
+ */
+adminRouter.post('/webhooks', requirePermission('webhooks:write'), async (req, res) => {
+  try {
+    const webhookFields = validateWebhookInput(req.body);
+    if (!webhookFields) {
+      return res.status(400).json({ error: 'Invalid input data', available_events: WEBHOOK_EVENTS });
+    }
+
+    // No deliveries to loopback, private or link-local hosts (the response body is shown to admins)
+    const target = await resolveWebhookTarget(webhookFields.url);
+    if (!target.valid) {
+      return res.status(400).json({ error: target.error });
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .insert([{ ...webhookFields, secret: generateWebhookSecret() }])
+      .select();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.status(201).json({ webhook: data[0] });
+  } catch (err) {
+    log.error('Admin create webhook error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Update webhook endpoint
+ */
+adminRouter.put('/webhooks/:id', requirePermission('webhooks:write'), async (req, res) => {
+  try {
+    const validatedWebhookId = validateUuid(req.params.id);
+    if (!validatedWebhookId) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+
+    const webhookFields = validateWebhookInput(req.body);
+    if (!webhookFields) {
+      return res.status(400).json({ error: 'Invalid input data', available_events: WEBHOOK_EVENTS });
+    }
+
+    // No deliveries to loopback, private or link-local hosts (the response body is shown to admins)
+    const target = await resolveWebhookTarget(webhookFields.url);
+    if (!target.valid) {
+      return res.status(400).json({ error: target.error });
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .update({ ...webhookFields, updated_at: new Date().toISOString() })
+      .eq('id', validatedWebhookId)
+      .select(WEBHOOK_ENDPOINT_COLUMNS);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ webhook: data[0] });
+  } catch (err) {
+    log.error('Admin update webhook error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete webhook endpoint (its delivery log is removed with it)
+ */
+adminRouter.delete('/webhooks/:id', requirePermission('webhooks:write'), async (req, res) => {
+  try {
+    const validatedWebhookId = validateUuid(req.params.id);
+    if (!validatedWebhookId) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+
+    const { error } = await supabase
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', validatedWebhookId);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (err) {
+    log.error('Admin delete webhook error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get webhook deliveries (paginated)
+ * Query: page, limit, status (pending|success|failed), endpoint_id, event_type
+ */
+adminRouter.get('/webhooks/deliveries', requirePermission('webhooks:read'), async (req, res) => {
+  try {
+    const params = parseListParams(req.query, ['created_at', 'updated_at', 'attempts'], 'created_at');
+    const status = req.query.status || null;
+    const endpointId = req.query.endpoint_id ? validateUuid(req.query.endpoint_id) : null;
+    const eventType = req.query.event_type || null;
+
+    if ((status && !['pending', 'success', 'failed'].includes(status)) || endpointId === false ||
+        (eventType && !WEBHOOK_EVENTS.includes(eventType))) {
+      return res.status(400).json({ error: 'Invalid filter parameters' });
+    }
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('id, endpoint_id, event_type, status, attempts, response_status, last_error, next_attempt_at, delivered_at, created_at, updated_at, webhook_endpoints(url)', { count: 'exact' });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (endpointId) {
+      query = query.eq('endpoint_id', endpointId);
+    }
+    if (eventType) {
+      query = query.eq('event_type', eventType);
+    }
+
+    const { data, error, count } = await query
+      .order(params.sort, { ascending: params.ascending })
+      .range(params.from, params.to);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ deliveries: data, pagination: buildPagination(params, count) });
+  } catch (err) {
+    log.error('Admin webhook deliveries error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Redeliver a webhook delivery now (resets its attempt counter)
+ */
+adminRouter.post('/webhooks/deliveries/:id/redeliver', requirePermission('webhooks:write'), async (req, res) => {
+  try {
+    const validatedDeliveryId = validateUuid(req.params.id);
+    if (!validatedDeliveryId) {
+      return res.status(400).json({ error: 'Invalid delivery ID' });
+    }
+
+    const result = await redeliver(validatedDeliveryId);
+    if (!result.delivery) {
+      return res.status(result.error === 'Delivery not found' ? 404 : 500).json({ error: result.error });
+    }
+    if (result.code === 'endpoint_inactive') {
+      return res.status(409).json({ error: result.error, code: result.code, delivery: result.delivery });
+    }
+
+    res.json({ delivered: result.success, delivery: result.delivery });
+  } catch (err) {
+    log.error('Admin redeliver webhook error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get registered sites
+ */
+adminRouter.get('/sites', requirePermission('sites:read'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('sites')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ sites: data });
+  } catch (err) {
+    log.error('Admin sites error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Save a site row (insert or update by ID) and refresh the registry cache
+ * Sends the response itself
+ */
+async function saveSite(req, res, siteId = null) {
+  const errors = [];
+  const siteFields = validateSiteInput(req.body, errors);
+
+  if (!siteFields) {
+    return res.status(400).json({ error: 'Invalid input data', fields: errors });
+  }
+
+  const query = siteId
+    ? supabase.from('sites').update({ ...siteFields, updated_at: new Date().toISOString() }).eq('id', siteId)
+    : supabase.from('sites').insert([siteFields]);
+
+  const { data, error } = await query.select();
+  clearSiteCache();
+
+  if (error) {
+    // 23505 = unique_violation on site_url
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A site with this site_url already exists' });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Site not found' });
+  }
+
+  res.status(siteId ? 200 : 201).json({ site: data[0] });
+}
+
+/**
+ * Register a site
+ * Body: { site_url, name?, allowed_origins[], default_thankyou_page_url?, default_welcome_back_page_url?, settings?, active? }
+ */
+adminRouter.post('/sites', requirePermission('sites:write'), async (req, res) => {
+  try {
+    await saveSite(req, res);
+  } catch (err) {
+    log.error('Admin create site error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Update a site
+ */
+adminRouter.put('/sites/:id', requirePermission('sites:write'), async (req, res) => {
+  try {
+    const siteId = validateUuid(req.params.id);
+    if (!siteId) {
+      return res.status(400).json({ error: 'Invalid site ID' });
+    }
+
+    await saveSite(req, res, siteId);
+  } catch (err) {
+    log.error('Admin update site error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete a site (its pairs keep their site_url and are unlinked)
+ */
+adminRouter.delete('/sites/:id', requirePermission('sites:write'), async (req, res) => {
+  try {
+    const siteId = validateUuid(req.params.id);
+    if (!siteId) {
+      return res.status(400).json({ error: 'Invalid site ID' });
+    }
+
+    const { data, error } = await supabase
+      .from('sites')
+      .delete()
+      .eq('id', siteId)
+      .select();
+    clearSiteCache();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+
+    res.json({ message: 'Site deleted successfully' });
+  } catch (err) {
+    log.error('Admin delete site error', { error: err.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// === SIGNING KEYS ===
+
+/**
+ * Key IDs used to verify tokens and when they were last refreshed
+ */
+adminRouter.get('/jwks', requirePermission('keys:read'), (req, res) => {
+  res.json(getJwksStatus());
+});
+
+/**
+ * Re-fetch the JWKS now (re-reads the local key set in offline mode)
+ */
+adminRouter.post('/jwks/refresh', requirePermission('keys:write'), async (req, res) => {
+  try {
+    await refreshKeys();
+    res.json(getJwksStatus());
+  } catch (err) {
+    log.error('Admin JWKS refresh error', { error: err.message });
+    res.status(503).json({ error: 'Signing keys unavailable', ...getJwksStatus() });
+  }
+});
+
+/**
+ * Admin dashboard - serve HTML interface
+ */
+adminRouter.get('/dashboard', (req, res) => {
+  const html = `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Supabase Auth Module - Admin</title>
+      <style>
+          body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
+          .container { max-width: 1200px; margin: 0 auto; background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+          .header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 30px; padding-bottom: 20px; border-bottom: 1px solid #eee; }
+          .tabs { display: flex; gap: 10px; margin-bottom: 20px; }
+          .tab { padding: 10px 20px; background: #e9ecef; border: none; border-radius: 4px; cursor: pointer; }
+          .tab.active { background: #007bff; color: white; }
+          .table { width: 100%; border-collapse: collapse; }
+          .table th, .table td { padding: 12px; text-align: left; border-bottom: 1px solid #eee; }
+          .table th { background: #f8f9fa; font-weight: 600; }
+          .btn { padding: 8px 16px; border: none; border-radius: 4px; cursor: pointer; }
+          .btn-primary { background: #007bff; color: white; }
+          .btn-danger { background: #dc3545; color: white; }
+          .form-group { margin-bottom: 15px; }
+          .form-group label { display: block; margin-bottom: 5px; font-weight: 600; }
+          .form-group input, .form-group select { width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; }
+          .modal { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); }
+          .modal-content { background: white; margin: 50px auto; padding: 20px; width: 500px; border-radius: 8px; }
+          .filters { display: flex; flex-wrap: wrap; gap: 10px; align-items: flex-end; margin-bottom: 20px; }
+          .filters .form-group { margin-bottom: 0; }
+          .filters input, .filters select { padding: 8px; border: 1px solid #ddd; border-radius: 4px; }
+          .table th.sortable { cursor: pointer; }
+          .pagination { display: flex; gap: 10px; align-items: center; margin-top: 15px; }
+          .stat-cards { display: flex; gap: 15px; margin-bottom: 20px; }
+          .stat-card { flex: 1; padding: 15px; background: #f8f9fa; border-radius: 8px; }
+          .stat-card .value { font-size: 28px; font-weight: 600; }
+          .stat-card .change-up { color: #28a745; }
+          .stat-card .change-down { color: #dc3545; }
+          .chart { width: 100%; height: auto; margin-bottom: 10px; }
+          .chart-legend { display: flex; gap: 15px; margin-bottom: 20px; font-size: 14px; }
+          .chart-legend span::before { content: ''; display: inline-block; width: 12px; height: 12px; margin-right: 5px; background: var(--color); }
+          .bar-cell { width: 30%; }
+          .bar { height: 10px; background: #007bff; border-radius: 2px; }
+      </style>
+  </head>
+  <body>
+      <div class="container">
+          <div class="header">
+              <h1>🚀 Supabase Auth Module - Admin</h1>
+              <div>Welcome, ${req.user.email} (${req.user.system_role})</div>
+          </div>
+
+          <div class="tabs">
+              <button class="tab active" onclick="showTab('pairs')">Registration Pairs</button>
+              <button class="tab" onclick="showTab('users')">System Users</button>
+              <button class="tab" onclick="showTab('logs')">Registration Logs</button>
+              <button class="tab" onclick="showTab('stats')">Statistics</button>
+              ${req.user.permissions.includes('sites:read') ? '<button class="tab" onclick="showTab(\'sites\')">Sites</button>' : ''}
+              ${req.user.permissions.includes('webhooks:read') ? '<button class="tab" onclick="showTab(\'webhooks\')">Webhooks</button>' : ''}
+              <button class="tab" onclick="showTab('retention')">Data Retention</button>
+              ${req.user.permissions.includes('audit:read') ? '<button class="tab" onclick="showTab(\'audit\')">Audit Log</button>' : ''}
+          </div>
+
+          <div id="pairs-tab" class="tab-content">
+              <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                  <h2>Registration Pairs</h2>
+                  <div>
+                      <button class="btn" onclick="exportList('pairs', 'csv')">Export CSV</button>
+                      <button class="btn" onclick="exportList('pairs', 'json')">Export JSON</button>
+                      ${req.user.permissions.includes('pairs:write') ? '<button class="btn btn-primary" onclick="showAddPairModal()">Add New Pair</button>' : ''}
+                  </div>
+              </div>
+              ${req.user.permissions.includes('pairs:write') ? `
+              <form id="import-form" class="filters" onsubmit="importPairsFile(event, true)">
+                  <div class="form-group">
+                      <label for="import-file">Import pairs (CSV or JSON)</label>
+                      <input type="file" id="import-file" name="file" accept=".csv,.json" required>
+                  </div>
+                  <div class="form-group">
+                      <label for="import-mode">Existing pairs</label>
+                      <select id="import-mode" name="mode">
+                          <option value="insert">Report as errors</option>
+                          <option value="upsert">Update (upsert)</option>
+                      </select>
+                  </div>
+                  <button type="submit" class="btn">Preview</button>
+                  <button type="button" class="btn btn-primary" onclick="importPairsFile(event, false)">Import</button>
+              </form>
+              <div id="import-results"></div>
+              ` : ''}
+              <div id="pairs-table-container">
+                  Loading...
+              </div>
+          </div>
+
+          <div id="users-tab" class="tab-content" style="display: none;">
+              <h2>System Users</h2>
+              <form id="users-filters" class="filters" onsubmit="applyFilters(event, 'users')">
+                  <div class="form-group">
+                      <label for="users-email">Email</label>
+                      <input type="text" id="users-email" name="email" placeholder="Search email">
+                  </div>
+                  <div class="form-group">
+                      <label for="users-role">Role</label>
+                      <select id="users-role" name="role">
+                          <option value="">All</option>
+                          <option value="admin">admin</option>
+                          <option value="editor">editor</option>
+                          <option value="viewer">viewer</option>
+                          <option value="user">user</option>
+                      </select>
+                  </div>
+                  <div class="form-group">
+                      <label for="users-status">Status</label>
+                      <select id="users-status" name="status">
+                          <option value="">All</option>
+                          <option value="active">active</option>
+                          <option value="suspended">suspended</option>
+                      </select>
+                  </div>
+                  <div class="form-group">
+                      <label for="users-provider">Provider</label>
+                      <input type="text" id="users-provider" name="provider" placeholder="e.g. google" list="users-provider-options">
+                      <datalist id="users-provider-options">
+                          <option value="email"></option>
+                          <option value="google"></option>
+                          <option value="facebook"></option>
+                          <option value="github"></option>
+                          <option value="apple"></option>
+                          <option value="azure"></option>
+                          <option value="discord"></option>
+                      </datalist>
+                  </div>
+                  <div class="form-group">
+                      <label for="users-date-from">Created from</label>
+                      <input type="date" id="users-date-from" name="date_from">
+                  </div>
+                  <div class="form-group">
+                      <label for="users-date-to">Created to</label>
+                      <input type="date" id="users-date-to" name="date_to">
+                  </div>
+                  <button type="submit" class="btn btn-primary">Filter</button>
+                  <button type="button" class="btn" onclick="exportList('users', 'csv')">Export CSV</button>
+                  <button type="button" class="btn" onclick="exportList('users', 'json')">Export JSON</button>
+              </form>
+              <div id="users-table-container">
+                  Loading...
+              </div>
+          </div>
+
+          <div id="logs-tab" class="tab-content" style="display: none;">
+              <h2>Registration Logs</h2>
+              <form id="logs-filters" class="filters" onsubmit="applyFilters(event, 'logs')">
+                  <div class="form-group">
+                      <label for="logs-email">Email</label>
+                      <input type="text" id="logs-email" name="email" placeholder="Search email">
+                  </div>
+                  <div class="form-group">
+                      <label for="logs-site-url">Site URL</label>
+                      <input type="url" id="logs-site-url" name="site_url" placeholder="https://example.com">
+                  </div>
+                  <div class="form-group">
+                      <label for="logs-pair-id">Pair ID</label>
+                      <input type="text" id="logs-pair-id" name="pair_id">
+                  </div>
+                  <div class="form-group">
+                      <label for="logs-date-from">Registered from</label>
+                      <input type="date" id="logs-date-from" name="date_from">
+                  </div>
+                  <div class="form-group">
+                      <label for="logs-date-to">Registered to</label>
+                      <input type="date" id="logs-date-to" name="date_to">
+                  </div>
+                  <button type="submit" class="btn btn-primary">Filter</button>
+                  <button type="button" class="btn" onclick="exportList('logs', 'csv')">Export CSV</button>
+                  <button type="button" class="btn" onclick="exportList('logs', 'json')">Export JSON</button>
+              </form>
+              <div id="logs-table-container">
+                  Loading...
+              </div>
+          </div>
+
+          <div id="stats-tab" class="tab-content" style="display: none;">
+              <h2>Registration Statistics</h2>
+              <form id="stats-filters" class="filters" onsubmit="applyFilters(event, 'stats')">
+                  <div class="form-group">
+                      <label for="stats-date-from">From</label>
+                      <input type="date" id="stats-date-from" name="date_from">
+                  </div>
+                  <div class="form-group">
+                      <label for="stats-date-to">To</label>
+                      <input type="date" id="stats-date-to" name="date_to">
+                  </div>
+                  <div class="form-group">
+                      <label for="stats-interval">Interval</label>
+                      <select id="stats-interval" name="interval">
+                          <option value="day">Day</option>
+                          <option value="week">Week</option>
+                          <option value="month">Month</option>
+                      </select>
+                  </div>
+                  <div class="form-group">
+                      <label for="stats-by">Breakdown</label>
+                      <select id="stats-by" name="by">
+                          <option value="pair">Pair</option>
+                          <option value="site">Site</option>
+                          <option value="registration_url">Registration URL</option>
+                      </select>
+                  </div>
+                  <div class="form-group">
+                      <label for="stats-site-url">Site URL</label>
+                      <input type="url" id="stats-site-url" name="site_url" placeholder="https://example.com">
+                  </div>
+                  <div class="form-group">
+                      <label for="stats-pair-id">Pair ID</label>
+                      <input type="text" id="stats-pair-id" name="pair_id">
+                  </div>
+                  <button type="submit" class="btn btn-primary">Apply</button>
+              </form>
+              <div id="stats-table-container">
+                  Loading...
+              </div>
+          </div>
+
+          <div id="sites-tab" class="tab-content" style="display: none;">
+              <h2>Sites</h2>
+              ${req.user.permissions.includes('sites:write') ? `
+              <form id="site-form" class="filters" onsubmit="createSite(event)">
+                  <div class="form-group">
+                      <label for="site-url">Site URL</label>
+                      <input type="url" id="site-url" name="site_url" placeholder="https://example.com" required>
+                  </div>
+                  <div class="form-group">
+                      <label for="site-name">Name</label>
+                      <input type="text" id="site-name" name="name">
+                  </div>
+                  <div class="form-group">
+                      <label for="site-origins">Extra allowed origins (comma-separated)</label>
+                      <input type="text" id="site-origins" name="allowed_origins" placeholder="https://www.example.com">
+                  </div>
+                  <div class="form-group">
+                      <label for="site-thankyou">Default Thank You URL</label>
+                      <input type="text" id="site-thankyou" name="default_thankyou_page_url" placeholder="/thank-you">
+                  </div>
+                  <div class="form-group">
+                      <label for="site-welcome-back">Default Welcome Back URL</label>
+                      <input type="text" id="site-welcome-back" name="default_welcome_back_page_url">
+                  </div>
+                  <button type="submit" class="btn btn-primary">Add Site</button>
+              </form>` : ''}
+              <div id="sites-table-container">
+                  Loading...
+              </div>
+          </div>
+
+          <div id="webhooks-tab" class="tab-content" style="display: none;">
+              <h2>Webhook Endpoints</h2>
+              ${req.user.permissions.includes('webhooks:write') ? `
+              <form id="webhook-form" class="filters" onsubmit="createWebhook(event)">
+                  <div class="form-group">
+                      <label for="webhook-url">Endpoint URL</label>
+                      <input type="url" id="webhook-url" name="url" placeholder="https://crm.example.com/hooks" required>
+                  </div>
+                  <div class="form-group">
+                      <label for="webhook-site-url">Site URL (optional)</label>
+                      <input type="url" id="webhook-site-url" name="site_url">
+                  </div>
+                  <div class="form-group">
+                      <label for="webhook-pair-id">Pair ID (optional)</label>
+                      <input type="text" id="webhook-pair-id" name="pair_id">
+                  </div>
+                  <div class="form-group">
+                      <label>Events</label>
+                      ${WEBHOOK_EVENTS.map((event) => `<label style="font-weight: normal;"><input type="checkbox" name="events" value="${event}" style="width: auto;"> ${event}</label>`).join(' ')}
+                  </div>
+                  <button type="submit" class="btn btn-primary">Add Endpoint</button>
+              </form>` : ''}
+              <div id="webhooks-table-container">
+                  Loading...
+              </div>
+
+              <h2>Deliveries</h2>
+              <form id="deliveries-filters" class="filters" onsubmit="applyFilters(event, 'deliveries')">
+                  <div class="form-group">
+                      <label for="deliveries-status">Status</label>
+                      <select id="deliveries-status" name="status">
+                          <option value="failed">failed</option>
+                          <option value="pending">pending</option>
+                          <option value="success">success</option>
+                          <option value="">All</option>
+                      </select>
+                  </div>
+                  <button type="submit" class="btn btn-primary">Filter</button>
+              </form>
+              <div id="deliveries-table-container">
+                  Loading...
+              </div>
+          </div>
+
+          <div id="retention-tab" class="tab-content" style="display: none;">
+              <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                  <h2>Data Retention Policy</h2>
+                  ${req.user.permissions.includes('logs:write') ? `
+                  <div>
+                      <button class="btn" onclick="runRetentionNow(true)">Dry Run</button>
+                      <button class="btn btn-danger" onclick="runRetentionNow(false)">Run Now</button>
+                  </div>` : ''}
+              </div>
+              <div id="retention-table-container">
+                  Loading...
+              </div>
+              <h2>Recent Runs</h2>
+              <div id="retention-runs-table-container">
+                  Loading...
+              </div>
+          </div>
+
+          <div id="audit-tab" class="tab-content" style="display: none;">
+              <h2>Audit Log</h2>
+              <form id="audit-filters" class="filters" onsubmit="applyFilters(event, 'audit')">
+                  <div class="form-group">
+                      <label for="audit-action">Action</label>
+                      <input type="text" id="audit-action" name="action" placeholder="pair.delete or pair.*">
+                  </div>
+                  <div class="form-group">
+                      <label for="audit-target-type">Target</label>
+                      <select id="audit-target-type" name="target_type">
+                          <option value="">All</option>
+                          ${AUDIT_TARGET_TYPES.map((type) => `<option value="${type}">${type}</option>`).join('')}
+                      </select>
+                  </div>
+                  <div class="form-group">
+                      <label for="audit-target-id">Target ID</label>
+                      <input type="text" id="audit-target-id" name="target_id">
+                  </div>
+                  <div class="form-group">
+                      <label for="audit-actor-email">Actor email</label>
+                      <input type="text" id="audit-actor-email" name="actor_email" placeholder="Search email">
+                  </div>
+                  <div class="form-group">
+                      <label for="audit-date-from">From</label>
+                      <input type="date" id="audit-date-from" name="date_from">
+                  </div>
+                  <div class="form-group">
+                      <label for="audit-date-to">To</label>
+                      <input type="date" id="audit-date-to" name="date_to">
+                  </div>
+                  <button type="submit" class="btn btn-primary">Filter</button>
+              </form>
+              <div id="audit-table-container">
+                  Loading...
               </div>
           </div>
+      </div>
+
+      <!-- Add/Edit Pair Modal -->
+      <div id="pair-modal" class="modal">
+          <div class="modal-content">
+              <h2 id="modal-title">Add Registration Pair</h2>
+              <form id="pair-form">
+                  <div class="form-group">
+                      <label for="site_url">Site URL</label>
+                      <input type="url" id="site_url" name="site_url" required>
+                  </div>
+                  <div class="form-group">
+                      <label for="registration_page_url">Registration Page URL</label>
+                      <input type="text" id="registration_page_url" name="registration_page_url" placeholder="/register" required>
+                  </div>
+                  <div class="form-group">
+                      <label for="match_mode">Match Mode</label>
+                      <select id="match_mode" name="match_mode">
+                          <option value="exact">Exact (/register)</option>
+                          <option value="prefix">Prefix (/courses)</option>
+                          <option value="glob">Glob (/courses/*/signup)</option>
+                          <option value="regex">Regex (^/promo/\\d+$)</option>
+                      </select>
+                  </div>
+                  <div class="form-group">
+                      <label for="priority">Priority (higher wins)</label>
+                      <input type="number" id="priority" name="priority" value="0" min="-1000" max="1000">
+                  </div>
+                  <div class="form-group">
+                      <label for="query_params">Required Query Params</label>
+                      <input type="text" id="query_params" name="query_params" placeholder="utm_campaign=spring&amp;ref=*">
+                  </div>
+                  <div class="form-group">
+                      <label for="thankyou_page_url">Thank You Page URL</label>
+                      <input type="text" id="thankyou_page_url" name="thankyou_page_url" placeholder="/thank-you" required>
+                  </div>
+                  <div class="form-group">
+                      <label for="welcome_back_page_url">Welcome Back URL (returning users, optional)</label>
+                      <input type="text" id="welcome_back_page_url" name="welcome_back_page_url" placeholder="/welcome-back">
+                  </div>
+                  <div style="display: flex; gap: 10px; margin-top: 20px;">
+                      <button type="button" class="btn btn-primary" onclick="savePair()">Save</button>
+                      <button type="button" class="btn" onclick="closeModal()">Cancel</button>
+                  </div>
+              </form>
+          </div>
+      </div>
+
+      <script>
+          let currentTab = 'pairs';
+          let editingPairId = null;
+          const permissions = ${JSON.stringify(req.user.permissions)};
+
+          function can(permission) {
+              return permissions.includes(permission);
+          }
+
+          function showTab(tabName) {
+              currentTab = tabName;
+              document.querySelectorAll('.tab-content').forEach(el => el.style.display = 'none');
+              document.querySelectorAll('.tab').forEach(el => el.classList.remove('active'));
+              
+              document.getElementById(tabName + '-tab').style.display = 'block';
+              event.target.classList.add('active');
+              
+              reloadList(tabName);
+          }
+
+          // Filter, sort and page state for paginated tabs
+          const listState = {
+              users: { page: 1, sort: 'created_at', order: 'desc', filters: {} },
+              logs: { page: 1, sort: 'registered_at', order: 'desc', filters: {} },
+              deliveries: { page: 1, sort: 'created_at', order: 'desc', filters: { status: 'failed' } },
+              audit: { page: 1, sort: 'created_at', order: 'desc', filters: {} },
+              stats: { filters: { interval: 'day', by: 'pair' } }
+          };
+
+          // Lists that are not loaded through loadTabData
+          const listLoaders = {
+              deliveries: loadDeliveries,
+              stats: loadStats,
+              retention: loadRetention
+          };
+
+          function reloadList(tabName) {
+              (listLoaders[tabName] || loadTabData)(tabName);
+          }
+
+          function escapeHtml(value) {
+              if (value === null || value === undefined) return '';
+              return String(value)
+                  .replace(/&/g, '&amp;')
+                  .replace(/</g, '&lt;')
+                  .replace(/>/g, '&gt;')
+                  .replace(/"/g, '&quot;')
+                  .replace(/'/g, '&#39;');
+          }
+
+          function formatDate(value) {
+              return value ? new Date(value).toLocaleString() : '—';
+          }
+
+          function buildQueryString(tabName) {
+              const state = listState[tabName];
+              if (!state) return '';
+
+              const params = new URLSearchParams({
+                  page: state.page,
+                  sort: state.sort,
+                  order: state.order
+              });
+              Object.entries(state.filters).forEach(([key, value]) => {
+                  if (value) params.set(key, value);
+              });
+              return '?' + params.toString();
+          }
+
+          function loadTabData(tabName) {
+              const token = localStorage.getItem('auth_token');
+              
+              fetch(\`/api/auth/admin/\${tabName}\${buildQueryString(tabName)}\`, {
+                  headers: { 'Authorization': \`Bearer \${token}\` }
+              })
+              .then(response => response.json())
+              .then(data => {
+                  if (data.error) {
+                      document.getElementById(tabName + '-table-container').innerHTML =
+                          '<p>Error: ' + escapeHtml(data.error) + '</p>';
+                      return;
+                  }
+
+                  if (tabName === 'pairs') {
+                      renderPairsTable(data.pairs);
+                  } else if (tabName === 'users') {
+                      renderUsersTable(data.users, data.pagination);
+                  } else if (tabName === 'logs') {
+                      renderLogsTable(data.logs, data.pagination);
+                  } else if (tabName === 'sites') {
+                      renderSitesTable(data.sites);
+                  } else if (tabName === 'webhooks') {
+                      renderWebhooksTable(data.webhooks);
+                      loadDeliveries();
+                  } else if (tabName === 'audit') {
+                      renderAuditTable(data.entries, data.pagination);
+                  }
+              })
+              .catch(error => {
+                  console.error('Error loading data:', error);
+                  document.getElementById(tabName + '-table-container').innerHTML = 'Error loading data';
+              });
+          }
+
+          function applyFilters(e, tabName) {
+              e.preventDefault();
+              const formData = new FormData(document.getElementById(tabName + '-filters'));
+              listState[tabName].filters = Object.fromEntries(formData);
+              listState[tabName].page = 1;
+              reloadList(tabName);
+          }
+
+          function sortBy(tabName, column) {
+              const state = listState[tabName];
+              if (state.sort === column) {
+                  state.order = state.order === 'asc' ? 'desc' : 'asc';
+              } else {
+                  state.sort = column;
+                  state.order = 'asc';
+              }
+              state.page = 1;
+              reloadList(tabName);
+          }
+
+          function goToPage(tabName, page) {
+              listState[tabName].page = page;
+              reloadList(tabName);
+          }
+
+          function renderSortableHeader(tabName, column, label) {
+              const state = listState[tabName];
+              const arrow = state.sort === column ? (state.order === 'asc' ? ' ▲' : ' ▼') : '';
+              return \`<th class="sortable" onclick="sortBy('\${tabName}', '\${column}')">\${label}\${arrow}</th>\`;
+          }
+
+          function renderPagination(tabName, pagination) {
+              if (!pagination || pagination.total_pages <= 1) {
+                  return pagination ? \`<div class="pagination">Total: \${pagination.total}</div>\` : '';
+              }
+
+              const { page, total_pages, total } = pagination;
+              return \`
+                  <div class="pagination">
+                      <button class="btn" \${page <= 1 ? 'disabled' : ''} onclick="goToPage('\${tabName}', \${page - 1})">Previous</button>
+                      <span>Page \${page} of \${total_pages} (\${total} total)</span>
+                      <button class="btn" \${page >= total_pages ? 'disabled' : ''} onclick="goToPage('\${tabName}', \${page + 1})">Next</button>
+                  </div>
+              \`;
+          }
+
+          function renderUsersTable(users, pagination) {
+              const container = document.getElementById('users-table-container');
+
+              if (!users || users.length === 0) {
+                  container.innerHTML = '<p>No system users found.</p>';
+                  return;
+              }
+
+              let html = \`
+                  <table class="table">
+                      <thead>
+                          <tr>
+                              \${renderSortableHeader('users', 'email', 'Email')}
+                              \${renderSortableHeader('users', 'username', 'Username')}
+                              \${renderSortableHeader('users', 'display_name', 'Display Name')}
+                              \${renderSortableHeader('users', 'role', 'Role')}
+                              \${renderSortableHeader('users', 'status', 'Status')}
+                              \${renderSortableHeader('users', 'last_provider', 'Provider')}
+                              \${renderSortableHeader('users', 'created_at', 'Created')}
+                              \${renderSortableHeader('users', 'last_login', 'Last Login')}
+                              \${can('users:write') ? '<th>Actions</th>' : ''}
+                          </tr>
+                      </thead>
+                      <tbody>
+              \`;
+
+              loadedUsers = {};
+              users.forEach(user => {
+                  loadedUsers[user.id] = user;
+                  html += \`
+                      <tr>
+                          <td>\${escapeHtml(user.email)}</td>
+                          <td>\${escapeHtml(user.username)}</td>
+                          <td>\${escapeHtml(user.display_name)}</td>
+                          <td>\${can('users:write') ? renderRoleSelect(user) : escapeHtml(user.role)}</td>
+                          <td>\${escapeHtml(user.status || 'active')}</td>
+                          <td title="\${escapeHtml((user.providers || []).join(', '))}">\${escapeHtml(user.last_provider)}</td>
+                          <td>\${formatDate(user.created_at)}</td>
+                          <td>\${formatDate(user.last_login)}</td>
+                          \${can('users:write') ? \`
+                              <td>
+                                  <button class="btn" onclick="editUser('\${user.id}')">Edit</button>
+                                  \${user.status === 'suspended'
+                                      ? \`<button class="btn" onclick="userAction('\${user.id}', 'reactivate')">Reactivate</button>\`
+                                      : \`<button class="btn" onclick="userAction('\${user.id}', 'suspend')">Suspend</button>\`}
+                                  <button class="btn" onclick="resetMfa('\${user.id}')">Reset MFA</button>
+                                  <button class="btn btn-danger" onclick="deleteUser('\${user.id}')">Delete</button>
+                              </td>
+                          \` : ''}
+                      </tr>
+                  \`;
+              });
+
+              html += '</tbody></table>';
+              html += renderPagination('users', pagination);
+              container.innerHTML = html;
+          }
+
+          const ROLES = ${JSON.stringify(ROLES)};
+          let loadedUsers = {};
+
+          function renderRoleSelect(user) {
+              const options = ROLES.map(role =>
+                  \`<option value="\${role}" \${role === user.role ? 'selected' : ''}>\${role}</option>\`
+              ).join('');
+              return \`<select onchange="changeRole('\${user.id}', this.value)">\${options}</select>\`;
+          }
+
+          function adminRequest(url, method, body, reloadTab = 'users') {
+              const token = localStorage.getItem('auth_token');
+              const headers = { 'Authorization': \`Bearer \${token}\` };
+              if (body) headers['Content-Type'] = 'application/json';
+
+              return fetch(url, {
+                  method: method,
+                  headers: headers,
+                  body: body ? JSON.stringify(body) : undefined
+              })
+              .then(response => response.json())
+              .then(result => {
+                  if (result.error) {
+                      alert('Error: ' + result.error);
+                  }
+                  loadTabData(reloadTab);
+                  return result;
+              })
+              .catch(error => {
+                  alert('Request failed: ' + error.message);
+              });
+          }
+
+          function changeRole(userId, role) {
+              if (!confirm(\`Change role to "\${role}"?\`)) {
+                  loadTabData('users');
+                  return;
+              }
+              adminRequest(\`/api/auth/admin/users/\${userId}/role\`, 'PUT', { role: role });
+          }
+
+          function userAction(userId, action) {
+              if (action === 'suspend') {
+                  const reason = prompt('Reason for suspension (optional):');
+                  if (reason === null) return;
+                  adminRequest(\`/api/auth/admin/users/\${userId}/suspend\`, 'POST', { reason: reason });
+              } else {
+                  adminRequest(\`/api/auth/admin/users/\${userId}/reactivate\`, 'POST', {});
+              }
+          }
+
+          function editUser(userId) {
+              const user = loadedUsers[userId];
+              if (!user) return;
+              const newUsername = prompt('Username:', user.username || '');
+              if (newUsername === null) return;
+              const newDisplayName = prompt('Display name:', user.display_name || '');
+              if (newDisplayName === null) return;
+              adminRequest(\`/api/auth/admin/users/\${userId}\`, 'PATCH', {
+                  username: newUsername,
+                  display_name: newDisplayName
+              });
+          }
+
+          function resetMfa(userId) {
+              if (!confirm('Remove all two-factor authenticators of this user? They will be able to sign in with their password only.')) return;
+              adminRequest(\`/api/auth/admin/users/\${userId}/mfa\`, 'DELETE');
+          }
+
+          function deleteUser(userId) {
+              if (!confirm('Are you sure you want to delete this user?')) return;
+              const deleteAuthUser = confirm('Also delete the Supabase auth user? (OK = yes, Cancel = keep it)');
+              adminRequest(\`/api/auth/admin/users/\${userId}?delete_auth_user=\${deleteAuthUser}\`, 'DELETE');
+          }
+
+          function loadStats() {
+              const token = localStorage.getItem('auth_token');
+              const params = new URLSearchParams();
+              Object.entries(listState.stats.filters).forEach(([key, value]) => {
+                  if (value) params.set(key, value);
+              });
+              const headers = { 'Authorization': \`Bearer \${token}\` };
+              const container = document.getElementById('stats-table-container');
+
+              Promise.all([
+                  fetch(\`/api/auth/admin/stats/registrations?\${params}\`, { headers }).then(response => response.json()),
+                  fetch(\`/api/auth/admin/stats/breakdown?\${params}\`, { headers }).then(response => response.json())
+              ])
+              .then(([series, breakdown]) => {
+                  const error = series.error || breakdown.error;
+                  if (error) {
+                      container.innerHTML = '<p>Error: ' + escapeHtml(error) + '</p>';
+                      return;
+                  }
+                  container.innerHTML = renderStatCards(series) + renderSeriesChart(series) + renderBreakdownTable(breakdown);
+              })
+              .catch(error => {
+                  console.error('Error loading statistics:', error);
+                  container.innerHTML = 'Error loading data';
+              });
+          }
+
+          function formatChange(change) {
+              if (change === null || change === undefined) return '<span>—</span>';
+              const className = change >= 0 ? 'change-up' : 'change-down';
+              return \`<span class="\${className}">\${change >= 0 ? '+' : ''}\${change}%</span>\`;
+          }
+
+          function renderStatCards(stats) {
+              const cards = [
+                  ['Registrations', 'total'],
+                  ['New users', 'new_users'],
+                  ['Returning users', 'returning_users']
+              ];
+
+              return '<div class="stat-cards">' + cards.map(([label, key]) => \`
+                  <div class="stat-card">
+                      <div>\${label}</div>
+                      <div class="value">\${stats.totals[key]}</div>
+                      <div>\${formatChange(stats.change[key])} vs \${stats.previous_totals[key]} in previous period</div>
+                  </div>
+              \`).join('') + '</div>';
+          }
+
+          // Stacked bars (new / returning) with the previous period's totals as a dashed line
+          function renderSeriesChart(stats) {
+              const series = stats.series;
+              if (series.length === 0) return '<p>No data for this period.</p>';
+
+              const width = 1000;
+              const height = 240;
+              const padding = { top: 10, right: 10, bottom: 30, left: 40 };
+              const plotWidth = width - padding.left - padding.right;
+              const plotHeight = height - padding.top - padding.bottom;
+              const previous = stats.previous_series;
+              const max = Math.max(1, ...series.map(point => point.total), ...previous.map(point => point.total));
+              const slot = plotWidth / series.length;
+              const barWidth = Math.max(1, slot * 0.7);
+              const y = value => padding.top + plotHeight - (value / max) * plotHeight;
+              const labelEvery = Math.ceil(series.length / 12);
+
+              let svg = \`<svg class="chart" viewBox="0 0 \${width} \${height}" role="img" aria-label="Registrations per \${stats.interval}">\`;
+              svg += \`<line x1="\${padding.left}" y1="\${y(0)}" x2="\${width - padding.right}" y2="\${y(0)}" stroke="#ccc"/>\`;
+              svg += \`<text x="\${padding.left - 5}" y="\${y(max) + 10}" text-anchor="end" font-size="12">\${max}</text>\`;
+              svg += \`<text x="\${padding.left - 5}" y="\${y(0)}" text-anchor="end" font-size="12">0</text>\`;
+
+              series.forEach((point, index) => {
+                  const x = padding.left + index * slot + (slot - barWidth) / 2;
+                  const label = new Date(point.period).toLocaleDateString();
+                  svg += \`<g><title>\${label}: \${point.total} (\${point.new_users} new, \${point.returning_users} returning)</title>\`;
+                  svg += \`<rect x="\${x}" y="\${y(point.new_users)}" width="\${barWidth}" height="\${y(0) - y(point.new_users)}" fill="#007bff"/>\`;
+                  svg += \`<rect x="\${x}" y="\${y(point.total)}" width="\${barWidth}" height="\${y(point.new_users) - y(point.total)}" fill="#6c757d"/>\`;
+                  svg += '</g>';
+                  if (index % labelEvery === 0) {
+                      svg += \`<text x="\${x + barWidth / 2}" y="\${height - 10}" text-anchor="middle" font-size="12">\${label}</text>\`;
+                  }
+              });
+
+              const previousPoints = previous.slice(0, series.length).map((point, index) =>
+                  \`\${padding.left + index * slot + slot / 2},\${y(point.total)}\`
+              );
+              if (previousPoints.length > 1) {
+                  svg += \`<polyline points="\${previousPoints.join(' ')}" fill="none" stroke="#fd7e14" stroke-width="2" stroke-dasharray="6 4"/>\`;
+              }
+
+              svg += '</svg>';
+
+              return svg + \`
+                  <div class="chart-legend">
+                      <span style="--color: #007bff">New users</span>
+                      <span style="--color: #6c757d">Returning users</span>
+                      <span style="--color: #fd7e14">Previous period</span>
+                  </div>
+              \`;
+          }
+
+          function renderBreakdownTable(breakdown) {
+              const titles = { pair: 'Pair', site: 'Site', registration_url: 'Registration URL' };
+              if (breakdown.items.length === 0) return '';
+
+              const max = Math.max(...breakdown.items.map(item => item.total));
+              let html = \`
+                  <table class="table">
+                      <thead>
+                          <tr>
+                              <th>\${titles[breakdown.by]}</th>
+                              <th>Registrations</th>
+                              <th>New</th>
+                              <th>Returning</th>
+                              <th>Previous</th>
+                              <th>Change</th>
+                              <th class="bar-cell"></th>
+                          </tr>
+                      </thead>
+                      <tbody>
+              \`;
+
+              breakdown.items.forEach(item => {
+                  html += \`
+                      <tr>
+                          <td>\${escapeHtml(item.label)}</td>
+                          <td>\${item.total}</td>
+                          <td>\${item.new_users}</td>
+                          <td>\${item.returning_users}</td>
+                          <td>\${item.previous_total}</td>
+                          <td>\${formatChange(item.change)}</td>
+                          <td class="bar-cell"><div class="bar" style="width: \${(item.total / max) * 100}%"></div></td>
+                      </tr>
+                  \`;
+              });
+
+              html += '</tbody></table>';
+              return html;
+          }
+
+          let loadedSites = {};
+
+          function renderSitesTable(sites) {
+              const container = document.getElementById('sites-table-container');
+              loadedSites = {};
+
+              if (!sites || sites.length === 0) {
+                  container.innerHTML = '<p>No sites registered. Requests are only accepted from SITE_URL.</p>';
+                  return;
+              }
+
+              let html = \`
+                  <table class="table">
+                      <thead>
+                          <tr>
+                              <th>Site URL</th>
+                              <th>Name</th>
+                              <th>Allowed Origins</th>
+                              <th>Default Redirects</th>
+                              <th>Active</th>
+                              \${can('sites:write') ? '<th>Actions</th>' : ''}
+                          </tr>
+                      </thead>
+                      <tbody>
+              \`;
+
+              sites.forEach(site => {
+                  loadedSites[site.id] = site;
+                  html += \`
+                      <tr>
+                          <td>\${escapeHtml(site.site_url)}</td>
+                          <td>\${escapeHtml(site.name) || '—'}</td>
+                          <td>\${escapeHtml((site.allowed_origins || []).join(', ')) || '—'}</td>
+                          <td>\${escapeHtml(site.default_thankyou_page_url) || '—'} / \${escapeHtml(site.default_welcome_back_page_url) || '—'}</td>
+                          <td>\${site.active ? 'Yes' : 'No'}</td>
+                          \${can('sites:write') ? \`
+                              <td>
+                                  <button class="btn" onclick="toggleSite('\${site.id}')">\${site.active ? 'Deactivate' : 'Activate'}</button>
+                                  <button class="btn btn-danger" onclick="deleteSite('\${site.id}')">Delete</button>
+                              </td>
+                          \` : ''}
+                      </tr>
+                  \`;
+              });
+
+              html += '</tbody></table>';
+              container.innerHTML = html;
+          }
+
+          function createSite(e) {
+              e.preventDefault();
+              const form = document.getElementById('site-form');
+              const data = Object.fromEntries(new FormData(form));
+              data.allowed_origins = data.allowed_origins
+                  .split(',')
+                  .map(origin => origin.trim())
+                  .filter(Boolean);
+
+              adminRequest('/api/auth/admin/sites', 'POST', data, 'sites').then(result => {
+                  if (result && result.site) form.reset();
+              });
+          }
+
+          function toggleSite(siteId) {
+              const site = loadedSites[siteId];
+              const { id, created_at, updated_at, ...fields } = site;
+              adminRequest(\`/api/auth/admin/sites/\${siteId}\`, 'PUT', { ...fields, active: !site.active }, 'sites');
+          }
+
+          function deleteSite(siteId) {
+              if (!confirm('Delete this site? Its pairs are kept but unlinked, and requests from its origins will be rejected.')) return;
+              adminRequest(\`/api/auth/admin/sites/\${siteId}\`, 'DELETE', null, 'sites');
+          }
+
+          function renderWebhooksTable(webhooks) {
+              const container = document.getElementById('webhooks-table-container');
+
+              if (!webhooks || webhooks.length === 0) {
+                  container.innerHTML = '<p>No webhook endpoints configured.</p>';
+                  return;
+              }
+
+              let html = \`
+                  <table class="table">
+                      <thead>
+                          <tr>
+                              <th>URL</th>
+                              <th>Events</th>
+                              <th>Scope</th>
+                              <th>Active</th>
+                              \${can('webhooks:write') ? '<th>Actions</th>' : ''}
+                          </tr>
+                      </thead>
+                      <tbody>
+              \`;
+
+              webhooks.forEach(webhook => {
+                  const scope = [webhook.site_url, webhook.pair_id ? 'pair ' + webhook.pair_id : null]
+                      .filter(Boolean).join(', ') || 'All';
+                  html += \`
+                      <tr>
+                          <td>\${escapeHtml(webhook.url)}</td>
+                          <td>\${escapeHtml((webhook.events || []).join(', '))}</td>
+                          <td>\${escapeHtml(scope)}</td>
+                          <td>\${webhook.active ? 'Yes' : 'No'}</td>
+                          \${can('webhooks:write') ? \`
+                              <td>
+                                  <button class="btn btn-danger" onclick="deleteWebhook('\${webhook.id}')">Delete</button>
+                              </td>
+                          \` : ''}
+                      </tr>
+                  \`;
+              });
+
+              html += '</tbody></table>';
+              container.innerHTML = html;
+          }
 
-          <div id="logs-tab" class="tab-content" style="display: none;">
-              <h2>Registration Logs</h2>
-              <div id="logs-table-container">
-                  Loading...
-              </div>
-          </div>
-      </div>
+          function loadDeliveries() {
+              const token = localStorage.getItem('auth_token');
 
-      <!-- Add/Edit Pair Modal -->
-      <div id="pair-modal" class="modal">
-          <div class="modal-content">
-              <h2 id="modal-title">Add Registration Pair</h2>
-              <form id="pair-form">
-                  <div class="form-group">
-                      <label for="site_url">Site URL</label>
-                      <input type="url" id="site_url" name="site_url" required>
-                  </div>
-                  <div class="form-group">
-                      <label for="registration_page_url">Registration Page URL</label>
-                      <input type="text" id="registration_page_url" name="registration_page_url" placeholder="/register" required>
-                  </div>
-                  <div class="form-group">
-                      <label for="thankyou_page_url">Thank You Page URL</label>
-                      <input type="text" id="thankyou_page_url" name="thankyou_page_url" placeholder="/thank-you" required>
-                  </div>
-                  <div style="display: flex; gap: 10px; margin-top: 20px;">
-                      <button type="button" class="btn btn-primary" onclick="savePair()">Save</button>
-                      <button type="button" class="btn" onclick="closeModal()">Cancel</button>
-                  </div>
-              </form>
-          </div>
-      </div>
+              fetch(\`/api/auth/admin/webhooks/deliveries\${buildQueryString('deliveries')}\`, {
+                  headers: { 'Authorization': \`Bearer \${token}\` }
+              })
+              .then(response => response.json())
+              .then(data => {
+                  if (data.error) {
+                      document.getElementById('deliveries-table-container').innerHTML =
+                          '<p>Error: ' + escapeHtml(data.error) + '</p>';
+                      return;
+                  }
+                  renderDeliveriesTable(data.deliveries, data.pagination);
+              })
+              .catch(error => {
+                  console.error('Error loading deliveries:', error);
+                  document.getElementById('deliveries-table-container').innerHTML = 'Error loading data';
+              });
+          }
 
-      <script>
-          let currentTab = 'pairs';
-          let editingPairId = null;
+          function renderDeliveriesTable(deliveries, pagination) {
+              const container = document.getElementById('deliveries-table-container');
 
-          function showTab(tabName) {
-              currentTab = tabName;
-              document.querySelectorAll('.tab-content').forEach(el => el.style.display = 'none');
-              document.querySelectorAll('.tab').forEach(el => el.classList.remove('active'));
-              
-              document.getElementById(tabName + '-tab').style.display = 'block';
-              event.target.classList.add('active');
-              
-              loadTabData(tabName);
+              if (!deliveries || deliveries.length === 0) {
+                  container.innerHTML = '<p>No deliveries found.</p>';
+                  return;
+              }
+
+              let html = \`
+                  <table class="table">
+                      <thead>
+                          <tr>
+                              <th>Event</th>
+                              <th>Endpoint</th>
+                              <th>Status</th>
+                              \${renderSortableHeader('deliveries', 'attempts', 'Attempts')}
+                              <th>Last Error</th>
+                              \${renderSortableHeader('deliveries', 'created_at', 'Created')}
+                              \${can('webhooks:write') ? '<th>Actions</th>' : ''}
+                          </tr>
+                      </thead>
+                      <tbody>
+              \`;
+
+              deliveries.forEach(delivery => {
+                  html += \`
+                      <tr>
+                          <td>\${escapeHtml(delivery.event_type)}</td>
+                          <td>\${escapeHtml(delivery.webhook_endpoints ? delivery.webhook_endpoints.url : delivery.endpoint_id)}</td>
+                          <td>\${escapeHtml(delivery.status)}\${delivery.response_status ? ' (' + delivery.response_status + ')' : ''}</td>
+                          <td>\${delivery.attempts}</td>
+                          <td>\${escapeHtml(delivery.last_error) || '—'}</td>
+                          <td>\${formatDate(delivery.created_at)}</td>
+                          \${can('webhooks:write') ? \`
+                              <td>
+                                  <button class="btn" onclick="redeliverWebhook('\${delivery.id}')">Redeliver</button>
+                              </td>
+                          \` : ''}
+                      </tr>
+                  \`;
+              });
+
+              html += '</tbody></table>';
+              html += renderPagination('deliveries', pagination);
+              container.innerHTML = html;
           }
 
-          function loadTabData(tabName) {
+          function webhookRequest(url, method, body) {
               const token = localStorage.getItem('auth_token');
-              
-              fetch(\`/api/auth/admin/\${tabName}\`, {
+              const headers = { 'Authorization': \`Bearer \${token}\` };
+              if (body) headers['Content-Type'] = 'application/json';
+
+              return fetch(url, {
+                  method: method,
+                  headers: headers,
+                  body: body ? JSON.stringify(body) : undefined
+              })
+              .then(response => response.json())
+              .then(result => {
+                  if (result.error) {
+                      alert('Error: ' + result.error);
+                  }
+                  loadTabData('webhooks');
+                  return result;
+              })
+              .catch(error => {
+                  alert('Request failed: ' + error.message);
+              });
+          }
+
+          function createWebhook(e) {
+              e.preventDefault();
+              const form = document.getElementById('webhook-form');
+              const formData = new FormData(form);
+              const body = {
+                  url: formData.get('url'),
+                  events: formData.getAll('events'),
+                  site_url: formData.get('site_url') || null,
+                  pair_id: formData.get('pair_id') || null
+              };
+
+              webhookRequest('/api/auth/admin/webhooks', 'POST', body).then(result => {
+                  if (result && result.webhook) {
+                      form.reset();
+                      prompt('Signing secret (shown only once):', result.webhook.secret);
+                  }
+              });
+          }
+
+          function deleteWebhook(webhookId) {
+              if (!confirm('Delete this webhook endpoint and its delivery log?')) return;
+              webhookRequest(\`/api/auth/admin/webhooks/\${webhookId}\`, 'DELETE');
+          }
+
+          function redeliverWebhook(deliveryId) {
+              webhookRequest(\`/api/auth/admin/webhooks/deliveries/\${deliveryId}/redeliver\`, 'POST', {})
+                  .then(result => {
+                      if (result && !result.error) {
+                          alert(result.delivered ? 'Delivered successfully' : 'Delivery failed again: ' + (result.delivery.last_error || 'unknown error'));
+                      }
+                  });
+          }
+
+          function loadRetention() {
+              const token = localStorage.getItem('auth_token');
+
+              fetch('/api/auth/admin/retention', {
                   headers: { 'Authorization': \`Bearer \${token}\` }
               })
               .then(response => response.json())
               .then(data => {
-                  if (tabName === 'pairs') {
-                      renderPairsTable(data.pairs);
-                  } else if (tabName === 'users') {
-                      renderUsersTable(data.users);
-                  } else if (tabName === 'logs') {
-                      renderLogsTable(data.logs);
+                  if (data.error) {
+                      document.getElementById('retention-table-container').innerHTML =
+                          '<p>Error: ' + escapeHtml(data.error) + '</p>';
+                      return;
                   }
+                  renderRetentionPolicy(data.policy);
+                  renderRetentionRuns(data.runs);
               })
               .catch(error => {
-                  console.error('Error loading data:', error);
-                  document.getElementById(tabName + '-tab').innerHTML = 'Error loading data';
+                  console.error('Error loading retention policy:', error);
+                  document.getElementById('retention-table-container').innerHTML = 'Error loading data';
+              });
+          }
+
+          function describeRetentionAction(rule, policy) {
+              return rule.action === 'anonymize'
+                  ? \`Truncate IPs to /\${policy.ipv4Prefix} (IPv6 /\${policy.ipv6Prefix}), remove user agents\`
+                  : 'Delete rows';
+          }
+
+          function renderRetentionPolicy(policy) {
+              let html = \`
+                  <table class="table">
+                      <thead>
+                          <tr>
+                              <th>Table</th>
+                              <th>Action</th>
+                              <th>After</th>
+                              <th>Setting</th>
+                          </tr>
+                      </thead>
+                      <tbody>
+              \`;
+
+              policy.rules.forEach(rule => {
+                  html += \`
+                      <tr>
+                          <td>\${escapeHtml(rule.table)}</td>
+                          <td>\${escapeHtml(describeRetentionAction(rule, policy))}</td>
+                          <td>\${rule.enabled ? rule.days + ' days' : 'Never (kept forever)'}</td>
+                          <td><code>\${escapeHtml(rule.env)}</code></td>
+                      </tr>
+                  \`;
+              });
+
+              html += '</tbody></table>';
+              document.getElementById('retention-table-container').innerHTML = html;
+          }
+
+          function renderRetentionRuns(runs) {
+              const container = document.getElementById('retention-runs-table-container');
+
+              if (!runs || runs.length === 0) {
+                  container.innerHTML = '<p>No retention runs yet.</p>';
+                  return;
+              }
+
+              let html = \`
+                  <table class="table">
+                      <thead>
+                          <tr>
+                              <th>Started</th>
+                              <th>Trigger</th>
+                              <th>Status</th>
+                              <th>Results</th>
+                          </tr>
+                      </thead>
+                      <tbody>
+              \`;
+
+              runs.forEach(run => {
+                  const results = (run.results || []).map(result =>
+                      \`\${escapeHtml(result.table)} \${escapeHtml(result.action)}: \${result.affected}\` +
+                      (result.error ? ' (error: ' + escapeHtml(result.error) + ')' : '')
+                  ).join('<br>');
+
+                  html += \`
+                      <tr>
+                          <td>\${formatDate(run.started_at)}</td>
+                          <td>\${escapeHtml(run.trigger)}</td>
+                          <td>\${escapeHtml(run.status)}\${run.dry_run ? ' (dry run)' : ''}</td>
+                          <td>\${results || '—'}</td>
+                      </tr>
+                  \`;
+              });
+
+              html += '</tbody></table>';
+              container.innerHTML = html;
+          }
+
+          function runRetentionNow(dryRun) {
+              if (!dryRun && !confirm('Anonymize and delete data according to the retention policy? This cannot be undone.')) return;
+
+              const token = localStorage.getItem('auth_token');
+              fetch('/api/auth/admin/retention/run', {
+                  method: 'POST',
+                  headers: { 'Authorization': \`Bearer \${token}\`, 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ dry_run: dryRun })
+              })
+              .then(response => response.json())
+              .then(result => {
+                  if (result.error) {
+                      alert('Error: ' + result.error);
+                  }
+                  loadRetention();
+              })
+              .catch(error => {
+                  alert('Request failed: ' + error.message);
+              });
+          }
+
+          function formatAuditValue(value) {
+              if (value === null || value === undefined) return '∅';
+              return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+          }
+
+          function renderAuditChanges(changes) {
+              const fields = Object.keys(changes || {});
+              if (fields.length === 0) return '—';
+              return fields.map(field =>
+                  \`<strong>\${escapeHtml(field)}</strong>: \${formatAuditValue(changes[field].before)} → \${formatAuditValue(changes[field].after)}\`
+              ).join('<br>');
+          }
+
+          function renderAuditTable(entries, pagination) {
+              const container = document.getElementById('audit-table-container');
+
+              if (!entries || entries.length === 0) {
+                  container.innerHTML = '<p>No audit entries found.</p>';
+                  return;
+              }
+
+              let html = \`
+                  <table class="table">
+                      <thead>
+                          <tr>
+                              \${renderSortableHeader('audit', 'created_at', 'Time')}
+                              <th>Actor</th>
+                              \${renderSortableHeader('audit', 'action', 'Action')}
+                              <th>Target</th>
+                              <th>Changes</th>
+                              <th>Request</th>
+                          </tr>
+                      </thead>
+                      <tbody>
+              \`;
+
+              entries.forEach(entry => {
+                  const details = Object.keys(entry.metadata || {}).length > 0
+                      ? '<br><small>' + escapeHtml(JSON.stringify(entry.metadata)) + '</small>'
+                      : '';
+
+                  html += \`
+                      <tr>
+                          <td>\${formatDate(entry.created_at)}</td>
+                          <td>\${escapeHtml(entry.actor_email) || '—'}<br><small>\${escapeHtml(entry.actor_role)}</small></td>
+                          <td>\${escapeHtml(entry.action)}\${entry.status >= 400 ? ' (' + entry.status + ')' : ''}</td>
+                          <td>\${escapeHtml(entry.target_type)}<br><small>\${escapeHtml(entry.target_id)}</small></td>
+                          <td>\${renderAuditChanges(entry.changes)}\${details}</td>
+                          <td><small>\${escapeHtml(entry.request_id)}<br>\${escapeHtml(entry.ip_address)}</small></td>
+                      </tr>
+                  \`;
+              });
+
+              html += '</tbody></table>';
+              html += renderPagination('audit', pagination);
+              container.innerHTML = html;
+          }
+
+          function renderLogsTable(logs, pagination) {
+              const container = document.getElementById('logs-table-container');
+
+              if (!logs || logs.length === 0) {
+                  container.innerHTML = '<p>No registration logs found.</p>';
+                  return;
+              }
+
+              let html = \`
+                  <table class="table">
+                      <thead>
+                          <tr>
+                              \${renderSortableHeader('logs', 'user_email', 'Email')}
+                              \${renderSortableHeader('logs', 'site_url', 'Site URL')}
+                              \${renderSortableHeader('logs', 'registration_url', 'Registration URL')}
+                              <th>Thank You URL</th>
+                              <th>Pair ID</th>
+                              \${renderSortableHeader('logs', 'registered_at', 'Registered')}
+                          </tr>
+                      </thead>
+                      <tbody>
+              \`;
+
+              logs.forEach(log => {
+                  html += \`
+                      <tr>
+                          <td>\${escapeHtml(log.user_email)}</td>
+                          <td>\${escapeHtml(log.site_url)}</td>
+                          <td>\${escapeHtml(log.registration_url)}</td>
+                          <td>\${escapeHtml(log.thankyou_page_url) || '—'}</td>
+                          <td>\${escapeHtml(log.pair_id) || '—'}</td>
+                          <td>\${formatDate(log.registered_at)}</td>
+                      </tr>
+                  \`;
               });
+
+              html += '</tbody></table>';
+              html += renderPagination('logs', pagination);
+              container.innerHTML = html;
           }
 
           function renderPairsTable(pairs) {
@@ -556,6 +4046,8 @@ adminRouter.get('/dashboard', (req, res) => {
                           <tr>
                               <th>Site URL</th>
                               <th>Registration URL</th>
+                              <th>Match</th>
+                              <th>Priority</th>
                               <th>Thank You URL</th>
                               <th>Created</th>
                               <th>Actions</th>
@@ -568,12 +4060,16 @@ adminRouter.get('/dashboard', (req, res) => {
                   html += \`
                       <tr>
                           <td>\${pair.site_url}</td>
-                          <td>\${pair.registration_page_url}</td>
+                          <td>\${escapeHtml(pair.registration_page_url)}</td>
+                          <td>\${escapeHtml(pair.match_mode || 'exact')}\${formatQueryParams(pair.query_params) ? ' ?' + escapeHtml(formatQueryParams(pair.query_params)) : ''}</td>
+                          <td>\${pair.priority || 0}</td>
                           <td>\${pair.thankyou_page_url}</td>
                           <td>\${new Date(pair.created_at).toLocaleDateString()}</td>
                           <td>
-                              <button class="btn" onclick="editPair('\${pair.id}')">Edit</button>
-                              <button class="btn btn-danger" onclick="deletePair('\${pair.id}')">Delete</button>
+                              \${can('pairs:write') ? \`
+                                  <button class="btn" onclick="editPair('\${pair.id}')">Edit</button>
+                                  <button class="btn btn-danger" onclick="deletePair('\${pair.id}')">Delete</button>
+                              \` : ''}
                           </td>
                       </tr>
                   \`;
@@ -583,6 +4079,114 @@ adminRouter.get('/dashboard', (req, res) => {
               container.innerHTML = html;
           }
 
+          // Download an export with the list's current filters and sorting
+          function exportList(resource, format) {
+              const token = localStorage.getItem('auth_token');
+              const state = listState[resource] || { filters: {} };
+              const params = new URLSearchParams({ format: format });
+              if (state.sort) {
+                  params.set('sort', state.sort);
+                  params.set('order', state.order);
+              }
+              Object.entries(state.filters).forEach(([key, value]) => {
+                  if (value) params.set(key, value);
+              });
+
+              fetch(\`/api/auth/admin/export/\${resource}?\${params}\`, {
+                  headers: { 'Authorization': \`Bearer \${token}\` }
+              })
+              .then(response => {
+                  if (!response.ok) {
+                      return response.json().then(result => { throw new Error(result.error); });
+                  }
+                  const disposition = response.headers.get('Content-Disposition') || '';
+                  const match = disposition.match(/filename="([^"]+)"/);
+                  return response.blob().then(blob => ({ blob, filename: match ? match[1] : \`\${resource}.\${format}\` }));
+              })
+              .then(({ blob, filename }) => {
+                  const link = document.createElement('a');
+                  link.href = URL.createObjectURL(blob);
+                  link.download = filename;
+                  link.click();
+                  URL.revokeObjectURL(link.href);
+              })
+              .catch(error => {
+                  alert('Export failed: ' + error.message);
+              });
+          }
+
+          function importPairsFile(e, dryRun) {
+              e.preventDefault();
+              const form = document.getElementById('import-form');
+              const file = form.elements.file.files[0];
+              if (!file) {
+                  alert('Choose a CSV or JSON file first');
+                  return;
+              }
+              if (!dryRun && !confirm('Import pairs from ' + file.name + '?')) return;
+
+              const token = localStorage.getItem('auth_token');
+              const params = new URLSearchParams({ mode: form.elements.mode.value, dry_run: dryRun });
+              const isJson = file.name.toLowerCase().endsWith('.json');
+
+              file.text()
+                  .then(text => fetch(\`/api/auth/admin/import/pairs?\${params}\`, {
+                      method: 'POST',
+                      headers: {
+                          'Authorization': \`Bearer \${token}\`,
+                          'Content-Type': isJson ? 'application/json' : 'text/csv'
+                      },
+                      body: text
+                  }))
+                  .then(response => response.json())
+                  .then(result => {
+                      if (result.error) {
+                          alert('Error: ' + result.error);
+                          return;
+                      }
+                      renderImportResults(result);
+                      if (!dryRun) loadTabData('pairs');
+                  })
+                  .catch(error => {
+                      alert('Import failed: ' + error.message);
+                  });
+          }
+
+          function renderImportResults(summary) {
+              let html = \`
+                  <p><strong>\${summary.dry_run ? 'Preview' : 'Import finished'}:</strong>
+                      \${summary.created} to create, \${summary.updated} to update, \${summary.failed} with errors
+                      (\${summary.total} rows)</p>
+                  <table class="table">
+                      <thead>
+                          <tr>
+                              <th>Row</th>
+                              <th>Action</th>
+                              <th>Site URL</th>
+                              <th>Registration URL</th>
+                              <th>Errors</th>
+                          </tr>
+                      </thead>
+                      <tbody>
+              \`;
+
+              summary.results.forEach(result => {
+                  const pair = result.pair || {};
+                  html += \`
+                      <tr>
+                          <td>\${result.row}</td>
+                          <td>\${escapeHtml(result.action)}</td>
+                          <td>\${escapeHtml(pair.site_url)}</td>
+                          <td>\${escapeHtml(pair.registration_page_url)}</td>
+                          <td>\${escapeHtml((result.errors || []).join('; '))}</td>
+                      </tr>
+                  \`;
+              });
+
+              html += '</tbody></table>';
+              document.getElementById('import-results').innerHTML = html;
+          }
+
           function showAddPairModal() {
               editingPairId = null;
               document.getElementById('modal-title').textContent = 'Add Registration Pair';
@@ -594,9 +4198,15 @@ adminRouter.get('/dashboard', (req, res) => {
               document.getElementById('pair-modal').style.display = 'none';
           }
 
+          function formatQueryParams(queryParams) {
+              return new URLSearchParams(queryParams || {}).toString();
+          }
+
           function savePair() {
               const formData = new FormData(document.getElementById('pair-form'));
               const data = Object.fromEntries(formData);
+              data.priority = parseInt(data.priority, 10) || 0;
+              data.query_params = Object.fromEntries(new URLSearchParams(data.query_params || ''));
               const token = localStorage.getItem('auth_token');
 
               const url = editingPairId 
@@ -641,7 +4251,11 @@ adminRouter.get('/dashboard', (req, res) => {
                       document.getElementById('modal-title').textContent = 'Edit Registration Pair';
                       document.getElementById('site_url').value = pair.site_url;
                       document.getElementById('registration_page_url').value = pair.registration_page_url;
+                      document.getElementById('match_mode').value = pair.match_mode || 'exact';
+                      document.getElementById('priority').value = pair.priority || 0;
+                      document.getElementById('query_params').value = formatQueryParams(pair.query_params);
                       document.getElementById('thankyou_page_url').value = pair.thankyou_page_url;
+                      document.getElementById('welcome_back_page_url').value = pair.welcome_back_page_url || '';
                       document.getElementById('pair-modal').style.display = 'block';
                   }
               });
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// supabase-auth-module/server/jobs-cli.js
+// Run maintenance jobs once, e.g. from cron:
+//   node server/jobs-cli.js retention --dry-run
+//   node server/jobs-cli.js all
+
+require('dotenv').config();
+
+const { JOBS, runJob } = require('./jobs');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'jobs-cli' });
+
+const USAGE = `Usage: node server/jobs-cli.js <${Object.keys(JOBS).join('|')}|all> [--dry-run]
+  --dry-run  (retention only) report what would be anonymized or deleted without changing anything`;
+
+async function main(args) {
+  const dryRun = args.includes('--dry-run');
+  const name = args.find((arg) => !arg.startsWith('--'));
+
+  if (!name || (name !== 'all' && !JOBS[name]) || (dryRun && name !== 'retention')) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let exitCode = 0;
+  for (const job of name === 'all' ? Object.keys(JOBS) : [name]) {
+    try {
+      const summary = await runJob(job, { dryRun, trigger: 'cli' });
+      console.log(JSON.stringify({ job, summary }, null, 2));
+      // retention reports failed rules, deletions failed erasures
+      if (summary.success === false || (Array.isArray(summary.failed) && summary.failed.length > 0)) {
+        exitCode = 1;
+      }
+    } catch (err) {
+      log.error('Job failed', { job, error: err.message });
+      exitCode = 1;
+    }
+  }
+  return exitCode;
+}
+
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,95 @@
+// supabase-auth-module/server/jobs.js
+// Maintenance jobs (retention, account erasure, webhook retries, rate limit cleanup) run in-process or from the CLI
+
+const { runRetention } = require('./retention');
+const { processDueDeletions } = require('./privacy');
+const { retryDueDeliveries } = require('./webhooks');
+const { getRateLimitStore } = require('./middleware/rateLimitStore');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'jobs' });
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Jobs by name; each resolves to a summary that is printed by the CLI
+ */
+const JOBS = {
+  retention: ({ dryRun = false, trigger = 'scheduler' } = {}) => runRetention({ dryRun, trigger }),
+  deletions: () => processDueDeletions(),
+  webhooks: async () => ({ attempted: await retryDueDeliveries() }),
+  // Expired counters of the Postgres store (RATE_LIMIT_STORE=postgres); other stores expire their own
+  rate_limits: async () => {
+    const store = getRateLimitStore();
+    return { store: store.name, pruned: store.prune ? await store.prune() : 0 };
+  }
+};
+
+// How often startScheduledJobs runs each job unless overridden
+const DEFAULT_INTERVALS_MS = {
+  retention: 24 * 60 * MINUTE_MS,
+  deletions: 60 * MINUTE_MS,
+  webhooks: 5 * MINUTE_MS,
+  rate_limits: 60 * MINUTE_MS
+};
+
+/**
+ * Run a job by name
+ * @param {string} name Key of JOBS
+ * @param {Object} [options] Passed to the job, e.g. { dryRun, trigger } for retention
+ * @returns {Promise<Object>} Job summary
+ */
+async function runJob(name, options = {}) {
+  const job = JOBS[name];
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  return job(options);
+}
+
+/**
+ * Run the jobs on timers inside this process
+ * In a multi-instance deployment start them in one instance only, or use the CLI from cron
+ * @param {Object} [options] { jobs: names to run (default all), intervals: { name: ms }, runOnStart }
+ * @returns {Function} Stops the timers
+ */
+function startScheduledJobs({ jobs = Object.keys(JOBS), intervals = {}, runOnStart = false } = {}) {
+  const timers = jobs.map((name) => {
+    if (!JOBS[name]) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    // A slow run is not overlapped by the next tick
+    let running = false;
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await runJob(name);
+      } catch (err) {
+        log.error('Scheduled job error', { job: name, error: err.message });
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(tick, intervals[name] || DEFAULT_INTERVALS_MS[name]);
+    // Do not keep the process alive just for maintenance
+    if (timer.unref) {
+      timer.unref();
+    }
+    if (runOnStart) {
+      tick();
+    }
+    return timer;
+  });
+
+  return () => timers.forEach((timer) => clearInterval(timer));
+}
+
+module.exports = {
+  JOBS,
+  DEFAULT_INTERVALS_MS,
+  runJob,
+  startScheduledJobs
+};
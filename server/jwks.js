@@ -0,0 +1,252 @@
+// supabase-auth-module/server/jwks.js
+// Signing keys for verifyJwt: remote JWKS with an on-disk copy, or a local key set (offline mode)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwksClient = require('jwks-rsa');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'jwks' });
+
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+// Unknown kids trigger a refresh at most this often, so forged kids cannot hammer the endpoint
+const MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+
+let client = null;
+let keySet = null; // { keys: Map<kid, { kid, alg, kty, key }>, source, refreshedAt, expiresAt }
+let lastRefreshAttempt = 0;
+let lastRefreshError = null;
+let refreshPromise = null;
+
+/**
+ * Read JWKS settings from the environment
+ *   JWKS_URL - remote key set (default: the Supabase project's JWKS)
+ *   JWKS_JSON / JWKS_FILE - local key set, disables network fetches (offline mode)
+ *   JWKS_CACHE_FILE - where the last good remote key set is persisted
+ *   JWKS_PINNED_KIDS - comma-separated kids; other keys are ignored
+ */
+function getJwksConfig() {
+  const pinnedKids = (process.env.JWKS_PINNED_KIDS || '')
+    .split(',')
+    .map((kid) => kid.trim())
+    .filter(Boolean);
+
+  return {
+    jwksUri: process.env.JWKS_URL || `${process.env.SUPABASE_URL}/auth/v1/jwks`,
+    localJson: process.env.JWKS_JSON || null,
+    localFile: process.env.JWKS_FILE || null,
+    cacheFile: process.env.JWKS_CACHE_FILE || path.join(process.cwd(), '.jwks-cache.json'),
+    pinnedKids
+  };
+}
+
+function getClient(config) {
+  if (!client) {
+    client = jwksClient({ jwksUri: config.jwksUri, cache: false });
+  }
+  return client;
+}
+
+/**
+ * Turn raw JWKs into usable public keys, skipping private, unusable and unpinned entries
+ * @param {Object[]} jwks Raw keys ({ keys: [...] }.keys)
+ * @returns {Map<string, Object>} kid → { kid, alg, kty, key }
+ */
+function buildKeyMap(jwks, pinnedKids) {
+  const keys = new Map();
+
+  for (const jwk of Array.isArray(jwks) ? jwks : []) {
+    if (!jwk || !jwk.kid || (jwk.use && jwk.use !== 'sig') || jwk.d) {
+      continue;
+    }
+    if (pinnedKids.length > 0 && !pinnedKids.includes(jwk.kid)) {
+      continue;
+    }
+
+    try {
+      keys.set(jwk.kid, {
+        kid: jwk.kid,
+        alg: jwk.alg || null,
+        kty: jwk.kty,
+        key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+      });
+    } catch (e) {
+      log.warn('Skipping unusable key', { kid: jwk.kid, error: e.message });
+    }
+  }
+
+  return keys;
+}
+
+function setKeySet(jwks, source, config, refreshedAt = new Date()) {
+  keySet = {
+    keys: buildKeyMap(jwks, config.pinnedKids),
+    source,
+    refreshedAt,
+    expiresAt: source === 'remote' ? Date.now() + JWKS_CACHE_TTL_MS : 0
+  };
+  return keySet;
+}
+
+function parseJwks(text) {
+  const parsed = JSON.parse(text);
+  if (!parsed || !Array.isArray(parsed.keys)) {
+    throw new Error('JWKS must be an object with a "keys" array');
+  }
+  return parsed.keys;
+}
+
+/**
+ * Load the local key set from JWKS_JSON or JWKS_FILE
+ * @returns {Object|null} Key set, or null when offline mode is not configured
+ */
+function loadLocalKeySet(config) {
+  if (!config.localJson && !config.localFile) {
+    return null;
+  }
+
+  if (keySet && keySet.source !== 'remote' && keySet.source !== 'cache') {
+    return keySet;
+  }
+
+  const jwks = config.localJson
+    ? parseJwks(config.localJson)
+    : parseJwks(fs.readFileSync(config.localFile, 'utf8'));
+  return setKeySet(jwks, config.localJson ? 'env' : 'file', config);
+}
+
+/**
+ * Load the key set persisted by the last successful remote refresh
+ * @returns {Object|null}
+ */
+function loadPersistedKeySet(config) {
+  try {
+    const saved = JSON.parse(fs.readFileSync(config.cacheFile, 'utf8'));
+    if (saved.jwks_uri !== config.jwksUri || !Array.isArray(saved.keys)) {
+      return null;
+    }
+    return setKeySet(saved.keys, 'cache', config, new Date(saved.refreshed_at));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      log.error('Could not read persisted keys', { error: e.message });
+    }
+    return null;
+  }
+}
+
+function persistKeySet(config, jwks, refreshedAt) {
+  try {
+    const data = { jwks_uri: config.jwksUri, refreshed_at: refreshedAt.toISOString(), keys: jwks };
+    const tmpFile = `${config.cacheFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, config.cacheFile);
+  } catch (e) {
+    log.error('Could not persist keys', { error: e.message });
+  }
+}
+
+/**
+ * Fetch the remote key set and persist it (concurrent callers share one request)
+ * Falls back to the persisted key set when the endpoint is unreachable
+ * In offline mode the local key set is re-read instead
+ * @returns {Promise<Object>} Key set
+ */
+function refreshKeys(config = getJwksConfig()) {
+  if (config.localJson || config.localFile) {
+    keySet = null;
+    return Promise.resolve().then(() => loadLocalKeySet(config));
+  }
+
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  lastRefreshAttempt = Date.now();
+  refreshPromise = (async () => {
+    try {
+      const jwks = await getClient(config).getKeys();
+      const refreshedAt = new Date();
+      lastRefreshError = null;
+      persistKeySet(config, jwks, refreshedAt);
+      return setKeySet(jwks, 'remote', config, refreshedAt);
+    } catch (error) {
+      lastRefreshError = error.message;
+      log.error('Refresh failed', { error: error.message });
+
+      const fallback = keySet || loadPersistedKeySet(config);
+      if (!fallback) {
+        throw error;
+      }
+      return fallback;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+}
+
+/**
+ * Get the public key for a kid
+ * @param {string} kid Key ID from the token header
+ * @returns {Promise<Object|null>} { kid, alg, kty, key } or null if no such key
+ * @throws When no key set can be loaded at all (endpoint down and nothing persisted)
+ */
+async function getSigningKey(kid) {
+  const config = getJwksConfig();
+
+  const local = loadLocalKeySet(config);
+  if (local) {
+    return local.keys.get(kid) || null;
+  }
+
+  // Refresh when the key set is stale or lacks the kid (keys may have been rotated),
+  // but while the endpoint is down keep serving the keys we have between attempts
+  let current = keySet;
+  const outdated = current && (current.expiresAt <= Date.now() || !current.keys.has(kid));
+  if (!current || (outdated && Date.now() - lastRefreshAttempt >= MIN_REFRESH_INTERVAL_MS)) {
+    current = await refreshKeys(config);
+  }
+
+  return current.keys.get(kid) || null;
+}
+
+/**
+ * Describe the key set in use (for the admin API)
+ */
+function getJwksStatus() {
+  const config = getJwksConfig();
+  const offline = Boolean(config.localJson || config.localFile);
+
+  return {
+    mode: offline ? 'offline' : 'remote',
+    source: keySet ? keySet.source : null,
+    jwks_uri: offline ? null : config.jwksUri,
+    cache_file: offline ? null : config.cacheFile,
+    pinned_kids: config.pinnedKids,
+    refreshed_at: keySet && keySet.refreshedAt ? keySet.refreshedAt.toISOString() : null,
+    expires_at: keySet && keySet.expiresAt ? new Date(keySet.expiresAt).toISOString() : null,
+    last_error: lastRefreshError,
+    keys: keySet
+      ? [...keySet.keys.values()].map(({ kid, alg, kty }) => ({ kid, alg, kty }))
+      : []
+  };
+}
+
+/**
+ * Forget loaded keys so the next verification reloads them (after changing JWKS settings)
+ */
+function resetJwks() {
+  client = null;
+  keySet = null;
+  lastRefreshAttempt = 0;
+  lastRefreshError = null;
+}
+
+module.exports = {
+  getSigningKey,
+  refreshKeys,
+  getJwksStatus,
+  resetJwks
+};
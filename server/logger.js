@@ -0,0 +1,235 @@
+// supabase-auth-module/server/logger.js
+// Structured logger: levels, JSON lines, request-id correlation and redaction of personal data
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Field names whose values are never logged / are masked
+const SECRET_KEY_PATTERN = /(token|secret|password|authorization|cookie|api_?key|signature)/i;
+const EMAIL_KEY_PATTERN = /email/i;
+const IP_KEY_PATTERN = /^(ip|ip_address|client_ip|remote_address)$/i;
+
+// The same data inside free text
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+const BEARER_PATTERN = /Bearer\s+[A-Za-z0-9._~+/=-]+/gi;
+const IPV4_PATTERN = /\b(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}\b/g;
+
+const MAX_DEPTH = 5;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Default transport: one JSON line per entry, warnings and errors on stderr
+ */
+function consoleTransport(entry, line) {
+  if (LEVELS[entry.level] >= LEVELS.warn) {
+    process.stderr.write(line + '\n');
+  } else {
+    process.stdout.write(line + '\n');
+  }
+}
+
+/**
+ * Human-readable lines for development
+ */
+function formatPretty(entry) {
+  const { time, level, msg, component, ...fields } = entry;
+  const prefix = `${time} ${level.toUpperCase().padEnd(5)}${component ? ` [${component}]` : ''} ${msg}`;
+  return Object.keys(fields).length > 0 ? `${prefix} ${JSON.stringify(fields)}` : prefix;
+}
+
+function defaultLevel() {
+  if (process.env.NODE_ENV === 'production') return 'info';
+  if (process.env.NODE_ENV === 'test') return 'silent';
+  return 'debug';
+}
+
+const config = {
+  level: null, // null: LOG_LEVEL or the NODE_ENV default
+  format: null, // null: LOG_FORMAT, else 'json' in production and 'pretty' otherwise
+  redact: true,
+  transport: consoleTransport
+};
+
+/**
+ * Change the logger settings for the whole process
+ * @param {Object} options
+ * @param {string} [options.level] 'debug', 'info', 'warn', 'error' or 'silent'
+ * @param {string} [options.format] 'json' or 'pretty'
+ * @param {boolean} [options.redact] Mask emails, IPs and tokens (default true)
+ * @param {Function} [options.transport] (entry, line) => void, e.g. to ship logs elsewhere
+ */
+function configureLogger(options = {}) {
+  ['level', 'format', 'redact', 'transport'].forEach((key) => {
+    if (options[key] !== undefined) {
+      config[key] = options[key];
+    }
+  });
+}
+
+function currentLevel() {
+  const level = config.level || process.env.LOG_LEVEL;
+  return LEVELS[level] !== undefined ? level : defaultLevel();
+}
+
+function currentFormat() {
+  const format = config.format || process.env.LOG_FORMAT;
+  if (format === 'json' || format === 'pretty') return format;
+  return process.env.NODE_ENV === 'production' ? 'json' : 'pretty';
+}
+
+/**
+ * Keep the first character and the domain of an email: j***@example.com
+ */
+function maskEmail(value) {
+  return String(value).replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+/**
+ * Keep the network of an IP address: 203.0.113.0 (IPv4 /24) or 2001:db8:85a3:: (IPv6 /48)
+ */
+function maskIp(value) {
+  const ip = String(value).replace(/^::ffff:/, '');
+  if (ip.includes(':')) {
+    return ip.split(':').slice(0, 3).join(':') + '::';
+  }
+  return ip.replace(IPV4_PATTERN, '$1.0');
+}
+
+function redactString(value) {
+  return maskEmail(value)
+    .replace(JWT_PATTERN, '[REDACTED]')
+    .replace(BEARER_PATTERN, 'Bearer [REDACTED]')
+    .replace(IPV4_PATTERN, '$1.0');
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(process.env.NODE_ENV !== 'production' && error.stack ? { stack: error.stack } : {})
+  };
+}
+
+/**
+ * Copy log fields, masking personal data by field name and inside strings
+ */
+function redactValue(value, key, depth) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (value instanceof Error) {
+    return redactValue(serializeError(value), key, depth);
+  }
+  if (typeof key === 'string') {
+    if (SECRET_KEY_PATTERN.test(key)) return '[REDACTED]';
+    if (EMAIL_KEY_PATTERN.test(key) && typeof value === 'string') return maskEmail(value);
+    if (IP_KEY_PATTERN.test(key) && typeof value === 'string') return maskIp(value);
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, null, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([name, item]) => [name, redactValue(item, name, depth + 1)])
+  );
+}
+
+function plainValue(value, depth) {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object' || depth >= MAX_DEPTH) return value;
+  if (Array.isArray(value)) return value.map((item) => plainValue(item, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, plainValue(item, depth + 1)]));
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < LEVELS[currentLevel()]) {
+    return;
+  }
+
+  const context = requestContext.getStore();
+  const raw = {
+    ...(context ? { request_id: context.requestId } : {}),
+    ...bindings,
+    ...(fields instanceof Error ? { error: fields } : fields)
+  };
+  const data = config.redact ? redactValue(raw, null, 0) : plainValue(raw, 0);
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: config.redact ? redactString(msg) : msg,
+    ...data
+  };
+
+  try {
+    const line = currentFormat() === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+    config.transport(entry, line);
+  } catch (err) {
+    // A broken transport must never break the request that logged
+    process.stderr.write(`Logger transport error: ${err.message}\n`);
+  }
+}
+
+/**
+ * Create a logger whose entries carry fixed fields
+ * @param {Object} [bindings] e.g. { component: 'auth-middleware' }
+ * @returns {Object} { debug, info, warn, error, child } - each level takes (message, fields?)
+ */
+function createLogger(bindings = {}) {
+  const log = {};
+  ['debug', 'info', 'warn', 'error'].forEach((level) => {
+    log[level] = (msg, fields = {}) => write(level, bindings, msg, fields);
+  });
+  log.child = (childBindings) => createLogger({ ...bindings, ...childBindings });
+  return log;
+}
+
+/**
+ * Express middleware: give each request an ID (incoming X-Request-Id or a new UUID),
+ * echo it in the response and attach it to every log entry written while handling the request
+ */
+function requestIdMiddleware(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+  requestContext.run({ requestId }, next);
+}
+
+/**
+ * ID of the request being handled, or null outside a request
+ */
+function getRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.requestId : null;
+}
+
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  logger,
+  createLogger,
+  configureLogger,
+  requestIdMiddleware,
+  getRequestId,
+  maskEmail,
+  maskIp
+};
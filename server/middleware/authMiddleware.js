@@ -1,59 +1,96 @@
-const verifyJwt = require('../verifyJwt');
+const { verifyJwtDetailed, JWT_FAILURE_REASONS } = require('../verifyJwt');
+const { getSystemUserRole, attachSystemUser } = require('./roleMiddleware');
+const { mapClaims } = require('./claimsMiddleware');
+const { isSessionRevoked } = require('../sessions');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'auth-middleware' });
 
 /**
- * Authentication middleware for Express.js routes
- * Validates JWT tokens and attaches user data to request
+ * Create an authentication middleware for Express.js routes
+ * Validates JWT tokens and attaches req.user (mapped claims + system user), req.claims and req.accessToken
+ * @param {Object} [options]
+ * @param {Object} [options.claims] Claims mapping merged over DEFAULT_CLAIMS_MAPPING (see claimsMiddleware.js)
  */
-const authMiddleware = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
+function createAuthMiddleware({ claims: claimsMapping = {} } = {}) {
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        error: 'Authorization header required',
-        success: false
-      });
-    }
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({
+          error: 'Authorization header required',
+          success: false
+        });
+      }
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+      const token = authHeader.substring(7); // Remove 'Bearer ' prefix
     
-    if (!token) {
-      return res.status(401).json({
-        error: 'Token is required',
-        success: false
-      });
-    }
+      if (!token) {
+        return res.status(401).json({
+          error: 'Token is required',
+          success: false
+        });
+      }
 
-    console.log('[AUTH-MIDDLEWARE] Validating token');
+      log.debug('Validating token');
 
-    // Verify JWT token
-    const userData = await verifyJwt(token);
+      // Verify JWT token
+      const verification = await verifyJwtDetailed(token);
     
-    if (!userData) {
-      return res.status(401).json({
-        error: 'Invalid or expired token',
+      if (!verification.valid) {
+        log.info('Token rejected', { reason: verification.reason });
+        // Key lookup failures are our problem, not the client's
+        const status = verification.reason === JWT_FAILURE_REASONS.JWKS_UNAVAILABLE ? 503 : 401;
+        return res.status(status).json({
+          error: verification.message,
+          code: verification.reason,
+          success: false
+        });
+      }
+
+      const userData = verification.payload;
+
+      // Reject tokens whose session was revoked (logout, "log out everywhere")
+      if (await isSessionRevoked(userData.session_id)) {
+        return res.status(401).json({
+          error: 'Session revoked',
+          success: false
+        });
+      }
+
+      // Reject suspended accounts even while their JWT is still valid
+      const systemUser = await getSystemUserRole(userData.sub);
+      if (systemUser && systemUser.status === 'suspended') {
+        log.warn('Suspended user rejected', { user_id: userData.sub });
+        return res.status(403).json({
+          error: 'Account suspended',
+          success: false
+        });
+      }
+
+      // Attach user data to request
+      req.user = mapClaims(userData, claimsMapping);
+      req.claims = userData;
+      req.accessToken = token;
+      attachSystemUser(req, systemUser);
+
+      log.debug('User authenticated', { user_id: userData.sub });
+      next();
+
+    } catch (error) {
+      log.error('Authentication error', { error });
+      return res.status(500).json({
+        error: 'Authentication failed',
         success: false
       });
     }
+  };
+}
+
+/**
+ * Authentication middleware with the default claims mapping
+ */
+const authMiddleware = createAuthMiddleware();
 
-    // Attach user data to request
-    req.user = {
-      id: userData.sub,
-      email: userData.email,
-      email_verified: userData.email_verified,
-      role: userData.role || 'user'
-    };
-
-    console.log('[AUTH-MIDDLEWARE] User authenticated:', userData.email);
-    next();
-
-  } catch (error) {
-    console.error('[AUTH-MIDDLEWARE] Error:', error);
-    return res.status(500).json({
-      error: 'Authentication failed',
-      success: false
-    });
-  }
-};
-
-module.exports = { authMiddleware };
+module.exports = { authMiddleware, createAuthMiddleware };
@@ -0,0 +1,145 @@
+// supabase-auth-module/server/middleware/claimsMiddleware.js
+// JWT claims → req.user mapping and claim-based authorization on top of authMiddleware
+
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'claims-middleware' });
+
+/**
+ * Default claims mapping: req.user field → claim path ("a.b.c") or (claims) => value
+ * Custom mappings are merged over it; map a field to null to leave it out
+ */
+const DEFAULT_CLAIMS_MAPPING = {
+  id: 'sub',
+  email: 'email',
+  // Supabase puts email_verified in user_metadata; other issuers use the top-level claim
+  email_verified: (claims) => Boolean(
+    claims.email_verified !== undefined ? claims.email_verified : getClaim(claims, 'user_metadata.email_verified')
+  ),
+  phone: 'phone',
+  role: (claims) => claims.role || 'user',
+  session_id: (claims) => claims.session_id || null,
+  aal: (claims) => claims.aal || 'aal1',
+  amr: (claims) => (Array.isArray(claims.amr) ? claims.amr : []),
+  app_metadata: (claims) => claims.app_metadata || {},
+  user_metadata: (claims) => claims.user_metadata || {},
+  is_anonymous: (claims) => claims.is_anonymous === true
+};
+
+// Authenticator assurance levels, weakest first
+const AAL_LEVELS = ['aal1', 'aal2', 'aal3'];
+
+/**
+ * Read a claim by dot-separated path
+ * @returns {*} Claim value or undefined
+ */
+function getClaim(claims, path) {
+  return String(path).split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    claims
+  );
+}
+
+/**
+ * Build req.user from verified JWT claims
+ * @param {Object} claims Verified JWT payload
+ * @param {Object} [mapping] Overrides/additions for DEFAULT_CLAIMS_MAPPING
+ * @returns {Object}
+ */
+function mapClaims(claims, mapping = {}) {
+  const user = {};
+
+  for (const [field, source] of Object.entries({ ...DEFAULT_CLAIMS_MAPPING, ...mapping })) {
+    if (source === null || source === undefined || source === false) {
+      continue;
+    }
+
+    const value = typeof source === 'function' ? source(claims) : getClaim(claims, source);
+    user[field] = value === undefined ? null : value;
+  }
+
+  return user;
+}
+
+/**
+ * Send a 401/403 for a failed claim check
+ * @param {Object} [details] Extra response fields
+ */
+function deny(req, res, code, message, details = {}) {
+  if (!req.user || !req.claims) {
+    return res.status(401).json({ error: 'Authentication required', success: false });
+  }
+
+  log.warn('Access denied', { user_id: req.user.id, code, path: req.path });
+  return res.status(403).json({ error: message, code, ...details, success: false });
+}
+
+/**
+ * Require a JWT claim; must run after authMiddleware
+ * @param {string} path Claim path, e.g. 'app_metadata.plan'
+ * @param {*} [expected] Required value, array of allowed values, or (value, claims) => boolean.
+ *   Omitted: the claim must be present and truthy. Array claims match if they contain the value.
+ */
+function requireClaim(path, expected) {
+  const matches = (value, claims) => {
+    if (expected === undefined) {
+      return Boolean(value);
+    }
+    if (typeof expected === 'function') {
+      return Boolean(expected(value, claims));
+    }
+
+    const allowed = Array.isArray(expected) ? expected : [expected];
+    const actual = Array.isArray(value) ? value : [value];
+    return actual.some((item) => allowed.includes(item));
+  };
+
+  return (req, res, next) => {
+    if (!req.claims || !matches(getClaim(req.claims, path), req.claims)) {
+      return deny(req, res, 'claim_required', `Required claim missing: ${path}`);
+    }
+    next();
+  };
+}
+
+/**
+ * Require a verified email address; must run after authMiddleware
+ */
+function requireEmailVerified() {
+  return (req, res, next) => {
+    if (!req.user || req.user.email_verified !== true) {
+      return deny(req, res, 'email_not_verified', 'Email address not verified');
+    }
+    next();
+  };
+}
+
+/**
+ * Require an authenticator assurance level (e.g. 'aal2' for MFA); must run after authMiddleware
+ * @param {string} level One of AAL_LEVELS
+ * @param {Object} [options] { code, message } of the 403 response (default code: insufficient_aal)
+ */
+function requireAal(level, { code = 'insufficient_aal', message = `Assurance level ${level} required` } = {}) {
+  const required = AAL_LEVELS.indexOf(level);
+  if (required === -1) {
+    throw new Error(`Unknown assurance level: ${level}`);
+  }
+
+  return (req, res, next) => {
+    const currentLevel = req.claims ? req.claims.aal || 'aal1' : null;
+    if (AAL_LEVELS.indexOf(currentLevel) < required) {
+      return deny(req, res, code, message, { required_aal: level, current_aal: currentLevel });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_CLAIMS_MAPPING,
+  AAL_LEVELS,
+  getClaim,
+  mapClaims,
+  requireClaim,
+  requireEmailVerified,
+  requireAal
+};
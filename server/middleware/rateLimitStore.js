@@ -0,0 +1,274 @@
+// supabase-auth-module/server/middleware/rateLimitStore.js
+// Pluggable counter stores for rate limiting and account lockout (memory, Postgres, Redis)
+
+/**
+ * Store interface used by rateLimitMiddleware and accountLockout:
+ *   increment(key, windowMs) -> { totalHits, resetTime }
+ *   decrement(key)
+ *   get(key) -> { totalHits, resetTime } | undefined
+ *   reset(key)
+ *   prune() -> number of expired counters removed (optional; stores that expire keys themselves omit it)
+ * All methods may return promises. Counters expire windowMs after their first hit.
+ */
+
+/**
+ * In-memory store (single process, lost on restart)
+ */
+function createMemoryStore({ cleanupIntervalMs = 60 * 1000 } = {}) {
+  const counters = new Map();
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetTime.getTime() <= now) {
+        counters.delete(key);
+      }
+    }
+  }, cleanupIntervalMs);
+
+  // Do not keep the process alive just for cleanup
+  if (cleanup.unref) {
+    cleanup.unref();
+  }
+
+  function getActive(key) {
+    const counter = counters.get(key);
+    if (!counter || counter.resetTime.getTime() <= Date.now()) {
+      return undefined;
+    }
+    return counter;
+  }
+
+  return {
+    name: 'memory',
+
+    increment(key, windowMs) {
+      let counter = getActive(key);
+      if (!counter) {
+        counter = { totalHits: 0, resetTime: new Date(Date.now() + windowMs) };
+        counters.set(key, counter);
+      }
+      counter.totalHits++;
+      return { totalHits: counter.totalHits, resetTime: counter.resetTime };
+    },
+
+    decrement(key) {
+      const counter = getActive(key);
+      if (counter && counter.totalHits > 0) {
+        counter.totalHits--;
+      }
+    },
+
+    get(key) {
+      const counter = getActive(key);
+      return counter ? { totalHits: counter.totalHits, resetTime: counter.resetTime } : undefined;
+    },
+
+    reset(key) {
+      counters.delete(key);
+    },
+
+    shutdown() {
+      clearInterval(cleanup);
+      counters.clear();
+    }
+  };
+}
+
+/**
+ * Postgres store backed by the rate_limits table and rate_limit_* functions (see database/schema.sql)
+ * Shared between instances and survives restarts
+ * @param {Object} options { client } Supabase client (defaults to the module's service client)
+ */
+function createPostgresStore({ client } = {}) {
+  const db = client || require('../../utils/supabaseClient');
+
+  function toInfo(row) {
+    return row ? { totalHits: row.total_hits, resetTime: new Date(row.reset_time) } : undefined;
+  }
+
+  return {
+    name: 'postgres',
+
+    async increment(key, windowMs) {
+      const { data, error } = await db.rpc('rate_limit_increment', {
+        p_key: key,
+        p_window_ms: Math.round(windowMs)
+      });
+      if (error) {
+        throw new Error(error.message);
+      }
+      return toInfo(Array.isArray(data) ? data[0] : data);
+    },
+
+    async decrement(key) {
+      const { error } = await db.rpc('rate_limit_decrement', { p_key: key });
+      if (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    async get(key) {
+      const { data, error } = await db
+        .from('rate_limits')
+        .select('total_hits, reset_time')
+        .eq('key', key)
+        .gt('reset_time', new Date().toISOString())
+        .limit(1);
+      if (error) {
+        throw new Error(error.message);
+      }
+      return toInfo(data && data[0]);
+    },
+
+    async reset(key) {
+      const { error } = await db.from('rate_limits').delete().eq('key', key);
+      if (error) {
+        throw new Error(error.message);
+      }
+    },
+
+    // Expired rows are only overwritten when their key is hit again; the rate_limits job deletes the rest
+    async prune() {
+      const { error, count } = await db
+        .from('rate_limits')
+        .delete({ count: 'exact' })
+        .lt('reset_time', new Date().toISOString());
+      if (error) {
+        throw new Error(error.message);
+      }
+      return count || 0;
+    }
+  };
+}
+
+// INCR + set expiry on first hit, atomically; returns [hits, ttlMs]
+const REDIS_INCREMENT_SCRIPT = `
+  local hits = redis.call('INCR', KEYS[1])
+  local ttl = redis.call('PTTL', KEYS[1])
+  if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+  end
+  return { hits, ttl }
+`;
+
+// DECR only an existing counter: a plain DECR on an expired key would create one without expiry
+const REDIS_DECREMENT_SCRIPT = `
+  if redis.call('GET', KEYS[1]) and tonumber(redis.call('GET', KEYS[1])) > 0 then
+    return redis.call('DECR', KEYS[1])
+  end
+  return 0
+`;
+
+/**
+ * Redis-compatible store (Redis, Valkey, KeyDB, ...)
+ * Works with any client through a sendCommand function, e.g.
+ *   node-redis: (...args) => client.sendCommand(args)
+ *   ioredis:    (...args) => client.call(...args)
+ * @param {Object} options { sendCommand, prefix }
+ */
+function createRedisStore({ sendCommand, prefix = 'sam-rl:' } = {}) {
+  if (typeof sendCommand !== 'function') {
+    throw new Error('createRedisStore requires a sendCommand function');
+  }
+
+  return {
+    name: 'redis',
+
+    async increment(key, windowMs) {
+      const [hits, ttl] = await sendCommand(
+        'EVAL', REDIS_INCREMENT_SCRIPT, '1', prefix + key, String(Math.round(windowMs))
+      );
+      return {
+        totalHits: Number(hits),
+        resetTime: new Date(Date.now() + Number(ttl))
+      };
+    },
+
+    async decrement(key) {
+      await sendCommand('EVAL', REDIS_DECREMENT_SCRIPT, '1', prefix + key);
+    },
+
+    async get(key) {
+      const [hits, ttl] = await Promise.all([
+        sendCommand('GET', prefix + key),
+        sendCommand('PTTL', prefix + key)
+      ]);
+      if (hits === null || Number(ttl) <= 0) {
+        return undefined;
+      }
+      return { totalHits: Number(hits), resetTime: new Date(Date.now() + Number(ttl)) };
+    },
+
+    async reset(key) {
+      await sendCommand('DEL', prefix + key);
+    }
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Replace the default store used by every limiter that has no explicit store
+ * Takes effect immediately, including for limiters created earlier
+ */
+function setRateLimitStore(store) {
+  defaultStore = store;
+}
+
+/**
+ * Get the default store (RATE_LIMIT_STORE=memory|postgres, memory if unset)
+ */
+function getRateLimitStore() {
+  if (!defaultStore) {
+    defaultStore = process.env.RATE_LIMIT_STORE === 'postgres'
+      ? createPostgresStore()
+      : createMemoryStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Adapt a store to the express-rate-limit Store interface
+ * @param {Object|null} store Store, or null to use the default store at call time
+ * @param {string} prefix Key prefix separating this limiter's counters
+ */
+function toExpressRateLimitStore(store, prefix) {
+  let windowMs = 60 * 1000;
+  const resolve = () => store || getRateLimitStore();
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    increment(key) {
+      return resolve().increment(prefix + key, windowMs);
+    },
+
+    decrement(key) {
+      return resolve().decrement(prefix + key);
+    },
+
+    get(key) {
+      return resolve().get(prefix + key);
+    },
+
+    resetKey(key) {
+      return resolve().reset(prefix + key);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  createRedisStore,
+  setRateLimitStore,
+  getRateLimitStore,
+  toExpressRateLimitStore
+};
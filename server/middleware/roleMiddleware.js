@@ -0,0 +1,197 @@
+// supabase-auth-module/server/middleware/roleMiddleware.js
+// Role-based authorization on top of authMiddleware (roles live in system_users)
+
+const supabase = require('../../utils/supabaseClient');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'role-middleware' });
+
+/**
+ * Role → permission map
+ * Permissions are "<resource>:<action>" strings checked by requirePermission
+ */
+const ROLE_PERMISSIONS = {
+  admin: [
+    'pairs:read', 'pairs:write',
+    'users:read', 'users:write',
+    'logs:read', 'logs:write',
+    'webhooks:read', 'webhooks:write',
+    'sites:read', 'sites:write',
+    'keys:read', 'keys:write',
+    'audit:read'
+  ],
+  editor: [
+    'pairs:read', 'pairs:write',
+    'users:read',
+    'logs:read',
+    'webhooks:read',
+    'sites:read',
+    'keys:read'
+  ],
+  viewer: [
+    'pairs:read',
+    'users:read',
+    'logs:read',
+    'sites:read'
+  ],
+  user: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Short-lived cache of system user rows keyed by supabase_user_id
+const ROLE_CACHE_TTL_MS = 60 * 1000; // 60 seconds
+const roleCache = new Map();
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role System role
+ * @param {string} permission Permission string, e.g. 'pairs:write'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role];
+  return Array.isArray(permissions) && permissions.includes(permission);
+}
+
+/**
+ * Drop cached role data for a user (or the whole cache)
+ * Call after changing a user's role or status so the change applies immediately
+ * @param {string} [supabaseUserId] Supabase user ID, omit to clear everything
+ */
+function clearRoleCache(supabaseUserId) {
+  if (supabaseUserId) {
+    roleCache.delete(supabaseUserId);
+  } else {
+    roleCache.clear();
+  }
+}
+
+/**
+ * Look up the system user's role and status for a Supabase user ID (cached)
+ * @param {string} supabaseUserId Supabase user ID (JWT sub)
+ * @returns {Promise<Object|null>} { id, role, status, display_name } or null if no system user exists
+ */
+async function getSystemUserRole(supabaseUserId) {
+  const cached = roleCache.get(supabaseUserId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.systemUser;
+  }
+
+  const { data, error } = await supabase
+    .from('system_users')
+    .select('id, role, status, display_name')
+    .eq('supabase_user_id', supabaseUserId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const systemUser = data && data.length > 0 ? data[0] : null;
+  roleCache.set(supabaseUserId, {
+    systemUser,
+    expiresAt: Date.now() + ROLE_CACHE_TTL_MS
+  });
+
+  return systemUser;
+}
+
+/**
+ * Attach a system user row to the request (req.systemUser and req.user fields)
+ * @param {Object} req Express request with req.user set
+ * @param {Object|null} systemUser Row from getSystemUserRole
+ */
+function attachSystemUser(req, systemUser) {
+  req.systemUser = systemUser;
+
+  if (systemUser) {
+    req.user.system_user_id = systemUser.id;
+    req.user.system_role = systemUser.role;
+    req.user.display_name = systemUser.display_name || null;
+    req.user.permissions = ROLE_PERMISSIONS[systemUser.role] || [];
+  }
+}
+
+/**
+ * Resolve the system role for the authenticated request and attach it to req.user
+ * Must run after authMiddleware (which normally attaches it already)
+ * @returns {Promise<Object|null>} System user or null
+ */
+async function resolveSystemRole(req) {
+  if (req.systemUser !== undefined) {
+    return req.systemUser;
+  }
+
+  attachSystemUser(req, await getSystemUserRole(req.user.id));
+  return req.systemUser;
+}
+
+/**
+ * Build an authorization middleware from a predicate over the system user
+ */
+function authorize(check, logLabel) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user || !req.user.id) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          success: false
+        });
+      }
+
+      const systemUser = await resolveSystemRole(req);
+
+      if (!systemUser || !check(systemUser.role)) {
+        log.warn('Access denied', {
+          user_id: req.user.id,
+          role: systemUser ? systemUser.role : null,
+          required: logLabel,
+          path: req.path
+        });
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          success: false
+        });
+      }
+
+      next();
+    } catch (error) {
+      log.error('Role check error', { error: error.message });
+      return res.status(500).json({
+        error: 'Authorization failed',
+        success: false
+      });
+    }
+  };
+}
+
+/**
+ * Allow only users whose system role is one of the given roles
+ * @param {...string} roles Allowed roles
+ */
+function requireRole(...roles) {
+  return authorize((role) => roles.includes(role), `role:${roles.join('|')}`);
+}
+
+/**
+ * Allow only users whose system role grants every given permission
+ * @param {...string} permissions Required permissions
+ */
+function requirePermission(...permissions) {
+  return authorize(
+    (role) => permissions.every((permission) => hasPermission(role, permission)),
+    `permission:${permissions.join(',')}`
+  );
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission,
+  clearRoleCache,
+  getSystemUserRole,
+  attachSystemUser,
+  requireRole,
+  requirePermission
+};
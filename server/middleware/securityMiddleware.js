@@ -2,26 +2,139 @@
 // Security middleware based on original WordPress plugin functionality
 
 const rateLimit = require('express-rate-limit');
+const jwt = require('jsonwebtoken');
+const { getRateLimitStore, toExpressRateLimitStore } = require('./rateLimitStore');
+const { createLogger } = require('../logger');
+const { recordAuditEntries, isValidAuditEntry } = require('../audit');
+
+const log = createLogger({ component: 'security' });
+
+/**
+ * Identify the account behind a request for per-account keys
+ * Uses req.user (after authMiddleware) or req.tokenClaims (set by a handler once the token
+ * signature is verified), else body.email. With unverified, the claims of the posted
+ * access_token are decoded WITHOUT verification - only for looking up an existing lock,
+ * never for counting, or anyone could lock a victim out with a forged token.
+ * @param {Object} [options] { unverified }
+ * @returns {Object} { id, email } (either may be null)
+ */
+function getRequestIdentity(req, { unverified = false } = {}) {
+  if (req.user && req.user.id) {
+    return { id: req.user.id, email: req.user.email || null };
+  }
+
+  const claims = req.tokenClaims;
+  if (claims && typeof claims.sub === 'string') {
+    return { id: claims.sub, email: typeof claims.email === 'string' ? claims.email.toLowerCase() : null };
+  }
+
+  const body = req.body || {};
+  if (unverified && typeof body.access_token === 'string') {
+    const decoded = jwt.decode(body.access_token);
+    if (decoded && typeof decoded === 'object') {
+      return {
+        id: typeof decoded.sub === 'string' ? decoded.sub : null,
+        email: typeof decoded.email === 'string' ? decoded.email.toLowerCase() : null
+      };
+    }
+  }
+
+  return {
+    id: null,
+    email: typeof body.email === 'string' ? body.email.trim().toLowerCase() : null
+  };
+}
+
+/**
+ * Key strategies for rate limiting and lockout
+ * Each takes (req, options) with options passed to getRequestIdentity, and returns
+ * a key string, or null when the request carries no such identity
+ */
+const RATE_LIMIT_KEY_STRATEGIES = {
+  ip: (req) => req.ip,
+  'ip-ua': (req) => `${req.ip}-${req.get('User-Agent')}`,
+  user: (req, options) => {
+    const { id } = getRequestIdentity(req, options);
+    return id ? `user:${id}` : null;
+  },
+  email: (req, options) => {
+    const { email } = getRequestIdentity(req, options);
+    return email ? `email:${email}` : null;
+  }
+};
+
+/**
+ * Build a key function from a strategy name, list of names (combined key) or custom function
+ */
+function buildKeyResolver(keyBy) {
+  if (typeof keyBy === 'function') {
+    return keyBy;
+  }
+
+  const names = Array.isArray(keyBy) ? keyBy : [keyBy];
+  names.forEach((name) => {
+    if (!RATE_LIMIT_KEY_STRATEGIES[name]) {
+      throw new Error(`Unknown rate limit key strategy: ${name}`);
+    }
+  });
+
+  return (req, options) => {
+    const parts = names.map((name) => RATE_LIMIT_KEY_STRATEGIES[name](req, options));
+    return parts.some((part) => part === null || part === undefined) ? null : parts.join('|');
+  };
+}
+
+let limiterCount = 0;
 
 /**
  * Rate limiting middleware based on original plugin's rate limiting
+ * @param {Object} options
+ * @param {number} options.max Maximum requests per window
+ * @param {number} [options.windowSeconds] Window length in seconds
+ * @param {number} [options.windowMs] Window length in milliseconds (alternative to windowSeconds)
+ * @param {string|string[]|Function} [options.keyBy='ip'] 'ip', 'ip-ua', 'user', 'email', a list (combined) or function
+ * @param {Object} [options.store] Counter store (defaults to getRateLimitStore())
+ * @param {string} [options.name] Counter namespace, keeps limiters sharing a store apart
+ *
+ * The legacy form rateLimitMiddleware(maxRequests, windowMinutes) is still accepted.
  */
-function rateLimitMiddleware(maxRequests, windowMinutes) {
+function rateLimitMiddleware(options, legacyWindowMinutes) {
+  if (typeof options === 'number') {
+    log.warn('rateLimitMiddleware(max, windowMinutes) is deprecated, use rateLimitMiddleware({ max, windowSeconds })');
+    options = { max: options, windowMs: legacyWindowMinutes * 60 * 1000 };
+  }
+
+  const {
+    max,
+    windowSeconds,
+    windowMs = windowSeconds * 1000,
+    keyBy = 'ip',
+    store = null,
+    name = `limiter${++limiterCount}`
+  } = options;
+
+  if (!Number.isFinite(windowMs) || windowMs <= 0) {
+    throw new Error('rateLimitMiddleware requires windowSeconds or windowMs');
+  }
+
+  const resolveKey = buildKeyResolver(keyBy);
+
   return rateLimit({
-    windowMs: windowMinutes * 60 * 1000, // Convert minutes to milliseconds
-    max: maxRequests,
+    windowMs,
+    max,
     message: {
       error: 'Too many requests. Please try again later.',
       status: 429
     },
     standardHeaders: true,
     legacyHeaders: false,
+    store: toExpressRateLimitStore(store, `${name}:`),
     keyGenerator: (req) => {
-      // Use IP + user agent for more precise rate limiting (like original plugin)
-      return `${req.ip}-${req.get('User-Agent')}`;
+      // Fall back to the client IP when the strategy has no identity for this request
+      return resolveKey(req) || `ip:${req.ip}`;
     },
     handler: (req, res) => {
-      console.log(`Rate limit exceeded for IP: ${req.ip}, User-Agent: ${req.get('User-Agent')}`);
+      log.warn('Rate limit exceeded', { limiter: name, ip: req.ip, path: req.path });
       res.status(429).json({
         error: 'Too many requests. Please try again later.',
         retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
@@ -30,8 +143,98 @@ function rateLimitMiddleware(maxRequests, windowMinutes) {
   });
 }
 
+/**
+ * Progressive per-account lockout after repeated failed requests
+ * Every 4xx response (except 429) counts as a failure for the request's account; a 2xx clears them.
+ * After maxFailures the account is locked for baseLockSeconds, doubling on each further lock.
+ * Failures count against the account only when its identity is verified (req.user, or
+ * req.tokenClaims set by the handler); other failures count against the client IP.
+ * @param {Object} [options]
+ * @param {number} [options.maxFailures=5] Failures within the window that trigger a lock
+ * @param {number} [options.windowSeconds=900] Failure counting window in seconds
+ * @param {number} [options.baseLockSeconds=60] First lock duration in seconds
+ * @param {number} [options.maxLockSeconds=3600] Longest lock duration in seconds
+ * @param {number} [options.levelResetSeconds=86400] Lock escalation is forgotten after this many seconds
+ * @param {string|string[]|Function} [options.keyBy='user'] Account key strategy
+ * @param {Object} [options.store] Counter store (defaults to getRateLimitStore())
+ * @param {string} [options.name='lockout'] Counter namespace
+ */
+function accountLockout({
+  maxFailures = 5,
+  windowSeconds = 15 * 60,
+  baseLockSeconds = 60,
+  maxLockSeconds = 60 * 60,
+  levelResetSeconds = 24 * 60 * 60,
+  keyBy = 'user',
+  store = null,
+  name = 'lockout'
+} = {}) {
+  const resolveKey = buildKeyResolver(keyBy);
+  const resolveStore = () => store || getRateLimitStore();
+
+  async function recordResult(accountKey, statusCode) {
+    const counterStore = resolveStore();
+    const failuresKey = `${name}:failures:${accountKey}`;
+
+    if (statusCode >= 200 && statusCode < 300) {
+      await counterStore.reset(failuresKey);
+      return;
+    }
+
+    if (statusCode < 400 || statusCode >= 500 || statusCode === 429) {
+      return;
+    }
+
+    const failures = await counterStore.increment(failuresKey, windowSeconds * 1000);
+    if (failures.totalHits < maxFailures) {
+      return;
+    }
+
+    const level = await counterStore.increment(`${name}:level:${accountKey}`, levelResetSeconds * 1000);
+    const lockSeconds = Math.min(baseLockSeconds * Math.pow(2, level.totalHits - 1), maxLockSeconds);
+
+    await counterStore.increment(`${name}:locked:${accountKey}`, lockSeconds * 1000);
+    await counterStore.reset(failuresKey);
+
+    log.warn('Account locked', { limiter: name, lock_seconds: lockSeconds, failures: failures.totalHits });
+  }
+
+  return async (req, res, next) => {
+    const ipKey = `ip:${req.ip}`;
+    // A lock is looked up under the claimed account too: seeing one does not create one
+    const lockKeys = [...new Set([resolveKey(req, { unverified: true }), ipKey].filter(Boolean))];
+
+    try {
+      const locks = await Promise.all(lockKeys.map((key) => resolveStore().get(`${name}:locked:${key}`)));
+      const lock = locks.find(Boolean);
+      if (lock) {
+        const retryAfter = Math.max(Math.ceil((lock.resetTime.getTime() - Date.now()) / 1000), 1);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Too many failed attempts. Account temporarily locked.',
+          retryAfter
+        });
+      }
+    } catch (err) {
+      log.error('Account lockout check error', { error: err.message });
+    }
+
+    res.on('finish', () => {
+      // Resolved after the handler, which may have verified the token by now
+      const accountKey = resolveKey(req) || ipKey;
+      recordResult(accountKey, res.statusCode).catch((err) => {
+        log.error('Account lockout recording error', { error: err.message });
+      });
+    });
+
+    next();
+  };
+}
+
 /**
  * CSRF Protection middleware (based on original plugin's CSRF protection)
+ * Accepts requests from SITE_URL (or this host when SITE_URL is unset)
+ * and from the allowed origins of active sites in the sites registry
  */
 function csrfProtection(req, res, next) {
   // Skip CSRF for GET, HEAD, OPTIONS requests (like original plugin)
@@ -49,19 +252,18 @@ function csrfProtection(req, res, next) {
     try {
       requestHost = new URL(origin).host;
     } catch (e) {
-      console.error('Invalid Origin header:', origin);
+      log.warn('Invalid Origin header', { length: origin.length });
     }
   } else if (referer) {
     try {
       requestHost = new URL(referer).host;
     } catch (e) {
-      console.error('Invalid Referer header:', referer);
+      log.warn('Invalid Referer header', { length: referer.length });
     }
   }
 
-  // MUST have Origin or Referer, and it MUST exactly match our host (like original plugin)
-  if (!requestHost || requestHost !== allowedHost) {
-    console.error('CSRF protection failed:', {
+  const deny = () => {
+    log.warn('CSRF protection failed', {
       requestHost,
       allowedHost,
       origin,
@@ -73,9 +275,25 @@ function csrfProtection(req, res, next) {
       error: 'Invalid request origin',
       details: 'CSRF protection: Origin/Referer header validation failed'
     });
+  };
+
+  // MUST have Origin or Referer (like original plugin)
+  if (!requestHost) {
+    return deny();
   }
 
-  next();
+  if (requestHost === allowedHost) {
+    return next();
+  }
+
+  // Otherwise the origin must belong to a registered site (loaded lazily: the registry needs Supabase)
+  const { resolveRequestSite } = require('../sites');
+  resolveRequestSite(req)
+    .then((site) => (site ? next() : deny()))
+    .catch((err) => {
+      log.error('Site registry lookup error', { error: err.message });
+      deny();
+    });
 }
 
 /**
@@ -94,13 +312,13 @@ function validateEmail(email) {
   // Basic email format validation (like original plugin)
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   if (!emailRegex.test(cleanEmail)) {
-    console.error('Invalid email format:', cleanEmail);
+    log.debug('Invalid email format', { length: cleanEmail.length });
     return false;
   }
 
   // Additional check: Max length 254 characters (RFC 5321) - like original plugin
   if (cleanEmail.length > 254) {
-    console.error('Email too long:', cleanEmail.length, 'characters');
+    log.debug('Email too long', { length: cleanEmail.length });
     return false;
   }
 
@@ -116,7 +334,7 @@ function validateEmail(email) {
 
   for (const pattern of injectionPatterns) {
     if (pattern.test(cleanEmail)) {
-      console.error('Email contains potential injection:', cleanEmail);
+      log.warn('Email contains potential injection', { length: cleanEmail.length });
       return false;
     }
   }
@@ -142,7 +360,7 @@ function validateUuid(uuid) {
   const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
 
   if (!uuidPattern.test(cleanUuid)) {
-    console.error('Invalid UUID format:', cleanUuid);
+    log.debug('Invalid UUID format', { length: cleanUuid.length });
     return false;
   }
 
@@ -164,19 +382,19 @@ function validateUrlPath(path) {
 
   // Must start with / (like original plugin)
   if (!cleanPath.startsWith('/')) {
-    console.error('Invalid URL path (must start with /):', cleanPath);
+    log.debug('Invalid URL path (must start with /)', { length: cleanPath.length });
     return false;
   }
 
   // Block path traversal attempts (like original plugin)
   if (cleanPath.includes('..')) {
-    console.error('Path traversal attempt detected:', cleanPath);
+    log.warn('Path traversal attempt detected', { length: cleanPath.length });
     return false;
   }
 
   // Block protocol attempts (http://, https://, javascript:, etc.) - like original plugin
   if (/^[a-z]+:/i.test(cleanPath)) {
-    console.error('Protocol in path not allowed:', cleanPath);
+    log.warn('Protocol in path not allowed', { length: cleanPath.length });
     return false;
   }
 
@@ -194,14 +412,30 @@ function validateUrlPath(path) {
 
   for (const pattern of dangerousPatterns) {
     if (pattern.test(cleanPath)) {
-      console.error('URL path contains dangerous pattern:', cleanPath);
+      log.warn('URL path contains dangerous pattern', { length: cleanPath.length });
       return false;
     }
   }
 
   // Max length check (reasonable URL path) - like original plugin
   if (cleanPath.length > 2000) {
-    console.error('URL path too long:', cleanPath.length, 'characters');
+    log.debug('URL path too long', { length: cleanPath.length });
+    return false;
+  }
+
+  return cleanPath;
+}
+
+/**
+ * Validate a post-login return URL: a local path only, so it cannot redirect to another host
+ * @param {string} url Return URL sent by the client
+ * @returns {string|false} Sanitized path or false if invalid
+ */
+function validateReturnUrl(url) {
+  const cleanPath = validateUrlPath(url);
+
+  // "//host" and "/\host" are protocol-relative URLs in browsers
+  if (!cleanPath || /^\/[\/\\]/.test(cleanPath)) {
     return false;
   }
 
@@ -224,7 +458,7 @@ function validateSiteUrl(url) {
     
     // Must be http or https (like original plugin)
     if (!['http:', 'https:'].includes(urlObj.protocol)) {
-      console.error('Site URL must use http or https protocol:', url);
+      log.debug('Site URL must use http or https protocol', { protocol: urlObj.protocol });
       return false;
     }
 
@@ -241,18 +475,64 @@ function validateSiteUrl(url) {
     const fullUrl = urlObj.toString();
     for (const pattern of dangerousPatterns) {
       if (pattern.test(fullUrl)) {
-        console.error('Site URL contains dangerous pattern:', fullUrl);
+        log.warn('Site URL contains dangerous pattern', { length: fullUrl.length });
         return false;
       }
     }
 
     return fullUrl;
   } catch (e) {
-    console.error('Invalid site URL format:', url, e.message);
+    log.debug('Invalid site URL format', { error: e.message });
     return false;
   }
 }
 
+/**
+ * Validate username (letters, digits, dot, underscore, dash; 3-32 characters)
+ * @param {string} username Username to validate
+ * @returns {string|false} Sanitized username or false if invalid
+ */
+function validateUsername(username) {
+  if (!username || typeof username !== 'string') {
+    return false;
+  }
+
+  const cleanUsername = username.trim();
+
+  if (!/^[a-zA-Z0-9._-]{3,32}$/.test(cleanUsername)) {
+    log.debug('Invalid username format', { length: cleanUsername.length });
+    return false;
+  }
+
+  return cleanUsername;
+}
+
+/**
+ * Validate display name (free text without markup or control characters, max 100 characters)
+ * @param {string} displayName Display name to validate
+ * @returns {string|false} Sanitized display name or false if invalid
+ */
+function validateDisplayName(displayName) {
+  if (!displayName || typeof displayName !== 'string') {
+    return false;
+  }
+
+  const cleanName = displayName.trim();
+
+  if (cleanName.length === 0 || cleanName.length > 100) {
+    log.debug('Invalid display name length', { length: cleanName.length });
+    return false;
+  }
+
+  // Block markup and control characters
+  if (/[<>\u0000-\u001f\u007f]/.test(cleanName)) {
+    log.debug('Display name contains forbidden characters');
+    return false;
+  }
+
+  return cleanName;
+}
+
 /**
  * Input sanitization middleware (based on original plugin's input validation)
  */
@@ -312,21 +592,34 @@ function securityHeaders(req, res, next) {
 
 /**
  * Audit logging middleware (based on original plugin's audit logging)
+ * Logs each request and gives handlers req.audit({ action, targetType, targetId, before, after, metadata })
+ * to record an admin action; the entries are stored in admin_audit_log with the response status
+ * once the response is sent. Mount it after authMiddleware so the actor is known.
  */
 function auditLog(req, res, next) {
   const startTime = Date.now();
-  const clientIp = req.ip || req.connection.remoteAddress;
-  const userAgent = req.get('User-Agent') || 'unknown';
+  const audit = log.child({ audit: true, method: req.method, path: req.path });
+  const entries = [];
+
+  audit.info('Request received', {
+    ip: req.ip || req.connection.remoteAddress,
+    user_agent: req.get('User-Agent') || 'unknown'
+  });
 
-  // Log request details
-  console.log(`[AUDIT] ${req.method} ${req.path} - IP: ${clientIp}, User-Agent: ${userAgent}`);
+  req.audit = (entry) => {
+    if (!isValidAuditEntry(entry)) {
+      audit.error('Invalid audit entry', { action: entry && entry.action });
+      return;
+    }
+    entries.push(entry);
+  };
 
   // Override res.end to log response details
   const originalEnd = res.end;
-  res.end = function(chunk, encoding) {
-    const duration = Date.now() - startTime;
-    console.log(`[AUDIT] ${req.method} ${req.path} - Status: ${res.statusCode}, Duration: ${duration}ms`);
-    originalEnd.call(this, chunk, encoding);
+  res.end = function(...args) {
+    audit.info('Request completed', { status: res.statusCode, duration_ms: Date.now() - startTime });
+    recordAuditEntries(req, entries, res.statusCode);
+    return originalEnd.apply(this, args);
   };
 
   next();
@@ -334,11 +627,16 @@ function auditLog(req, res, next) {
 
 module.exports = {
   rateLimitMiddleware,
+  accountLockout,
+  RATE_LIMIT_KEY_STRATEGIES,
   csrfProtection,
   validateEmail,
   validateUuid,
   validateUrlPath,
+  validateReturnUrl,
   validateSiteUrl,
+  validateUsername,
+  validateDisplayName,
   sanitizeInput,
   securityHeaders,
   auditLog
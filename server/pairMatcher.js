@@ -0,0 +1,444 @@
+// supabase-auth-module/server/pairMatcher.js
+// Matching of registration URLs against registration pairs (exact, prefix, glob, regex)
+
+const { validateUrlPath, validateSiteUrl } = require('./middleware/securityMiddleware');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'pair-matcher' });
+
+const MATCH_MODES = ['exact', 'prefix', 'glob', 'regex'];
+
+// Higher rank = more specific mode, used to break priority ties
+const MATCH_MODE_RANK = {
+  exact: 3,
+  glob: 2,
+  prefix: 1,
+  regex: 0
+};
+
+const MAX_REGEX_LENGTH = 500;
+// Regex patterns run against at most this many characters of the path (backtracking grows with it)
+const MAX_REGEX_INPUT_LENGTH = 512;
+// Variable quantifiers (?, *, +, {n,}, {n,m}) allowed in one regex pattern; two of them keep
+// backtracking quadratic in the path length, three already take hundreds of milliseconds
+const MAX_REGEX_QUANTIFIERS = 2;
+// Characters tried to decide whether two adjacent quantified atoms can match the same input
+const OVERLAP_PROBES = [...Array.from({ length: 95 }, (_, code) => String.fromCharCode(code + 32)), 'é', 'я'];
+const MAX_QUERY_PARAMS = 10;
+
+// Compiled glob/regex patterns keyed by "<mode>:<pattern>"
+const patternCache = new Map();
+
+/**
+ * Convert a glob pattern to a RegExp
+ * `*` matches within one path segment, `**` matches across segments
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else {
+      source += char.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Read a quantifier at position i: *, +, ?, {n}, {n,}, {n,m} (and a lazy ?)
+ * @returns {Object|null} { length, repeats: can match more than once, variable: match count is not fixed }
+ */
+function readQuantifier(pattern, i) {
+  const char = pattern[i];
+  let length;
+  let min;
+  let max;
+
+  if (char === '*' || char === '+') {
+    length = 1;
+    min = char === '*' ? 0 : 1;
+    max = Infinity;
+  } else if (char === '?') {
+    length = 1;
+    min = 0;
+    max = 1;
+  } else if (char === '{') {
+    const match = pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!match) return null;
+    length = match[0].length;
+    min = Number(match[1]);
+    if (!match[2]) {
+      max = min;
+    } else {
+      max = match[3] === '' ? Infinity : Number(match[3]);
+    }
+  } else {
+    return null;
+  }
+
+  return { length: pattern[i + length] === '?' ? length + 1 : length, repeats: max > 1, variable: max !== min };
+}
+
+/**
+ * Check whether two atoms can match the same character
+ * Atoms without a source (groups) or with a source that does not compile on its own count as overlapping
+ */
+function atomsOverlap(first, second) {
+  if (!first.source || !second.source) {
+    return true;
+  }
+  try {
+    const firstRegex = new RegExp(`^(?:${first.source})$`);
+    const secondRegex = new RegExp(`^(?:${second.source})$`);
+    return OVERLAP_PROBES.some((char) => firstRegex.test(char) && secondRegex.test(char));
+  } catch (e) {
+    return true;
+  }
+}
+
+/**
+ * Check a regex pattern for constructs that can backtrack catastrophically
+ * Rejects backreferences, repeated groups that contain any quantifier or an alternation
+ * (e.g. (a+)+, (a?){30}, (a|aa)*) and more than MAX_REGEX_QUANTIFIERS variable quantifiers.
+ * Two adjacent quantified atoms that can match the same character (.*.*) count one extra.
+ * @returns {string|null} Reason the pattern is unsafe, or null if it is safe
+ */
+function findUnsafeRegexConstruct(pattern) {
+  const stack = [{ quantified: false, alternation: false }];
+  let lastAtom = null;
+  // Quantified atom right before the current one, if nothing came in between
+  let previousQuantified = null;
+  let quantifierCount = 0;
+
+  const atom = (source) => {
+    const next = { quantified: false, alternation: false, source, previous: previousQuantified };
+    previousQuantified = null;
+    return next;
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const frame = stack[stack.length - 1];
+    const quantifier = readQuantifier(pattern, i);
+
+    if (quantifier && lastAtom) {
+      if (quantifier.repeats && (lastAtom.quantified || lastAtom.alternation)) {
+        return lastAtom.quantified ? 'nested quantifier' : 'repeated alternation';
+      }
+      if (quantifier.variable) {
+        quantifierCount += lastAtom.previous && atomsOverlap(lastAtom.previous, lastAtom) ? 2 : 1;
+        if (quantifierCount > MAX_REGEX_QUANTIFIERS) {
+          return 'too many quantifiers';
+        }
+      }
+      frame.quantified = true;
+      i += quantifier.length - 1;
+      previousQuantified = quantifier.variable ? lastAtom : null;
+      lastAtom = null;
+    } else if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) {
+        return 'backreference';
+      }
+      i++;
+      lastAtom = atom(pattern.slice(i - 1, i + 1));
+    } else if (char === '[') {
+      const start = i;
+      i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        if (pattern[i] === '\\') i++;
+        i++;
+      }
+      lastAtom = atom(pattern.slice(start, i + 1));
+    } else if (char === '(') {
+      stack.push({ quantified: false, alternation: false });
+      // Skip the group modifier: ?: ?= ?! ?<= ?<! ?<name>
+      const modifier = pattern.slice(i + 1).match(/^\?(:|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/);
+      if (modifier) {
+        i += modifier[0].length;
+      }
+      previousQuantified = null;
+      lastAtom = null;
+    } else if (char === ')' && stack.length > 1) {
+      const group = stack.pop();
+      // A quantifier inside the group is a quantifier inside every enclosing group too
+      if (group.quantified) {
+        stack[stack.length - 1].quantified = true;
+      }
+      previousQuantified = null;
+      lastAtom = group;
+    } else if (char === '|') {
+      frame.alternation = true;
+      previousQuantified = null;
+      lastAtom = null;
+    } else {
+      lastAtom = atom(/[\w\s]/.test(char) || char === '.' ? char : `\\${char}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get compiled RegExp for a glob or regex pair pattern (cached)
+ * Throws for invalid patterns and for regex patterns that are unsafe to run
+ */
+function compilePattern(mode, pattern) {
+  const cacheKey = `${mode}:${pattern}`;
+  if (!patternCache.has(cacheKey)) {
+    // Patterns saved before the safety check are refused here too
+    const unsafe = mode === 'regex' ? findUnsafeRegexConstruct(pattern) : null;
+    if (unsafe) {
+      throw new Error(`Unsafe regex pattern: ${unsafe}`);
+    }
+    patternCache.set(cacheKey, mode === 'glob' ? globToRegExp(pattern) : new RegExp(pattern));
+  }
+  return patternCache.get(cacheKey);
+}
+
+/**
+ * Check whether a path matches the pair's registration_page_url in the pair's mode
+ */
+function matchesPath(pair, path) {
+  const mode = pair.match_mode || 'exact';
+  const pattern = pair.registration_page_url;
+
+  switch (mode) {
+    case 'exact':
+      return path === pattern;
+    case 'prefix':
+      return path.startsWith(pattern);
+    case 'glob':
+    case 'regex':
+      if (mode === 'regex' && path.length > MAX_REGEX_INPUT_LENGTH) {
+        return false;
+      }
+      try {
+        return compilePattern(mode, pattern).test(path);
+      } catch (e) {
+        log.warn('Invalid registration pair pattern', { pair_id: pair.id, error: e.message });
+        return false;
+      }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether request query parameters satisfy the pair's query_params
+ * A value of "*" only requires the parameter to be present
+ */
+function matchesQueryParams(pair, queryParams) {
+  const required = pair.query_params || {};
+  return Object.keys(required).every((key) => {
+    if (!Object.prototype.hasOwnProperty.call(queryParams, key)) {
+      return false;
+    }
+    return required[key] === '*' || queryParams[key] === required[key];
+  });
+}
+
+/**
+ * Compare two matching pairs, most specific first
+ * Order: priority, number of query params, match mode, pattern length, creation time, id
+ */
+function comparePairs(a, b) {
+  const priorityDiff = (b.priority || 0) - (a.priority || 0);
+  if (priorityDiff !== 0) return priorityDiff;
+
+  const paramsDiff = Object.keys(b.query_params || {}).length - Object.keys(a.query_params || {}).length;
+  if (paramsDiff !== 0) return paramsDiff;
+
+  const modeDiff = MATCH_MODE_RANK[b.match_mode || 'exact'] - MATCH_MODE_RANK[a.match_mode || 'exact'];
+  if (modeDiff !== 0) return modeDiff;
+
+  const lengthDiff = b.registration_page_url.length - a.registration_page_url.length;
+  if (lengthDiff !== 0) return lengthDiff;
+
+  const createdDiff = new Date(a.created_at || 0) - new Date(b.created_at || 0);
+  if (createdDiff !== 0) return createdDiff;
+
+  return String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Pick the most specific pair matching a registration path and query
+ * @param {Object[]} pairs Candidate pairs (already scoped to the site)
+ * @param {string} path Registration page path
+ * @param {Object} [queryParams] Registration page query parameters
+ * @returns {Object|null} Matching pair or null
+ */
+function selectBestPair(pairs, path, queryParams = {}) {
+  const candidates = (pairs || []).filter(
+    (pair) => matchesPath(pair, path) && matchesQueryParams(pair, queryParams)
+  );
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return candidates.sort(comparePairs)[0];
+}
+
+/**
+ * Validate query_params for a pair: flat object of string values
+ * @param {*} queryParams Raw value from request body
+ * @returns {Object|false} Sanitized object ({} when empty) or false if invalid
+ */
+function validateQueryParams(queryParams) {
+  if (queryParams === undefined || queryParams === null || queryParams === '') {
+    return {};
+  }
+
+  if (typeof queryParams !== 'object' || Array.isArray(queryParams)) {
+    log.warn('Invalid query_params: must be an object');
+    return false;
+  }
+
+  const keys = Object.keys(queryParams);
+  if (keys.length > MAX_QUERY_PARAMS) {
+    log.warn('Too many query_params', { count: keys.length });
+    return false;
+  }
+
+  const clean = {};
+  for (const key of keys) {
+    const value = queryParams[key];
+    if (!/^[A-Za-z0-9_.-]{1,64}$/.test(key) || typeof value !== 'string' ||
+        value.length === 0 || value.length > 200 || /[<>\r\n]/.test(value)) {
+      log.warn('Invalid query_params entry', { length: String(key).length });
+      return false;
+    }
+    clean[key] = value.trim();
+  }
+
+  return clean;
+}
+
+/**
+ * Validate a registration pattern for the given match mode
+ * @param {string} mode Match mode
+ * @param {string} pattern Registration page URL / pattern
+ * @returns {string|false} Sanitized pattern or false if invalid
+ */
+function validatePairPattern(mode, pattern) {
+  if (!MATCH_MODES.includes(mode)) {
+    log.warn('Invalid match mode', { mode: String(mode).slice(0, 50) });
+    return false;
+  }
+
+  if (mode !== 'regex') {
+    return validateUrlPath(pattern);
+  }
+
+  if (!pattern || typeof pattern !== 'string' || pattern.length > MAX_REGEX_LENGTH) {
+    log.warn('Invalid regex pattern length');
+    return false;
+  }
+
+  try {
+    new RegExp(pattern);
+  } catch (e) {
+    log.error('Invalid regex pattern', { error: e.message });
+    return false;
+  }
+
+  const unsafe = findUnsafeRegexConstruct(pattern);
+  if (unsafe) {
+    log.warn('Unsafe regex pattern', { reason: unsafe });
+    return false;
+  }
+
+  return pattern;
+}
+
+/**
+ * Validate pair priority (integer between -1000 and 1000, default 0)
+ * @returns {number|false}
+ */
+function validatePriority(priority) {
+  if (priority === undefined || priority === null || priority === '') {
+    return 0;
+  }
+
+  const value = Number(priority);
+  if (!Number.isInteger(value) || value < -1000 || value > 1000) {
+    log.warn('Invalid pair priority', { priority: String(priority).slice(0, 50) });
+    return false;
+  }
+
+  return value;
+}
+
+/**
+ * Validate registration pair fields from a request body
+ * @param {Object} body Request body or import row
+ * @param {string[]} [errors] Receives the names of invalid fields
+ * @returns {Object|null} Row fields ready for insert/update, or null if invalid
+ */
+function validatePairInput(body, errors = []) {
+  const {
+    site_url,
+    registration_page_url,
+    thankyou_page_url,
+    welcome_back_page_url,
+    registration_page_id,
+    thankyou_page_id,
+    match_mode = 'exact',
+    priority,
+    query_params
+  } = body;
+
+  const validatedSiteUrl = validateSiteUrl(site_url);
+  const validatedRegUrl = validatePairPattern(match_mode, registration_page_url);
+  const validatedTyUrl = validateUrlPath(thankyou_page_url);
+  const validatedWelcomeBackUrl = welcome_back_page_url ? validateUrlPath(welcome_back_page_url) : null;
+  const validatedPriority = validatePriority(priority);
+  const validatedQueryParams = validateQueryParams(query_params);
+
+  const invalidFields = [
+    ['site_url', !validatedSiteUrl],
+    ['match_mode', !MATCH_MODES.includes(match_mode)],
+    ['registration_page_url', MATCH_MODES.includes(match_mode) && !validatedRegUrl],
+    ['thankyou_page_url', !validatedTyUrl],
+    ['welcome_back_page_url', validatedWelcomeBackUrl === false],
+    ['priority', validatedPriority === false],
+    ['query_params', validatedQueryParams === false]
+  ].filter(([, invalid]) => invalid).map(([field]) => field);
+
+  if (invalidFields.length > 0) {
+    errors.push(...invalidFields);
+    return null;
+  }
+
+  return {
+    site_url: validatedSiteUrl,
+    registration_page_url: validatedRegUrl,
+    thankyou_page_url: validatedTyUrl,
+    welcome_back_page_url: validatedWelcomeBackUrl,
+    registration_page_id: registration_page_id || null,
+    thankyou_page_id: thankyou_page_id || null,
+    match_mode,
+    priority: validatedPriority,
+    query_params: validatedQueryParams
+  };
+}
+
+module.exports = {
+  MATCH_MODES,
+  MAX_REGEX_INPUT_LENGTH,
+  findUnsafeRegexConstruct,
+  selectBestPair,
+  matchesPath,
+  matchesQueryParams,
+  validatePairPattern,
+  validateQueryParams,
+  validatePriority,
+  validatePairInput
+};
@@ -0,0 +1,426 @@
+// supabase-auth-module/server/privacy.js
+// GDPR: personal data export and account deletion with a confirmation step and grace period
+
+const crypto = require('crypto');
+const supabase = require('../utils/supabaseClient');
+const { hashToken } = require('./sessions');
+const { removeAvatar } = require('./profile');
+const { emitWebhookEvent } = require('./webhooks');
+const { clearRoleCache } = require('./middleware/roleMiddleware');
+const { AUDIT_COLUMNS } = require('./audit');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'privacy' });
+
+const DEFAULT_DELETION_GRACE_DAYS = 30;
+const CONFIRMATION_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const OPEN_DELETION_STATUSES = ['pending', 'scheduled'];
+
+// Columns that never leave the server, even in the user's own export
+const SESSION_EXPORT_COLUMNS = 'id, supabase_session_id, device, ip_address, user_agent, created_at, last_seen_at, refreshed_at, revoked_at, revoked_reason';
+const DELETION_REQUEST_COLUMNS = 'id, user_id, system_user_id, email, status, requested_by, scheduled_for, confirmation_expires_at, confirmed_at, cancelled_at, completed_at, last_error, created_at, updated_at';
+const WEBHOOK_DELIVERY_EXPORT_COLUMNS = 'id, event_type, payload, status, attempts, delivered_at, created_at';
+
+// Where webhook payloads (emitWebhookEvent puts the event under payload.data) hold a user's ID or email
+const WEBHOOK_USER_ID_PATHS = ['payload->data->>supabase_user_id', 'payload->data->registration->>user_id'];
+const WEBHOOK_EMAIL_PATHS = ['payload->data->>email', 'payload->data->registration->>user_email'];
+
+function getDeletionGraceDays() {
+  const days = parseInt(process.env.DELETION_GRACE_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_DELETION_GRACE_DAYS;
+}
+
+async function selectRows(table, columns, column, value) {
+  const { data, error } = await supabase
+    .from(table)
+    .select(columns)
+    .eq(column, value)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`${table}: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Rows matching any of several (column, value) filters, without duplicates
+ */
+async function selectRowsMatchingAny(table, columns, filters) {
+  const results = await Promise.all(filters.map(([column, value]) => selectRows(table, columns, column, value)));
+  const rows = new Map();
+  results.flat().forEach((row) => rows.set(row.id, row));
+  return [...rows.values()].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+/**
+ * Collect every stored record about a user
+ * @param {string} supabaseUserId Supabase user ID
+ * @returns {Promise<Object>} { success, export?, error? }
+ */
+async function buildUserExport(supabaseUserId) {
+  try {
+    const { data: authData, error: authError } = await supabase.auth.admin.getUserById(supabaseUserId);
+    if (authError) {
+      log.error('Export Supabase user fetch error', { error: authError.message });
+    }
+    const authUser = authError ? null : authData.user;
+
+    const [systemUsers, authEvents, registrations, sessions, consents, deletionRequests] = await Promise.all([
+      selectRows('system_users', '*', 'supabase_user_id', supabaseUserId),
+      selectRows('auth_events', '*', 'user_id', supabaseUserId),
+      selectRows('wp_user_registrations', '*', 'user_id', supabaseUserId),
+      selectRows('sessions', SESSION_EXPORT_COLUMNS, 'user_id', supabaseUserId),
+      selectRows('consent_records', '*', 'user_id', supabaseUserId),
+      selectRows('deletion_requests', DELETION_REQUEST_COLUMNS, 'user_id', supabaseUserId)
+    ]);
+
+    const webhookDeliveries = await selectRowsMatchingAny('webhook_deliveries', WEBHOOK_DELIVERY_EXPORT_COLUMNS,
+      WEBHOOK_USER_ID_PATHS.map((path) => [path, supabaseUserId]));
+    const auditEntries = await selectRowsMatchingAny('admin_audit_log', AUDIT_COLUMNS, [
+      ['actor_id', supabaseUserId],
+      ...systemUsers.map((systemUser) => ['target_id', systemUser.id])
+    ]);
+
+    return {
+      success: true,
+      export: {
+        format: 'supabase-auth-module/user-export',
+        version: 1,
+        generated_at: new Date().toISOString(),
+        supabase_user: authUser ? {
+          id: authUser.id,
+          email: authUser.email,
+          phone: authUser.phone || null,
+          created_at: authUser.created_at,
+          email_confirmed_at: authUser.email_confirmed_at || null,
+          last_sign_in_at: authUser.last_sign_in_at || null,
+          user_metadata: authUser.user_metadata || {},
+          identities: (authUser.identities || []).map((identity) => ({
+            provider: identity.provider,
+            identity_data: identity.identity_data || {},
+            created_at: identity.created_at,
+            last_sign_in_at: identity.last_sign_in_at
+          }))
+        } : null,
+        system_user: systemUsers[0] || null,
+        auth_events: authEvents,
+        registrations,
+        sessions,
+        consents,
+        deletion_requests: deletionRequests,
+        webhook_deliveries: webhookDeliveries,
+        // Admin actions taken by the user or on the user's account
+        admin_audit_log: auditEntries.filter((entry) =>
+          entry.actor_id === supabaseUserId || entry.target_type === 'user')
+      }
+    };
+  } catch (err) {
+    log.error('User export error', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get the open (pending or scheduled) deletion request of a user
+ * @returns {Promise<Object|null>}
+ */
+async function findOpenDeletionRequest(supabaseUserId) {
+  const { data, error } = await supabase
+    .from('deletion_requests')
+    .select(DELETION_REQUEST_COLUMNS)
+    .eq('user_id', supabaseUserId)
+    .in('status', OPEN_DELETION_STATUSES)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data && data.length > 0 ? data[0] : null;
+}
+
+async function updateDeletionRequest(requestId, updates) {
+  const { data, error } = await supabase
+    .from('deletion_requests')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', requestId)
+    .select(DELETION_REQUEST_COLUMNS);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Open a deletion request
+ * Users must confirm it with the returned token; admin requests (requestedBy) are scheduled at once
+ * @param {Object} user { supabaseUserId, systemUserId, email }
+ * @param {Object} [options] { requestedBy: admin's Supabase ID, graceDays }
+ * @returns {Promise<Object>} { success, request?, confirmationToken?, code?, error? }
+ */
+async function requestDeletion({ supabaseUserId, systemUserId = null, email = null }, { requestedBy = null, graceDays = getDeletionGraceDays() } = {}) {
+  try {
+    const open = await findOpenDeletionRequest(supabaseUserId);
+    if (open && open.status === 'scheduled') {
+      return { success: false, code: 'already_scheduled', request: open, error: 'Deletion already scheduled' };
+    }
+    // A new request replaces an unconfirmed one
+    if (open) {
+      await updateDeletionRequest(open.id, { status: 'cancelled', cancelled_at: new Date().toISOString() });
+    }
+
+    const now = Date.now();
+    const confirmationToken = requestedBy ? null : crypto.randomBytes(24).toString('hex');
+    const row = {
+      user_id: supabaseUserId,
+      system_user_id: systemUserId,
+      email,
+      requested_by: requestedBy,
+      status: requestedBy ? 'scheduled' : 'pending',
+      confirmation_token_hash: confirmationToken ? hashToken(confirmationToken) : null,
+      confirmation_expires_at: confirmationToken ? new Date(now + CONFIRMATION_TTL_MS).toISOString() : null,
+      confirmed_at: requestedBy ? new Date(now).toISOString() : null,
+      scheduled_for: requestedBy ? new Date(now + graceDays * 24 * 60 * 60 * 1000).toISOString() : null
+    };
+
+    const { data, error } = await supabase
+      .from('deletion_requests')
+      .insert([row])
+      .select(DELETION_REQUEST_COLUMNS);
+
+    if (error) {
+      log.error('Deletion request error', { error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, request: data[0], confirmationToken };
+  } catch (err) {
+    log.error('Deletion request exception', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Confirm a pending deletion request; the account is erased after the grace period
+ * @returns {Promise<Object>} { success, request?, code?, error? }
+ */
+async function confirmDeletion(supabaseUserId, confirmationToken) {
+  try {
+    const open = await findOpenDeletionRequest(supabaseUserId);
+    if (!open || open.status !== 'pending') {
+      return { success: false, code: 'not_found', error: 'No deletion request awaiting confirmation' };
+    }
+
+    const { data, error } = await supabase
+      .from('deletion_requests')
+      .select('confirmation_token_hash')
+      .eq('id', open.id)
+      .limit(1);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const expected = data && data.length > 0 ? data[0].confirmation_token_hash : null;
+    const given = typeof confirmationToken === 'string' ? hashToken(confirmationToken) : '';
+    if (!expected || given.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) {
+      return { success: false, code: 'invalid_token', error: 'Invalid confirmation token' };
+    }
+    if (new Date(open.confirmation_expires_at).getTime() < Date.now()) {
+      return { success: false, code: 'token_expired', error: 'Confirmation token expired, request deletion again' };
+    }
+
+    const now = Date.now();
+    const request = await updateDeletionRequest(open.id, {
+      status: 'scheduled',
+      confirmation_token_hash: null,
+      confirmed_at: new Date(now).toISOString(),
+      scheduled_for: new Date(now + getDeletionGraceDays() * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    return { success: true, request };
+  } catch (err) {
+    log.error('Deletion confirmation exception', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Cancel the open deletion request of a user (during the grace period)
+ * @returns {Promise<Object>} { success, request?, code?, error? }
+ */
+async function cancelDeletion(supabaseUserId) {
+  try {
+    const open = await findOpenDeletionRequest(supabaseUserId);
+    if (!open) {
+      return { success: false, code: 'not_found', error: 'No open deletion request' };
+    }
+
+    const request = await updateDeletionRequest(open.id, {
+      status: 'cancelled',
+      confirmation_token_hash: null,
+      cancelled_at: new Date().toISOString()
+    });
+
+    return { success: true, request };
+  } catch (err) {
+    log.error('Deletion cancel exception', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+async function runStep(name, request) {
+  const { error } = await request;
+  if (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Erase a user: delete the Supabase auth user, sessions, consents, avatar, webhook deliveries and system user;
+ * anonymize auth_events, wp_user_registrations and admin_audit_log so statistics and the audit trail stay intact
+ * Every step can run again, so a failed erasure is simply retried
+ * @param {Object} request Deletion request row
+ * @returns {Promise<Object>} { success, error? }
+ */
+async function eraseUser(request) {
+  const supabaseUserId = request.user_id;
+
+  try {
+    // The auth user goes first: otherwise a sign-in during the erasure would recreate the system user
+    const { error: authError } = await supabase.auth.admin.deleteUser(supabaseUserId);
+    if (authError && authError.status !== 404) {
+      throw new Error(`auth user: ${authError.message}`);
+    }
+
+    const { data: systemUsers, error: findError } = await supabase
+      .from('system_users')
+      .select('id, email, avatar_url')
+      .eq('supabase_user_id', supabaseUserId);
+    if (findError) {
+      throw new Error(`system_users: ${findError.message}`);
+    }
+
+    for (const systemUser of systemUsers || []) {
+      if (systemUser.avatar_url) {
+        const removal = await removeAvatar(systemUser.id);
+        if (!removal.success) {
+          throw new Error(`avatar: ${removal.error}`);
+        }
+      }
+    }
+
+    // One random ID replaces the user in the kept rows, so new/returning counts stay correct
+    const anonymousId = crypto.randomUUID();
+
+    await runStep('auth_events', supabase
+      .from('auth_events')
+      .update({ user_id: anonymousId, ip_address: null, user_agent: null, metadata: null })
+      .eq('user_id', supabaseUserId));
+    await runStep('wp_user_registrations', supabase
+      .from('wp_user_registrations')
+      .update({ user_id: anonymousId, user_email: `deleted-${anonymousId}@anonymized.invalid` })
+      .eq('user_id', supabaseUserId));
+    // Audit entries stay, without the personal data: the actor keeps only the ID,
+    // entries about the user lose the field values
+    await runStep('admin_audit_log', supabase
+      .from('admin_audit_log')
+      .update({ actor_email: null, ip_address: null, user_agent: null })
+      .eq('actor_id', supabaseUserId));
+    if (systemUsers && systemUsers.length > 0) {
+      await runStep('admin_audit_log', supabase
+        .from('admin_audit_log')
+        .update({ changes: {}, metadata: {} })
+        .eq('target_type', 'user')
+        .in('target_id', systemUsers.map((systemUser) => systemUser.id)));
+    }
+    await runStep('sessions', supabase.from('sessions').delete().eq('user_id', supabaseUserId));
+    await runStep('consent_records', supabase.from('consent_records').delete().eq('user_id', supabaseUserId));
+    // Queued and logged deliveries of user.* and registration.logged events about the user
+    for (const path of WEBHOOK_USER_ID_PATHS) {
+      await runStep('webhook_deliveries', supabase.from('webhook_deliveries').delete().eq(path, supabaseUserId));
+    }
+    const emails = [...new Set([request.email, ...(systemUsers || []).map((systemUser) => systemUser.email)]
+      .filter(Boolean))];
+    for (const path of WEBHOOK_EMAIL_PATHS) {
+      if (emails.length > 0) {
+        await runStep('webhook_deliveries', supabase.from('webhook_deliveries').delete().in(path, emails));
+      }
+    }
+    await runStep('system_users', supabase.from('system_users').delete().eq('supabase_user_id', supabaseUserId));
+
+    clearRoleCache(supabaseUserId);
+    return { success: true };
+  } catch (err) {
+    log.error('User erasure error', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Erase the users whose grace period has ended
+ * Call periodically (cron, setInterval)
+ * @param {Object} [options] { limit, requestId: process this scheduled request now }
+ * @returns {Promise<Object>} { processed, completed, failed: [{ id, error }] }
+ */
+async function processDueDeletions({ limit = 20, requestId = null } = {}) {
+  let query = supabase
+    .from('deletion_requests')
+    .select(DELETION_REQUEST_COLUMNS)
+    .eq('status', 'scheduled');
+
+  query = requestId
+    ? query.eq('id', requestId)
+    : query.lte('scheduled_for', new Date().toISOString()).order('scheduled_for', { ascending: true }).limit(limit);
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const summary = { processed: 0, completed: 0, failed: [] };
+
+  for (const request of data || []) {
+    summary.processed += 1;
+    const result = await eraseUser(request);
+
+    if (result.success) {
+      summary.completed += 1;
+      // Only IDs are kept as evidence that the request was carried out
+      await updateDeletionRequest(request.id, {
+        status: 'completed',
+        email: null,
+        last_error: null,
+        completed_at: new Date().toISOString()
+      });
+      // Downstream systems holding copies of the user must erase them too
+      emitWebhookEvent('user.deleted', {
+        change: 'erasure',
+        supabase_user_id: request.user_id,
+        system_user_id: request.system_user_id,
+        deletion_request_id: request.id
+      });
+    } else {
+      summary.failed.push({ id: request.id, error: result.error });
+      await updateDeletionRequest(request.id, { last_error: result.error });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  OPEN_DELETION_STATUSES,
+  DELETION_REQUEST_COLUMNS,
+  getDeletionGraceDays,
+  buildUserExport,
+  findOpenDeletionRequest,
+  requestDeletion,
+  confirmDeletion,
+  cancelDeletion,
+  eraseUser,
+  processDueDeletions
+};
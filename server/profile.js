@@ -0,0 +1,190 @@
+// supabase-auth-module/server/profile.js
+// Current-user profile: preferences validation and avatar storage (Supabase Storage)
+
+const supabase = require('../utils/supabaseClient');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'profile' });
+
+const DEFAULT_AVATAR_BUCKET = 'avatars';
+const DEFAULT_AVATAR_MAX_BYTES = 2 * 1024 * 1024; // 2 MB
+
+// Accepted avatar types, recognized by their leading bytes (the Content-Type header alone is not trusted)
+const AVATAR_TYPES = {
+  'image/png': (buffer) => buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/gif': (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.slice(0, 6).toString('ascii')),
+  'image/webp': (buffer) => buffer.slice(0, 4).toString('ascii') === 'RIFF' &&
+    buffer.slice(8, 12).toString('ascii') === 'WEBP'
+};
+
+/**
+ * String preference validators: return the sanitized value or false
+ */
+const PREFERENCE_VALIDATORS = {
+  // BCP 47 language tag, e.g. 'en', 'pt-BR'
+  locale: (value) => {
+    if (typeof value !== 'string' || !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8}){0,3}$/.test(value)) {
+      return false;
+    }
+    try {
+      return Intl.getCanonicalLocales(value)[0];
+    } catch (e) {
+      return false;
+    }
+  },
+  // IANA time zone, e.g. 'Europe/Berlin'
+  timezone: (value) => {
+    if (typeof value !== 'string' || value.length > 64) {
+      return false;
+    }
+    try {
+      return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+    } catch (e) {
+      return false;
+    }
+  }
+};
+
+// Preferences stored as true/false
+const BOOLEAN_PREFERENCES = ['marketing_opt_in'];
+
+function getAvatarConfig() {
+  return {
+    bucket: process.env.AVATAR_BUCKET || DEFAULT_AVATAR_BUCKET,
+    maxBytes: parseInt(process.env.AVATAR_MAX_BYTES, 10) || DEFAULT_AVATAR_MAX_BYTES
+  };
+}
+
+/**
+ * Validate a preferences update; null removes a preference
+ * @param {Object} rawPreferences Request body preferences
+ * @returns {Object} { preferences, errors } - preferences holds the validated values (null = remove)
+ */
+function parsePreferences(rawPreferences) {
+  if (!rawPreferences || typeof rawPreferences !== 'object' || Array.isArray(rawPreferences)) {
+    return { preferences: {}, errors: ['preferences'] };
+  }
+
+  const preferences = {};
+  const errors = [];
+
+  for (const [name, value] of Object.entries(rawPreferences)) {
+    const isBoolean = BOOLEAN_PREFERENCES.includes(name);
+    if (!isBoolean && !PREFERENCE_VALIDATORS[name]) {
+      errors.push(name);
+      continue;
+    }
+    if (value === null) {
+      preferences[name] = null;
+      continue;
+    }
+
+    const validated = isBoolean
+      ? (typeof value === 'boolean' ? value : undefined)
+      : PREFERENCE_VALIDATORS[name](value) || undefined;
+    if (validated === undefined) {
+      errors.push(name);
+      continue;
+    }
+    preferences[name] = validated;
+  }
+
+  return { preferences, errors };
+}
+
+/**
+ * Apply a validated preferences update to the stored preferences
+ * @returns {Object} New preferences
+ */
+function mergePreferences(current, updates) {
+  const merged = { ...(current || {}) };
+
+  Object.entries(updates).forEach(([name, value]) => {
+    if (value === null) {
+      delete merged[name];
+    } else {
+      merged[name] = value;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Detect the image type of an avatar upload
+ * @param {Buffer} buffer File contents
+ * @returns {string|null} MIME type or null if not an accepted image
+ */
+function detectAvatarType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  const match = Object.entries(AVATAR_TYPES).find(([, matches]) => matches(buffer));
+  return match ? match[0] : null;
+}
+
+/**
+ * Store an avatar in Supabase Storage (one object per user, replaced on upload)
+ * @param {string} systemUserId System user ID
+ * @param {Buffer} buffer Image data, already checked with detectAvatarType
+ * @param {string} contentType Detected MIME type
+ * @returns {Promise<Object>} { success, url?, path?, error? }
+ */
+async function uploadAvatar(systemUserId, buffer, contentType) {
+  const { bucket } = getAvatarConfig();
+  const objectPath = `${systemUserId}/avatar`;
+
+  try {
+    const { error } = await supabase.storage
+      .from(bucket)
+      .upload(objectPath, buffer, { contentType, upsert: true, cacheControl: '3600' });
+
+    if (error) {
+      log.error('Avatar upload error', { error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    // The object path never changes, so the URL carries a version for caches
+    const { data } = supabase.storage.from(bucket).getPublicUrl(objectPath);
+    return { success: true, path: objectPath, url: `${data.publicUrl}?v=${Date.now()}` };
+  } catch (err) {
+    log.error('Avatar upload exception', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Remove a user's avatar from Supabase Storage
+ * @returns {Promise<Object>} { success, error? }
+ */
+async function removeAvatar(systemUserId) {
+  const { bucket } = getAvatarConfig();
+
+  try {
+    const { error } = await supabase.storage.from(bucket).remove([`${systemUserId}/avatar`]);
+
+    if (error) {
+      log.error('Avatar removal error', { error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (err) {
+    log.error('Avatar removal exception', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  AVATAR_TYPES,
+  PREFERENCE_VALIDATORS,
+  BOOLEAN_PREFERENCES,
+  getAvatarConfig,
+  parsePreferences,
+  mergePreferences,
+  detectAvatarType,
+  uploadAvatar,
+  removeAvatar
+};
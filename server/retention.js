@@ -0,0 +1,185 @@
+// supabase-auth-module/server/retention.js
+// Data retention: anonymize and purge old auth_events, wp_user_registrations and admin_audit_log rows
+
+const supabase = require('../utils/supabaseClient');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'retention' });
+
+const DEFAULT_IPV4_PREFIX = 24;
+const DEFAULT_IPV6_PREFIX = 48;
+const RETENTION_RUN_COLUMNS = 'id, trigger, triggered_by, dry_run, status, results, started_at, finished_at';
+
+/**
+ * Retention rules, applied in this order
+ * Each rule reads its age in days from an environment variable; 0 (the default) turns the rule off,
+ * so nothing is anonymized or deleted until the operator opts in
+ */
+const RETENTION_RULES = [
+  {
+    id: 'auth_events_anonymize',
+    table: 'auth_events',
+    column: 'created_at',
+    action: 'anonymize',
+    env: 'RETENTION_AUTH_EVENTS_ANONYMIZE_DAYS',
+    defaultDays: 0
+  },
+  {
+    id: 'auth_events_delete',
+    table: 'auth_events',
+    column: 'created_at',
+    action: 'delete',
+    env: 'RETENTION_AUTH_EVENTS_DAYS',
+    defaultDays: 0
+  },
+  {
+    id: 'registrations_delete',
+    table: 'wp_user_registrations',
+    column: 'registered_at',
+    action: 'delete',
+    env: 'RETENTION_REGISTRATIONS_DAYS',
+    defaultDays: 0
+  },
+  {
+    id: 'admin_audit_delete',
+    table: 'admin_audit_log',
+    column: 'created_at',
+    action: 'delete',
+    env: 'RETENTION_ADMIN_AUDIT_DAYS',
+    defaultDays: 0
+  }
+];
+
+function readInteger(name, defaultValue, max) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 && value <= max ? value : defaultValue;
+}
+
+/**
+ * Current retention policy from the environment
+ * @returns {Object} { rules: [{ id, table, column, action, days, enabled }], ipv4Prefix, ipv6Prefix }
+ */
+function getRetentionPolicy() {
+  return {
+    rules: RETENTION_RULES.map(({ id, table, column, action, env, defaultDays }) => {
+      const days = readInteger(env, defaultDays, 36500);
+      return { id, table, column, action, env, days, enabled: days > 0 };
+    }),
+    ipv4Prefix: readInteger('RETENTION_IPV4_PREFIX', DEFAULT_IPV4_PREFIX, 32),
+    ipv6Prefix: readInteger('RETENTION_IPV6_PREFIX', DEFAULT_IPV6_PREFIX, 128)
+  };
+}
+
+/**
+ * Apply one rule
+ * @returns {Promise<number>} Rows changed or deleted (with dryRun: rows that would be)
+ */
+async function applyRule(rule, cutoff, policy, dryRun) {
+  if (rule.action === 'anonymize') {
+    const { data, error } = await supabase.rpc('retention_anonymize_auth_events', {
+      p_before: cutoff,
+      p_ipv4_prefix: policy.ipv4Prefix,
+      p_ipv6_prefix: policy.ipv6Prefix,
+      p_dry_run: dryRun
+    });
+    if (error) {
+      throw new Error(error.message);
+    }
+    return Number(data) || 0;
+  }
+
+  const query = dryRun
+    ? supabase.from(rule.table).select('id', { count: 'exact', head: true })
+    : supabase.from(rule.table).delete({ count: 'exact' });
+
+  const { error, count } = await query.lt(rule.column, cutoff);
+  if (error) {
+    throw new Error(error.message);
+  }
+  return count || 0;
+}
+
+/**
+ * Record a retention run in retention_runs
+ * Failures are logged only: the purge itself has already happened
+ */
+async function recordRun(run) {
+  try {
+    const { data, error } = await supabase
+      .from('retention_runs')
+      .insert([run])
+      .select(RETENTION_RUN_COLUMNS);
+
+    if (error) {
+      log.error('Retention run record error', { error: error.message });
+      return null;
+    }
+    return data[0];
+  } catch (err) {
+    log.error('Retention run record exception', { error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Run the retention policy
+ * A failing rule is reported in its result and does not stop the others
+ * @param {Object} [options] { dryRun, trigger: 'scheduler' | 'cli' | 'admin', triggeredBy: admin's Supabase ID }
+ * @returns {Promise<Object>} { success, run: { id?, dry_run, status, results: [{ rule, table, action, days, cutoff, affected, error? }] } }
+ */
+async function runRetention({ dryRun = false, trigger = 'scheduler', triggeredBy = null } = {}) {
+  const policy = getRetentionPolicy();
+  const startedAt = new Date();
+  const results = [];
+
+  for (const rule of policy.rules.filter((candidate) => candidate.enabled)) {
+    const cutoff = new Date(startedAt.getTime() - rule.days * 24 * 60 * 60 * 1000).toISOString();
+    const result = { rule: rule.id, table: rule.table, action: rule.action, days: rule.days, cutoff };
+
+    try {
+      result.affected = await applyRule(rule, cutoff, policy, dryRun);
+    } catch (err) {
+      log.error('Retention rule error', { rule: rule.id, error: err.message });
+      result.affected = 0;
+      result.error = err.message;
+    }
+    results.push(result);
+  }
+
+  const run = {
+    trigger,
+    triggered_by: triggeredBy,
+    dry_run: dryRun,
+    status: results.some((result) => result.error) ? 'failed' : 'completed',
+    results,
+    started_at: startedAt.toISOString(),
+    finished_at: new Date().toISOString()
+  };
+
+  const recorded = await recordRun(run);
+  return { success: run.status === 'completed', run: recorded || run };
+}
+
+/**
+ * Latest retention runs, newest first
+ * @returns {Promise<Object[]>}
+ */
+async function listRetentionRuns(limit = 20) {
+  const { data, error } = await supabase
+    .from('retention_runs')
+    .select(RETENTION_RUN_COLUMNS)
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data || [];
+}
+
+module.exports = {
+  RETENTION_RULES,
+  getRetentionPolicy,
+  runRetention,
+  listRetentionRuns
+};
@@ -0,0 +1,295 @@
+// supabase-auth-module/server/sessions.js
+// Server-side session tracking, refresh-token rotation and revocation
+
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const supabase = require('../utils/supabaseClient');
+const verifyJwt = require('./verifyJwt');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'sessions' });
+
+// Short-lived cache of revocation lookups keyed by Supabase session ID
+const REVOCATION_CACHE_TTL_MS = 30 * 1000; // 30 seconds
+const revocationCache = new Map();
+
+/**
+ * Hash a refresh token for storage (raw tokens are never stored)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Derive a short device description from a User-Agent string
+ * @returns {string} e.g. "Chrome on Windows"
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  return `${browser ? browser[0] : 'Unknown browser'} on ${system ? system[0] : 'unknown OS'}`;
+}
+
+/**
+ * Create or update the session row for a verified token
+ * @param {Object} payload Verified JWT payload (sub, session_id)
+ * @param {Object} context { refreshToken, ipAddress, userAgent }
+ * @returns {Promise<Object>} { success, session } or { success: false, error }
+ */
+async function recordSession(payload, { refreshToken = null, ipAddress = null, userAgent = null } = {}) {
+  try {
+    const now = new Date().toISOString();
+    const fields = {
+      user_id: payload.sub,
+      supabase_session_id: payload.session_id || null,
+      device: describeDevice(userAgent),
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      last_seen_at: now
+    };
+
+    if (refreshToken) {
+      fields.refresh_token_hash = hashToken(refreshToken);
+    }
+
+    // Sessions without a session_id claim cannot be matched later, so always insert
+    const { data, error } = payload.session_id
+      ? await supabase
+        .from('sessions')
+        .upsert([fields], { onConflict: 'supabase_session_id' })
+        .select()
+      : await supabase
+        .from('sessions')
+        .insert([fields])
+        .select();
+
+    if (error) {
+      log.error('Session recording error', { error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, session: data[0] };
+  } catch (err) {
+    log.error('Session recording exception', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Check whether a Supabase session has been revoked (cached)
+ * Sessions that were never recorded are treated as not revoked
+ */
+async function isSessionRevoked(supabaseSessionId) {
+  if (!supabaseSessionId) {
+    return false;
+  }
+
+  const cached = revocationCache.get(supabaseSessionId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.revoked;
+  }
+
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('revoked_at')
+    .eq('supabase_session_id', supabaseSessionId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const revoked = Boolean(data && data.length > 0 && data[0].revoked_at);
+  revocationCache.set(supabaseSessionId, {
+    revoked,
+    expiresAt: Date.now() + REVOCATION_CACHE_TTL_MS
+  });
+
+  return revoked;
+}
+
+/**
+ * List active (non-revoked) sessions of a user, most recent first
+ */
+async function listUserSessions(userId) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('id, supabase_session_id, device, ip_address, user_agent, created_at, last_seen_at, refreshed_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .order('last_seen_at', { ascending: false });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data || [];
+}
+
+/**
+ * Mark sessions revoked and update the local revocation cache
+ * @param {Function} scope Receives the base query and narrows it to the sessions to revoke
+ * @returns {Promise<Object[]>} Revoked session rows
+ */
+async function revokeSessions(scope, reason) {
+  const query = supabase
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .is('revoked_at', null);
+
+  const { data, error } = await scope(query).select();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  (data || []).forEach((session) => {
+    if (session.supabase_session_id) {
+      revocationCache.set(session.supabase_session_id, {
+        revoked: true,
+        expiresAt: Date.now() + REVOCATION_CACHE_TTL_MS
+      });
+    }
+  });
+
+  return data || [];
+}
+
+/**
+ * Revoke one session of a user by our session row ID
+ * @returns {Promise<Object|null>} Revoked session or null if not found
+ */
+async function revokeSession(userId, sessionId, reason = 'logout') {
+  const revoked = await revokeSessions(
+    (query) => query.eq('user_id', userId).eq('id', sessionId),
+    reason
+  );
+  return revoked[0] || null;
+}
+
+/**
+ * Revoke the session a token belongs to
+ * @returns {Promise<Object|null>} Revoked session or null if it was not tracked
+ */
+async function revokeSupabaseSession(userId, supabaseSessionId, reason = 'logout') {
+  const revoked = await revokeSessions(
+    (query) => query.eq('user_id', userId).eq('supabase_session_id', supabaseSessionId),
+    reason
+  );
+  return revoked[0] || null;
+}
+
+/**
+ * Revoke all sessions of a user ("log out everywhere")
+ * @param {string} [exceptSupabaseSessionId] Session to keep (usually the current one)
+ * @returns {Promise<Object[]>} Revoked sessions
+ */
+async function revokeAllUserSessions(userId, reason = 'logout_all', exceptSupabaseSessionId = null) {
+  return revokeSessions((query) => {
+    const scoped = query.eq('user_id', userId);
+    return exceptSupabaseSessionId
+      ? scoped.or(`supabase_session_id.is.null,supabase_session_id.neq.${exceptSupabaseSessionId}`)
+      : scoped;
+  }, reason);
+}
+
+/**
+ * Rotate a refresh token through Supabase and record the rotation
+ * Reusing an already rotated refresh token revokes the whole session
+ * @param {string} refreshToken Refresh token presented by the client
+ * @returns {Promise<Object>} { success, session, payload, dbSession } or { success: false, status, error }
+ */
+async function rotateRefreshToken(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+
+  // Reuse detection: token matches a hash that was already rotated away
+  const { data: reused, error: reuseError } = await supabase
+    .from('sessions')
+    .select('id, user_id, supabase_session_id')
+    .eq('previous_refresh_token_hash', tokenHash)
+    .limit(1);
+
+  if (reuseError) {
+    return { success: false, status: 500, error: reuseError.message };
+  }
+
+  if (reused && reused.length > 0) {
+    log.warn('Refresh token reuse detected', { session_id: reused[0].id });
+    await revokeSessions((query) => query.eq('id', reused[0].id), 'refresh_token_reuse');
+    return { success: false, status: 401, error: 'Refresh token reuse detected, session revoked', reused: reused[0] };
+  }
+
+  // Use a throwaway client so the shared service-role client never picks up a user session
+  const authClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  const { data, error } = await authClient.auth.refreshSession({ refresh_token: refreshToken });
+  if (error || !data || !data.session) {
+    return { success: false, status: 401, error: error ? error.message : 'Refresh failed' };
+  }
+
+  const payload = await verifyJwt(data.session.access_token);
+  if (!payload) {
+    return { success: false, status: 401, error: 'Invalid refreshed token' };
+  }
+
+  if (await isSessionRevoked(payload.session_id)) {
+    return { success: false, status: 401, error: 'Session revoked' };
+  }
+
+  const now = new Date().toISOString();
+  const { data: updated, error: updateError } = await supabase
+    .from('sessions')
+    .update({
+      refresh_token_hash: hashToken(data.session.refresh_token),
+      previous_refresh_token_hash: tokenHash,
+      refreshed_at: now,
+      last_seen_at: now
+    })
+    .eq('supabase_session_id', payload.session_id)
+    .select();
+
+  if (updateError) {
+    log.error('Session rotation update error', { error: updateError.message });
+  }
+
+  return {
+    success: true,
+    session: data.session,
+    payload,
+    dbSession: updated && updated.length > 0 ? updated[0] : null
+  };
+}
+
+module.exports = {
+  hashToken,
+  describeDevice,
+  recordSession,
+  isSessionRevoked,
+  listUserSessions,
+  revokeSession,
+  revokeSupabaseSession,
+  revokeAllUserSessions,
+  rotateRefreshToken
+};
@@ -0,0 +1,164 @@
+// supabase-auth-module/server/signupProfile.js
+// Signup form data from Supabase user_metadata: profile fields and consent records
+
+const supabase = require('../utils/supabaseClient');
+const { validateUsername, validateDisplayName } = require('./middleware/securityMiddleware');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'signup-profile' });
+
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const MAX_PROFILE_FIELDS = 20;
+const MAX_PROFILE_VALUE_LENGTH = 500;
+const MAX_CONSENT_VERSION_LENGTH = 50;
+// Clients may be a little ahead of the server clock
+const MAX_CONSENT_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Validate custom profile fields (user_metadata.profile)
+ * Values must be short strings without markup, numbers or booleans
+ * @returns {Object} { profile, errors }
+ */
+function parseProfileFields(rawProfile) {
+  const profile = {};
+  const errors = [];
+
+  if (rawProfile === undefined || rawProfile === null) {
+    return { profile, errors };
+  }
+  if (typeof rawProfile !== 'object' || Array.isArray(rawProfile)) {
+    return { profile, errors: ['profile'] };
+  }
+
+  for (const [name, value] of Object.entries(rawProfile).slice(0, MAX_PROFILE_FIELDS)) {
+    const validString = typeof value === 'string' && value.length <= MAX_PROFILE_VALUE_LENGTH &&
+      !/[<>\u0000-\u001f\u007f]/.test(value);
+    const validScalar = typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+
+    if (!FIELD_NAME_PATTERN.test(name) || !(validString || validScalar)) {
+      errors.push(`profile.${name}`);
+      continue;
+    }
+    profile[name] = validString ? value.trim() : value;
+  }
+
+  if (Object.keys(rawProfile).length > MAX_PROFILE_FIELDS) {
+    errors.push('profile');
+  }
+
+  return { profile, errors };
+}
+
+/**
+ * Validate consents (user_metadata.consents): { terms: { version, accepted_at }, ... }
+ * @returns {Object} { consents: [{ consent_type, version, accepted_at }], errors }
+ */
+function parseConsents(rawConsents) {
+  const consents = [];
+  const errors = [];
+
+  if (rawConsents === undefined || rawConsents === null) {
+    return { consents, errors };
+  }
+  if (typeof rawConsents !== 'object' || Array.isArray(rawConsents)) {
+    return { consents, errors: ['consents'] };
+  }
+
+  for (const [type, consent] of Object.entries(rawConsents)) {
+    const version = consent && consent.version !== undefined ? String(consent.version) : '';
+    const acceptedAt = consent ? new Date(consent.accepted_at) : new Date(NaN);
+
+    if (!FIELD_NAME_PATTERN.test(type) || !version || version.length > MAX_CONSENT_VERSION_LENGTH ||
+        /[<>]/.test(version) || isNaN(acceptedAt.getTime()) ||
+        acceptedAt.getTime() > Date.now() + MAX_CONSENT_CLOCK_SKEW_MS) {
+      errors.push(`consents.${type}`);
+      continue;
+    }
+
+    consents.push({ consent_type: type, version, accepted_at: acceptedAt.toISOString() });
+  }
+
+  return { consents, errors };
+}
+
+/**
+ * Read the signup form data AuthForm stores in user_metadata
+ * OAuth users have no form data; their provider's full_name/name becomes the display name.
+ * Invalid values are dropped and reported in errors rather than failing the sign-in,
+ * because the Supabase account exists already.
+ * @param {Object} userMetadata Verified user_metadata claim
+ * @returns {Object} { username, displayName, profile, consents, errors }
+ */
+function parseSignupMetadata(userMetadata) {
+  const metadata = userMetadata && typeof userMetadata === 'object' ? userMetadata : {};
+  const errors = [];
+
+  let username = null;
+  if (metadata.username !== undefined && metadata.username !== '') {
+    username = validateUsername(metadata.username) || null;
+    if (!username) errors.push('username');
+  }
+
+  const rawDisplayName = metadata.display_name || metadata.full_name || metadata.name;
+  let displayName = null;
+  if (rawDisplayName) {
+    displayName = validateDisplayName(rawDisplayName) || null;
+    if (!displayName) errors.push('display_name');
+  }
+
+  const { profile, errors: profileErrors } = parseProfileFields(metadata.profile);
+  const { consents, errors: consentErrors } = parseConsents(metadata.consents);
+
+  return {
+    username,
+    displayName,
+    profile,
+    consents,
+    errors: [...errors, ...profileErrors, ...consentErrors]
+  };
+}
+
+/**
+ * Store consent records; a consent type/version is recorded once per user
+ * @param {string} supabaseUserId Supabase user ID
+ * @param {string} systemUserId System user ID
+ * @param {Object[]} consents From parseSignupMetadata
+ * @param {Object} context { ipAddress, userAgent } of the request
+ * @returns {Promise<Object>} { success, recorded?, error? }
+ */
+async function recordConsents(supabaseUserId, systemUserId, consents, { ipAddress = null, userAgent = null } = {}) {
+  if (!consents || consents.length === 0) {
+    return { success: true, recorded: [] };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('consent_records')
+      .upsert(
+        consents.map((consent) => ({
+          user_id: supabaseUserId,
+          system_user_id: systemUserId,
+          ...consent,
+          ip_address: ipAddress,
+          user_agent: userAgent
+        })),
+        { onConflict: 'user_id,consent_type,version', ignoreDuplicates: true }
+      )
+      .select();
+
+    if (error) {
+      log.error('Consent recording error', { error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, recorded: data || [] };
+  } catch (err) {
+    log.error('Consent recording exception', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  parseSignupMetadata,
+  recordConsents
+};
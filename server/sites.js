@@ -0,0 +1,217 @@
+// supabase-auth-module/server/sites.js
+// Registry of sites served by this auth backend (allowed origins, defaults, settings)
+
+const supabase = require('../utils/supabaseClient');
+const { validateSiteUrl, validateUrlPath } = require('./middleware/securityMiddleware');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'sites' });
+
+// All sites are cached together: the registry is small and read on every callback/CSRF check
+const SITE_CACHE_TTL_MS = 60 * 1000; // 60 seconds
+let siteCache = null;
+
+const MAX_ALLOWED_ORIGINS = 20;
+const MAX_SETTINGS_LENGTH = 10000;
+
+/**
+ * Drop cached sites (call after changing the sites table)
+ */
+function clearSiteCache() {
+  siteCache = null;
+}
+
+/**
+ * Load all sites (cached)
+ * @returns {Promise<Object[]>}
+ */
+async function listSites() {
+  if (siteCache && siteCache.expiresAt > Date.now()) {
+    return siteCache.sites;
+  }
+
+  const { data, error } = await supabase
+    .from('sites')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  siteCache = { sites: data || [], expiresAt: Date.now() + SITE_CACHE_TTL_MS };
+  return siteCache.sites;
+}
+
+/**
+ * Normalize an origin ("https://example.com[:port]"); paths are not allowed
+ * @returns {string|false}
+ */
+function normalizeOrigin(value) {
+  if (!value || typeof value !== 'string') {
+    return false;
+  }
+
+  try {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol) || (url.pathname !== '/' && url.pathname !== '') ||
+        url.search || url.hash || url.username || url.password) {
+      return false;
+    }
+    return url.origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Origins a site accepts requests from: its own site_url origin plus allowed_origins
+ */
+function getSiteOrigins(site) {
+  const origins = new Set((site.allowed_origins || []).map(normalizeOrigin).filter(Boolean));
+  try {
+    origins.add(new URL(site.site_url).origin);
+  } catch (e) {
+    log.warn('Invalid site_url in sites registry', { site_id: site.id });
+  }
+  return origins;
+}
+
+/**
+ * Origin of a request from its Origin header, or the Referer when Origin is missing
+ * @returns {string|null}
+ */
+function getRequestOrigin(req) {
+  const origin = req.get('origin');
+  const referer = req.get('referer');
+
+  try {
+    if (origin) {
+      return new URL(origin).origin;
+    }
+    if (referer) {
+      return new URL(referer).origin;
+    }
+  } catch (e) {
+    log.warn('Invalid Origin/Referer header', { length: String(origin || referer).length });
+  }
+
+  return null;
+}
+
+/**
+ * Find the active site that allows an origin
+ * @returns {Promise<Object|null>}
+ */
+async function findSiteByOrigin(origin) {
+  const normalized = normalizeOrigin(origin);
+  if (!normalized) {
+    return null;
+  }
+
+  const sites = await listSites();
+  return sites.find((site) => site.active !== false && getSiteOrigins(site).has(normalized)) || null;
+}
+
+/**
+ * Resolve the site of a request from its Origin/Referer and remember it on req.site
+ * @returns {Promise<Object|null>} Site or null if the origin is not registered
+ */
+async function resolveRequestSite(req) {
+  if (req.site !== undefined) {
+    return req.site;
+  }
+
+  req.site = await findSiteByOrigin(getRequestOrigin(req));
+  return req.site;
+}
+
+/**
+ * Find a site by ID (cached registry)
+ * @returns {Promise<Object|null>}
+ */
+async function findSiteById(siteId) {
+  const sites = await listSites();
+  return sites.find((site) => site.id === siteId) || null;
+}
+
+/**
+ * Find a site by its site_url (trailing slashes ignored, cached registry)
+ * @returns {Promise<Object|null>}
+ */
+async function findSiteByUrl(siteUrl) {
+  if (!siteUrl) {
+    return null;
+  }
+
+  const normalized = siteUrl.replace(/\/+$/, '');
+  const sites = await listSites();
+  return sites.find((site) => site.site_url.replace(/\/+$/, '') === normalized) || null;
+}
+
+/**
+ * Validate site fields from a request body
+ * @param {Object} body Request body
+ * @param {string[]} [errors] Receives the names of invalid fields
+ * @returns {Object|null} Row fields ready for insert/update, or null if invalid
+ */
+function validateSiteInput(body, errors = []) {
+  const {
+    site_url,
+    name,
+    allowed_origins = [],
+    default_thankyou_page_url,
+    default_welcome_back_page_url,
+    settings = {},
+    active = true
+  } = body || {};
+
+  const validatedSiteUrl = validateSiteUrl(site_url);
+  const validatedName = name === undefined || name === null || name === ''
+    ? null
+    : (typeof name === 'string' && name.length <= 100 && !/[<>]/.test(name) ? name.trim() : false);
+  const validatedOrigins = Array.isArray(allowed_origins) && allowed_origins.length <= MAX_ALLOWED_ORIGINS
+    ? allowed_origins.map(normalizeOrigin)
+    : [false];
+  const validatedThankYou = default_thankyou_page_url ? validateUrlPath(default_thankyou_page_url) : null;
+  const validatedWelcomeBack = default_welcome_back_page_url ? validateUrlPath(default_welcome_back_page_url) : null;
+  const settingsValid = settings !== null && typeof settings === 'object' && !Array.isArray(settings) &&
+    JSON.stringify(settings).length <= MAX_SETTINGS_LENGTH;
+
+  const invalidFields = [
+    ['site_url', !validatedSiteUrl],
+    ['name', validatedName === false],
+    ['allowed_origins', validatedOrigins.includes(false)],
+    ['default_thankyou_page_url', validatedThankYou === false],
+    ['default_welcome_back_page_url', validatedWelcomeBack === false],
+    ['settings', !settingsValid],
+    ['active', typeof active !== 'boolean']
+  ].filter(([, invalid]) => invalid).map(([field]) => field);
+
+  if (invalidFields.length > 0) {
+    errors.push(...invalidFields);
+    return null;
+  }
+
+  return {
+    site_url: validatedSiteUrl,
+    name: validatedName,
+    allowed_origins: [...new Set(validatedOrigins)],
+    default_thankyou_page_url: validatedThankYou,
+    default_welcome_back_page_url: validatedWelcomeBack,
+    settings,
+    active
+  };
+}
+
+module.exports = {
+  clearSiteCache,
+  listSites,
+  normalizeOrigin,
+  getRequestOrigin,
+  findSiteByOrigin,
+  findSiteById,
+  findSiteByUrl,
+  resolveRequestSite,
+  validateSiteInput
+};
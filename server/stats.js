@@ -0,0 +1,217 @@
+// supabase-auth-module/server/stats.js
+// Registration funnel statistics (time series and breakdowns with previous-period comparison)
+
+const supabase = require('../utils/supabaseClient');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'stats' });
+
+const STATS_INTERVALS = ['day', 'week', 'month'];
+const STATS_BREAKDOWNS = ['pair', 'site', 'registration_url'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731; // two years
+const MAX_BREAKDOWN_ITEMS = 100;
+
+/**
+ * Resolve the reporting range from date_from / date_to query values
+ * A plain date (YYYY-MM-DD) in date_to includes that whole day
+ * @returns {Object|false} { from, to } as Dates (to is exclusive), or false if invalid
+ */
+function parseStatsRange(dateFrom, dateTo) {
+  const to = dateTo ? new Date(dateTo) : new Date();
+  if (isNaN(to.getTime())) {
+    return false;
+  }
+  if (typeof dateTo === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateTo)) {
+    to.setTime(to.getTime() + DAY_MS);
+  }
+
+  // Default: the last 30 days, starting at midnight UTC so the first day is complete
+  const from = dateFrom
+    ? new Date(dateFrom)
+    : new Date(Math.floor(to.getTime() / DAY_MS) * DAY_MS - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (isNaN(from.getTime()) || from >= to || to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return false;
+  }
+
+  return { from, to };
+}
+
+/**
+ * The period of equal length directly before a range
+ */
+function previousRange(range) {
+  const length = range.to - range.from;
+  return { from: new Date(range.from.getTime() - length), to: new Date(range.from.getTime()) };
+}
+
+/**
+ * Percentage change from previous to current, null when there is nothing to compare with
+ */
+function percentChange(current, previous) {
+  if (!previous) {
+    return null;
+  }
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+function serializeRange(range) {
+  return { from: range.from.toISOString(), to: range.to.toISOString() };
+}
+
+function toCounts(row) {
+  return {
+    total: Number(row.total) || 0,
+    new_users: Number(row.new_users) || 0,
+    returning_users: Number(row.returning_users) || 0
+  };
+}
+
+function sumCounts(rows) {
+  return rows.reduce((totals, row) => ({
+    total: totals.total + row.total,
+    new_users: totals.new_users + row.new_users,
+    returning_users: totals.returning_users + row.returning_users
+  }), { total: 0, new_users: 0, returning_users: 0 });
+}
+
+/**
+ * Run the registration_stats_series function for one range
+ */
+async function fetchSeries(range, interval, { siteUrl = null, pairId = null } = {}) {
+  const { data, error } = await supabase.rpc('registration_stats_series', {
+    p_from: range.from.toISOString(),
+    p_to: range.to.toISOString(),
+    p_interval: interval,
+    p_site_url: siteUrl,
+    p_pair_id: pairId
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data || []).map((row) => ({ period: row.period, ...toCounts(row) }));
+}
+
+/**
+ * Run the registration_stats_breakdown function for one range
+ */
+async function fetchBreakdown(range, groupBy, { siteUrl = null, pairId = null } = {}) {
+  const { data, error } = await supabase.rpc('registration_stats_breakdown', {
+    p_from: range.from.toISOString(),
+    p_to: range.to.toISOString(),
+    p_group_by: groupBy,
+    p_site_url: siteUrl,
+    p_pair_id: pairId
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data || []).map((row) => ({ key: row.key, ...toCounts(row) }));
+}
+
+/**
+ * Registrations per day/week/month, split into new and returning users
+ * A registration counts as returning when the user had logged in or registered before it
+ * @param {Object} range { from, to } from parseStatsRange
+ * @param {string} interval One of STATS_INTERVALS
+ * @param {Object} [filters] { siteUrl, pairId }
+ */
+async function getRegistrationSeries(range, interval, filters = {}) {
+  const previous = previousRange(range);
+  const [series, previousSeries] = await Promise.all([
+    fetchSeries(range, interval, filters),
+    fetchSeries(previous, interval, filters)
+  ]);
+
+  const totals = sumCounts(series);
+  const previousTotals = sumCounts(previousSeries);
+
+  return {
+    interval,
+    range: serializeRange(range),
+    previous_range: serializeRange(previous),
+    series,
+    previous_series: previousSeries,
+    totals,
+    previous_totals: previousTotals,
+    change: {
+      total: percentChange(totals.total, previousTotals.total),
+      new_users: percentChange(totals.new_users, previousTotals.new_users),
+      returning_users: percentChange(totals.returning_users, previousTotals.returning_users)
+    }
+  };
+}
+
+/**
+ * Registrations grouped by pair, site or registration URL, with previous-period counts
+ * Pair items are labelled with the pair's site and registration page
+ * @param {Object} range { from, to } from parseStatsRange
+ * @param {string} groupBy One of STATS_BREAKDOWNS
+ * @param {Object} [filters] { siteUrl, pairId }
+ */
+async function getRegistrationBreakdown(range, groupBy, filters = {}) {
+  const previous = previousRange(range);
+  const [allItems, previousItems] = await Promise.all([
+    fetchBreakdown(range, groupBy, filters),
+    fetchBreakdown(previous, groupBy, filters)
+  ]);
+  const items = allItems.slice(0, MAX_BREAKDOWN_ITEMS);
+
+  const previousByKey = new Map(previousItems.map((item) => [item.key, item.total]));
+  const labels = groupBy === 'pair' ? await loadPairLabels(items.map((item) => item.key)) : {};
+
+  return {
+    by: groupBy,
+    range: serializeRange(range),
+    previous_range: serializeRange(previous),
+    items: items.map((item) => {
+      const previousTotal = previousByKey.get(item.key) || 0;
+      return {
+        ...item,
+        label: labels[item.key] || item.key || '(none)',
+        previous_total: previousTotal,
+        change: percentChange(item.total, previousTotal)
+      };
+    })
+  };
+}
+
+/**
+ * Map pair IDs to "<site_url><registration_page_url>" labels
+ */
+async function loadPairLabels(pairIds) {
+  const ids = pairIds.filter(Boolean);
+  if (ids.length === 0) {
+    return {};
+  }
+
+  const { data, error } = await supabase
+    .from('wp_registration_pairs')
+    .select('id, site_url, registration_page_url')
+    .in('id', ids);
+
+  if (error) {
+    log.error('Pair label lookup error', { error: error.message });
+    return {};
+  }
+
+  return Object.fromEntries(
+    (data || []).map((pair) => [pair.id, `${pair.site_url}${pair.registration_page_url}`])
+  );
+}
+
+module.exports = {
+  STATS_INTERVALS,
+  STATS_BREAKDOWNS,
+  parseStatsRange,
+  previousRange,
+  percentChange,
+  getRegistrationSeries,
+  getRegistrationBreakdown
+};
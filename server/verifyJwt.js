@@ -1,65 +1,208 @@
 const jwt = require('jsonwebtoken');
-const jwksClient = require('jwks-rsa');
+const { getSigningKey } = require('./jwks');
+const { createLogger } = require('./logger');
 
-// Cache for JWKS keys to avoid fetching on every request
-let jwksCache = null;
-let cacheExpiry = null;
+const log = createLogger({ component: 'verify-jwt' });
 
-// Create JWKS client for Supabase
-const client = jwksClient({
-  jwksUri: `${process.env.SUPABASE_URL}/auth/v1/jwks`,
-  cache: true,
-  cacheMaxEntries: 5,
-  cacheMaxAge: 600000 // 10 minutes
-});
+// Asymmetric algorithms verified with keys from the JWKS endpoint
+const JWKS_ALGORITHMS = ['RS256', 'ES256'];
 
 /**
- * Get signing key from JWKS
+ * Structured verification failure reasons (also used as API error codes by authMiddleware)
  */
-function getKey(header, callback) {
-  client.getSigningKey(header.kid, (err, key) => {
-    if (err) {
-      console.error('[JWT-VERIFY] Error getting signing key:', err);
-      return callback(err);
+const JWT_FAILURE_REASONS = {
+  MISSING_TOKEN: 'missing_token',
+  MALFORMED: 'malformed_token',
+  EXPIRED: 'token_expired',
+  NOT_YET_VALID: 'token_not_yet_valid',
+  BAD_SIGNATURE: 'invalid_signature',
+  WRONG_AUDIENCE: 'invalid_audience',
+  WRONG_ISSUER: 'invalid_issuer',
+  UNKNOWN_KID: 'unknown_kid',
+  UNSUPPORTED_ALGORITHM: 'unsupported_algorithm',
+  JWKS_UNAVAILABLE: 'jwks_unavailable',
+  INVALID: 'invalid_token'
+};
+
+/**
+ * Read verification settings from the environment
+ *   JWT_SECRET / JWT_PREVIOUS_SECRETS - HS256 secrets (previous ones stay valid during rotation)
+ *   JWT_ISSUER, JWT_AUDIENCE (comma-separated), JWT_CLOCK_SKEW_SECONDS
+ */
+function getVerificationConfig() {
+  const secrets = [process.env.JWT_SECRET, ...(process.env.JWT_PREVIOUS_SECRETS || '').split(',')]
+    .map((secret) => (secret || '').trim())
+    .filter(Boolean);
+  const audience = (process.env.JWT_AUDIENCE || 'authenticated')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+  return {
+    secrets,
+    issuer: process.env.JWT_ISSUER || `${process.env.SUPABASE_URL}/auth/v1`,
+    audience: audience.length === 1 ? audience[0] : audience,
+    clockTolerance: parseInt(process.env.JWT_CLOCK_SKEW_SECONDS, 10) || 0
+  };
+}
+
+/**
+ * Build a failure result
+ */
+function failure(reason, message) {
+  return { valid: false, reason, message };
+}
+
+/**
+ * Map a jsonwebtoken error to a failure result
+ */
+function toFailure(err) {
+  if (err.name === 'TokenExpiredError') {
+    return failure(JWT_FAILURE_REASONS.EXPIRED, 'Token expired');
+  }
+  if (err.name === 'NotBeforeError') {
+    return failure(JWT_FAILURE_REASONS.NOT_YET_VALID, 'Token not yet valid');
+  }
+
+  const message = err.message || '';
+  if (message === 'invalid signature') {
+    return failure(JWT_FAILURE_REASONS.BAD_SIGNATURE, 'Invalid token signature');
+  }
+  if (message.startsWith('jwt audience invalid')) {
+    return failure(JWT_FAILURE_REASONS.WRONG_AUDIENCE, 'Invalid token audience');
+  }
+  if (message.startsWith('jwt issuer invalid')) {
+    return failure(JWT_FAILURE_REASONS.WRONG_ISSUER, 'Invalid token issuer');
+  }
+  if (message === 'invalid algorithm') {
+    return failure(JWT_FAILURE_REASONS.UNSUPPORTED_ALGORITHM, 'Unsupported token algorithm');
+  }
+  if (message === 'jwt malformed' || message === 'invalid token') {
+    return failure(JWT_FAILURE_REASONS.MALFORMED, 'Malformed token');
+  }
+
+  return failure(JWT_FAILURE_REASONS.INVALID, 'Invalid token');
+}
+
+/**
+ * Get the public key for a kid from JWKS (remote, persisted or local, see jwks.js)
+ * @returns {Promise<Object>} { key } or { failure }
+ */
+async function getJwksKey(kid, alg) {
+  if (!kid) {
+    return { failure: failure(JWT_FAILURE_REASONS.UNKNOWN_KID, 'Token has no key ID') };
+  }
+
+  let signingKey;
+  try {
+    signingKey = await getSigningKey(kid);
+  } catch (err) {
+    log.error('Error getting signing key', { error: err.message });
+    return { failure: failure(JWT_FAILURE_REASONS.JWKS_UNAVAILABLE, 'Signing keys unavailable') };
+  }
+
+  if (!signingKey) {
+    return { failure: failure(JWT_FAILURE_REASONS.UNKNOWN_KID, 'Unknown signing key') };
+  }
+  // A key published for one algorithm must not verify tokens claiming another
+  if (signingKey.alg && signingKey.alg !== alg) {
+    return { failure: failure(JWT_FAILURE_REASONS.UNSUPPORTED_ALGORITHM, 'Token algorithm does not match its key') };
+  }
+
+  return { key: signingKey.key };
+}
+
+/**
+ * Verify an HS256 token against every configured secret (current first)
+ */
+function verifyWithSecrets(token, config, options) {
+  let lastFailure = failure(JWT_FAILURE_REASONS.BAD_SIGNATURE, 'Invalid token signature');
+
+  for (const secret of config.secrets) {
+    try {
+      return { valid: true, payload: jwt.verify(token, secret, { ...options, algorithms: ['HS256'] }) };
+    } catch (err) {
+      lastFailure = toFailure(err);
+      // Only a signature mismatch means another secret might still match
+      if (lastFailure.reason !== JWT_FAILURE_REASONS.BAD_SIGNATURE) {
+        return lastFailure;
+      }
     }
-    
-    const signingKey = key.getPublicKey();
-    callback(null, signingKey);
-  });
+  }
+
+  return lastFailure;
 }
 
 /**
- * Verify JWT token from Supabase
+ * Verify JWT token from Supabase and explain failures
+ * Supports RS256/ES256 via JWKS and HS256 via JWT_SECRET (plus JWT_PREVIOUS_SECRETS)
+ * @param {string} token Access token
+ * @returns {Promise<Object>} { valid: true, payload } or { valid: false, reason, message }
  */
-async function verifyJwt(token) {
+async function verifyJwtDetailed(token) {
   try {
     if (!token) {
-      console.error('[JWT-VERIFY] No token provided');
-      return null;
+      return failure(JWT_FAILURE_REASONS.MISSING_TOKEN, 'No token provided');
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+      return failure(JWT_FAILURE_REASONS.MALFORMED, 'Malformed token');
+    }
+
+    const config = getVerificationConfig();
+    const options = {
+      issuer: config.issuer,
+      audience: config.audience,
+      clockTolerance: config.clockTolerance
+    };
+    const { alg, kid } = decoded.header;
+
+    if (alg === 'HS256') {
+      if (config.secrets.length === 0) {
+        return failure(JWT_FAILURE_REASONS.UNSUPPORTED_ALGORITHM, 'HS256 tokens require JWT_SECRET');
+      }
+      return verifyWithSecrets(token, config, options);
+    }
+
+    if (!JWKS_ALGORITHMS.includes(alg)) {
+      return failure(JWT_FAILURE_REASONS.UNSUPPORTED_ALGORITHM, 'Unsupported token algorithm');
     }
 
-    console.log('[JWT-VERIFY] Verifying token');
-
-    return new Promise((resolve, reject) => {
-      jwt.verify(token, getKey, {
-        algorithms: ['RS256'],
-        issuer: `${process.env.SUPABASE_URL}/auth/v1`,
-        audience: 'authenticated'
-      }, (err, decoded) => {
-        if (err) {
-          console.error('[JWT-VERIFY] Token verification failed:', err.message);
-          resolve(null);
-        } else {
-          console.log('[JWT-VERIFY] Token verified for user:', decoded.email);
-          resolve(decoded);
-        }
-      });
-    });
+    const { key, failure: keyFailure } = await getJwksKey(kid, alg);
+    if (keyFailure) {
+      return keyFailure;
+    }
 
+    try {
+      return { valid: true, payload: jwt.verify(token, key, { ...options, algorithms: [alg] }) };
+    } catch (err) {
+      return toFailure(err);
+    }
   } catch (error) {
-    console.error('[JWT-VERIFY] Unexpected error:', error);
+    log.error('Unexpected verification error', { error });
+    return failure(JWT_FAILURE_REASONS.INVALID, 'Invalid token');
+  }
+}
+
+/**
+ * Verify JWT token from Supabase
+ * @returns {Promise<Object|null>} Decoded payload or null (use verifyJwtDetailed for the reason)
+ */
+async function verifyJwt(token) {
+  log.debug('Verifying token');
+
+  const result = await verifyJwtDetailed(token);
+  if (!result.valid) {
+    log.info('Token verification failed', { reason: result.reason });
     return null;
   }
+
+  log.debug('Token verified', { user_id: result.payload.sub });
+  return result.payload;
 }
 
 module.exports = verifyJwt;
+module.exports.verifyJwt = verifyJwt;
+module.exports.verifyJwtDetailed = verifyJwtDetailed;
+module.exports.JWT_FAILURE_REASONS = JWT_FAILURE_REASONS;
@@ -0,0 +1,452 @@
+// supabase-auth-module/server/webhooks.js
+// Outgoing webhooks: HMAC-signed deliveries with retries, backoff and a delivery log
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const supabase = require('../utils/supabaseClient');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'webhooks' });
+
+const WEBHOOK_EVENTS = [
+  'user.created',
+  'user.login',
+  'user.updated',
+  'user.deleted',
+  'registration.logged',
+  'pair.changed'
+];
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30 seconds, doubled after each failed attempt
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_LOGGED_RESPONSE_LENGTH = 2000;
+// How long a claimed delivery is reserved for the sender before another worker may take it
+const CLAIM_LEASE_MS = REQUEST_TIMEOUT_MS + 50 * 1000;
+
+// Loopback, private, link-local (cloud metadata), shared, documentation, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Generate a new endpoint signing secret
+ */
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Sign a payload: HMAC-SHA256 over "<timestamp>.<body>"
+ * Receivers recompute it with the endpoint secret and compare to the v1 value
+ * @returns {string} Signature header value "t=<timestamp>,v1=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Whether an IP address is one webhooks must not reach
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 6) {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    return BLOCKED_ADDRESSES.check(address, 'ipv6');
+  }
+  return family !== 4 || BLOCKED_ADDRESSES.check(address, 'ipv4');
+}
+
+/**
+ * Resolve a webhook URL and make sure every address of its host is public
+ * WEBHOOK_ALLOW_PRIVATE_TARGETS=true lifts the check, e.g. for a receiver on localhost in development
+ * @returns {Promise<Object>} { valid, address?: { address, family }, error? }
+ */
+async function resolveWebhookTarget(url) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (e) {
+    return { valid: false, error: 'Invalid URL' };
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    return { valid: false, error: 'Unsupported protocol' };
+  }
+
+  let addresses;
+  try {
+    // URL keeps IPv6 literals in brackets
+    addresses = await dns.promises.lookup(target.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+  } catch (err) {
+    return { valid: false, error: `Host not found: ${target.hostname}` };
+  }
+
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS !== 'true' &&
+      addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { valid: false, error: 'Webhook URL resolves to a private or reserved address' };
+  }
+
+  return { valid: true, address: addresses[0] };
+}
+
+/**
+ * POST a JSON body, resolving with { status, body } (never rejects on HTTP errors)
+ * The connection goes to the address checked by resolveWebhookTarget, so a DNS change
+ * between the check and the request cannot redirect it
+ */
+function postJson(url, body, headers, address) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const request = transport.request(target, {
+      method: 'POST',
+      lookup: (hostname, options, callback) => {
+        if (options && options.all) {
+          callback(null, [address]);
+        } else {
+          callback(null, address.address, address.family);
+        }
+      },
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'supabase-auth-module-webhooks',
+        ...headers
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    }, (response) => {
+      let responseBody = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        if (responseBody.length < MAX_LOGGED_RESPONSE_LENGTH) {
+          responseBody += chunk;
+        }
+      });
+      response.on('end', () => {
+        resolve({ status: response.statusCode, body: responseBody.slice(0, MAX_LOGGED_RESPONSE_LENGTH) });
+      });
+    });
+
+    request.on('timeout', () => {
+      request.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT_MS}ms`));
+    });
+    request.on('error', reject);
+    request.write(body);
+    request.end();
+  });
+}
+
+/**
+ * Delay before the next attempt after `attempts` failed attempts
+ */
+function retryDelayMs(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Schedule an in-process retry (deliveries also survive restarts via retryDueDeliveries;
+ * whichever runs first claims the delivery, the other skips it)
+ */
+function scheduleRetry(deliveryId, delayMs) {
+  const timer = setTimeout(() => {
+    attemptDelivery(deliveryId).catch((err) => {
+      log.error('Webhook retry exception', { error: err.message });
+    });
+  }, delayMs);
+
+  if (timer.unref) {
+    timer.unref();
+  }
+}
+
+/**
+ * Reserve a due pending delivery for this sender by moving its next attempt past the lease
+ * The update only matches while the delivery is still due, so exactly one sender gets it;
+ * a sender that dies mid-attempt leaves it due again once the lease ends
+ * @returns {Promise<boolean>} Whether this sender claimed it
+ */
+async function claimDelivery(deliveryId) {
+  const now = Date.now();
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update({ next_attempt_at: new Date(now + CLAIM_LEASE_MS).toISOString(), updated_at: new Date(now).toISOString() })
+    .eq('id', deliveryId)
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date(now).toISOString())
+    .select('id');
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Attempt one delivery and record the outcome
+ * Only due pending deliveries are sent; others resolve with code 'not_due'.
+ * A delivery whose endpoint is gone or inactive is marked failed (code 'endpoint_inactive').
+ * The returned delivery never includes the endpoint (its signing secret stays here).
+ * @param {string} deliveryId webhook_deliveries.id
+ * @returns {Promise<Object>} { success, delivery, error?, code? } or { success: false, error }
+ */
+async function attemptDelivery(deliveryId) {
+  let claimed;
+  try {
+    claimed = await claimDelivery(deliveryId);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+
+  const { data: rows, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*, webhook_endpoints(id, url, secret, active)')
+    .eq('id', deliveryId)
+    .limit(1);
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+
+  if (!rows || !rows[0]) {
+    return { success: false, error: 'Delivery not found' };
+  }
+
+  const { webhook_endpoints: endpoint, ...delivery } = rows[0];
+  if (!claimed) {
+    return { success: false, code: 'not_due', delivery, error: 'Delivery is not due or is being sent' };
+  }
+
+  if (!endpoint || !endpoint.active) {
+    const failed = { status: 'failed', last_error: 'Endpoint missing or inactive', next_attempt_at: null, updated_at: new Date().toISOString() };
+    const { data: updated, error: failError } = await supabase
+      .from('webhook_deliveries')
+      .update(failed)
+      .eq('id', delivery.id)
+      .select();
+
+    if (failError) {
+      log.error('Webhook delivery log error', { error: failError.message });
+    }
+
+    return {
+      success: false,
+      code: 'endpoint_inactive',
+      delivery: updated && updated[0] ? updated[0] : { ...delivery, ...failed },
+      error: failed.last_error
+    };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  const update = { attempts, updated_at: new Date().toISOString() };
+
+  try {
+    // Checked again on every attempt: the host may resolve differently than when it was saved
+    const target = await resolveWebhookTarget(endpoint.url);
+    if (!target.valid) {
+      throw new Error(target.error);
+    }
+
+    const response = await postJson(endpoint.url, body, {
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Signature': signPayload(endpoint.secret, timestamp, body)
+    }, target.address);
+
+    update.response_status = response.status;
+    update.response_body = response.body;
+
+    if (response.status >= 200 && response.status < 300) {
+      update.status = 'success';
+      update.delivered_at = new Date().toISOString();
+      update.last_error = null;
+      update.next_attempt_at = null;
+    } else {
+      update.last_error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    update.last_error = err.message;
+  }
+
+  if (update.status !== 'success') {
+    if (attempts >= MAX_ATTEMPTS) {
+      update.status = 'failed';
+      update.next_attempt_at = null;
+    } else {
+      const delayMs = retryDelayMs(attempts);
+      update.status = 'pending';
+      update.next_attempt_at = new Date(Date.now() + delayMs).toISOString();
+      scheduleRetry(delivery.id, delayMs);
+    }
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('webhook_deliveries')
+    .update(update)
+    .eq('id', delivery.id)
+    .select();
+
+  if (updateError) {
+    log.error('Webhook delivery log error', { error: updateError.message });
+  }
+
+  return {
+    success: update.status === 'success',
+    delivery: updated && updated[0] ? updated[0] : { ...delivery, ...update },
+    error: update.last_error || undefined
+  };
+}
+
+/**
+ * Find active endpoints subscribed to an event within the given site / pair scope
+ * Endpoints without site_url / pair_id receive events from every site / pair
+ */
+async function findSubscribedEndpoints(eventType, { siteUrl = null, pairId = null } = {}) {
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .select('id, events, site_url, pair_id')
+    .eq('active', true);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data || []).filter((endpoint) =>
+    (endpoint.events || []).some((event) => event === eventType || event === '*') &&
+    (!endpoint.site_url || endpoint.site_url === siteUrl) &&
+    (!endpoint.pair_id || endpoint.pair_id === pairId)
+  );
+}
+
+/**
+ * Emit an event to every subscribed endpoint
+ * Never throws: webhook problems must not break the request that triggered them
+ * @param {string} eventType One of WEBHOOK_EVENTS
+ * @param {Object} data Event data
+ * @param {Object} [scope] { siteUrl, pairId } used for endpoint scoping
+ */
+async function emitWebhookEvent(eventType, data, scope = {}) {
+  try {
+    const endpoints = await findSubscribedEndpoints(eventType, scope);
+    if (endpoints.length === 0) {
+      return;
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event: eventType,
+      created_at: new Date().toISOString(),
+      site_url: scope.siteUrl || null,
+      pair_id: scope.pairId || null,
+      data
+    };
+
+    const { data: deliveries, error } = await supabase
+      .from('webhook_deliveries')
+      .insert(endpoints.map((endpoint) => ({
+        endpoint_id: endpoint.id,
+        event_type: eventType,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString()
+      })))
+      .select('id');
+
+    if (error) {
+      log.error('Webhook delivery creation error', { error: error.message });
+      return;
+    }
+
+    deliveries.forEach((delivery) => {
+      attemptDelivery(delivery.id).catch((err) => {
+        log.error('Webhook delivery exception', { error: err.message });
+      });
+    });
+  } catch (err) {
+    log.error('Webhook emit exception', { error: err.message });
+  }
+}
+
+/**
+ * Reset a delivery and send it again right away (admin "redeliver")
+ */
+async function redeliver(deliveryId) {
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', deliveryId)
+    .select('id');
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+
+  if (!data || data.length === 0) {
+    return { success: false, error: 'Delivery not found' };
+  }
+
+  return attemptDelivery(deliveryId);
+}
+
+/**
+ * Attempt every pending delivery whose retry time has passed
+ * Call periodically (cron, setInterval) so retries survive process restarts
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+async function retryDueDeliveries(limit = 50) {
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .select('id')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  let attempted = 0;
+  for (const delivery of data || []) {
+    const result = await attemptDelivery(delivery.id);
+    if (result.code !== 'not_due') {
+      attempted += 1;
+    }
+  }
+
+  return attempted;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  signPayload,
+  isBlockedAddress,
+  resolveWebhookTarget,
+  emitWebhookEvent,
+  attemptDelivery,
+  redeliver,
+  retryDueDeliveries
+};
@@ -0,0 +1,71 @@
+// Any query against the mocked client resolves to an empty result
+function mockQuery() {
+  const chain = new Proxy(() => {}, {
+    get: (target, prop) => (prop === 'then'
+      ? (resolve, reject) => Promise.resolve({ data: [], error: null, count: 0 }).then(resolve, reject)
+      : () => chain)
+  });
+  return chain;
+}
+jest.mock('../utils/supabaseClient', () => ({ from: () => mockQuery(), rpc: () => mockQuery() }), { virtual: true });
+
+process.env.JWT_SECRET = 'account-rate-limit-test-secret';
+process.env.SUPABASE_URL = 'http://localhost:54321';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createMemoryStore, setRateLimitStore } = require('../server/middleware/rateLimitStore');
+const router = require('../server/index');
+
+const token = (sub) => jwt.sign(
+  { sub, email: `${sub}@example.com`, aud: 'authenticated', iss: 'http://localhost:54321/auth/v1' },
+  process.env.JWT_SECRET,
+  { expiresIn: 60 }
+);
+
+describe('per-user limits of /me/export and /me/delete', () => {
+  let server;
+  let store;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use('/api/auth', router);
+    server = app.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    setRateLimitStore(store);
+  });
+
+  afterEach(() => {
+    store.shutdown();
+    setRateLimitStore(null);
+  });
+
+  const get = (path, sub) => fetch(`http://127.0.0.1:${server.address().port}/api/auth${path}`, {
+    headers: { Authorization: `Bearer ${token(sub)}` }
+  });
+
+  test.each([
+    ['/me/export', 'export'],
+    ['/me/delete', 'delete']
+  ])('%s counts requests under user:<id>', async (path, limiter) => {
+    await get(path, 'user-1');
+    await get(path, 'user-2');
+
+    expect(store.get(`${limiter}:user:user-1`)).toMatchObject({ totalHits: 1 });
+    expect(store.get(`${limiter}:user:user-2`)).toMatchObject({ totalHits: 1 });
+    expect(store.get(`${limiter}:ip:127.0.0.1`)).toBeUndefined();
+  });
+
+  test('does not count unauthenticated requests', async () => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/auth/me/export`);
+    expect(response.status).toBe(401);
+    expect(store.get('export:ip:127.0.0.1')).toBeUndefined();
+  });
+});
@@ -0,0 +1,128 @@
+const {
+  mapClaims,
+  getClaim,
+  requireClaim,
+  requireEmailVerified,
+  requireAal
+} = require('../server/middleware/claimsMiddleware');
+
+// Minimal Express response double
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+// Run a middleware against the given claims; returns { next, res }
+function run(middleware, claims, user = claims && mapClaims(claims)) {
+  const req = { claims, user, path: '/test' };
+  const res = response();
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { next, res };
+}
+
+describe('getClaim', () => {
+  test('reads nested paths and returns undefined for missing ones', () => {
+    const claims = { app_metadata: { plan: 'pro' } };
+    expect(getClaim(claims, 'app_metadata.plan')).toBe('pro');
+    expect(getClaim(claims, 'app_metadata.plan.tier')).toBeUndefined();
+    expect(getClaim(claims, 'user_metadata.name')).toBeUndefined();
+  });
+});
+
+describe('mapClaims', () => {
+  test('applies the default mapping', () => {
+    const user = mapClaims({ sub: 'u1', email: 'a@example.com', user_metadata: { email_verified: true } });
+    expect(user).toMatchObject({
+      id: 'u1',
+      email: 'a@example.com',
+      email_verified: true,
+      phone: null,
+      role: 'user',
+      aal: 'aal1',
+      amr: [],
+      app_metadata: {},
+      is_anonymous: false
+    });
+  });
+
+  test('prefers the top-level email_verified claim', () => {
+    expect(mapClaims({ email_verified: false, user_metadata: { email_verified: true } }).email_verified).toBe(false);
+  });
+
+  test('merges custom mappings and drops fields mapped to null', () => {
+    const user = mapClaims(
+      { sub: 'u1', app_metadata: { plan: 'pro' } },
+      { plan: 'app_metadata.plan', tier: (claims) => claims.app_metadata.plan.toUpperCase(), phone: null }
+    );
+    expect(user.plan).toBe('pro');
+    expect(user.tier).toBe('PRO');
+    expect(user).not.toHaveProperty('phone');
+  });
+});
+
+describe('requireClaim', () => {
+  test('requires a truthy claim when no value is given', () => {
+    expect(run(requireClaim('app_metadata.plan'), { sub: 'u1', app_metadata: { plan: 'pro' } }).next).toHaveBeenCalled();
+
+    const { next, res } = run(requireClaim('app_metadata.plan'), { sub: 'u1' });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'claim_required' }));
+  });
+
+  test('matches against a list of allowed values and array claims', () => {
+    const middleware = requireClaim('app_metadata.roles', ['editor', 'admin']);
+    expect(run(middleware, { sub: 'u1', app_metadata: { roles: ['viewer', 'editor'] } }).next).toHaveBeenCalled();
+    expect(run(middleware, { sub: 'u1', app_metadata: { roles: ['viewer'] } }).next).not.toHaveBeenCalled();
+  });
+
+  test('accepts a predicate', () => {
+    const middleware = requireClaim('app_metadata.seats', (value) => value >= 5);
+    expect(run(middleware, { sub: 'u1', app_metadata: { seats: 10 } }).next).toHaveBeenCalled();
+    expect(run(middleware, { sub: 'u1', app_metadata: { seats: 2 } }).next).not.toHaveBeenCalled();
+  });
+
+  test('answers 401 without authenticated claims', () => {
+    const { next, res } = run(requireClaim('sub'), undefined, undefined);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('requireEmailVerified', () => {
+  test('passes only verified users', () => {
+    expect(run(requireEmailVerified(), { sub: 'u1', email_verified: true }).next).toHaveBeenCalled();
+
+    const { next, res } = run(requireEmailVerified(), { sub: 'u1' });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'email_not_verified' }));
+  });
+});
+
+describe('requireAal', () => {
+  test('rejects unknown levels up front', () => {
+    expect(() => requireAal('aal9')).toThrow('Unknown assurance level');
+  });
+
+  test('compares the session level against the required one', () => {
+    expect(run(requireAal('aal2'), { sub: 'u1', aal: 'aal2' }).next).toHaveBeenCalled();
+    expect(run(requireAal('aal2'), { sub: 'u1', aal: 'aal3' }).next).toHaveBeenCalled();
+
+    const { next, res } = run(requireAal('aal2'), { sub: 'u1' });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'insufficient_aal',
+      required_aal: 'aal2',
+      current_aal: 'aal1'
+    }));
+  });
+
+  test('uses the custom error code', () => {
+    const { res } = run(requireAal('aal2', { code: 'mfa_required', message: 'MFA required' }), { sub: 'u1' });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'mfa_required', error: 'MFA required' }));
+  });
+});
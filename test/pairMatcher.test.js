@@ -0,0 +1,156 @@
+// The Supabase client is not needed by the matcher, only loaded through securityMiddleware
+jest.mock('../utils/supabaseClient', () => ({}), { virtual: true });
+
+const {
+  MAX_REGEX_INPUT_LENGTH,
+  findUnsafeRegexConstruct,
+  matchesPath,
+  selectBestPair,
+  validatePairPattern,
+  validateQueryParams,
+  validatePriority
+} = require('../server/pairMatcher');
+
+const pair = (fields) => ({
+  id: fields.id || 'p',
+  match_mode: 'exact',
+  priority: 0,
+  query_params: {},
+  created_at: '2024-01-01T00:00:00Z',
+  ...fields
+});
+
+describe('matchesPath', () => {
+  test('exact and prefix', () => {
+    expect(matchesPath(pair({ registration_page_url: '/signup' }), '/signup')).toBe(true);
+    expect(matchesPath(pair({ registration_page_url: '/signup' }), '/signup/pro')).toBe(false);
+    expect(matchesPath(pair({ match_mode: 'prefix', registration_page_url: '/courses' }), '/courses/js')).toBe(true);
+  });
+
+  test('glob: * stays within a segment, ** crosses segments', () => {
+    const single = pair({ match_mode: 'glob', registration_page_url: '/courses/*/signup' });
+    const double = pair({ match_mode: 'glob', registration_page_url: '/courses/**' });
+    expect(matchesPath(single, '/courses/js/signup')).toBe(true);
+    expect(matchesPath(single, '/courses/js/advanced/signup')).toBe(false);
+    expect(matchesPath(double, '/courses/js/advanced/signup')).toBe(true);
+  });
+
+  test('regex', () => {
+    const promo = pair({ match_mode: 'regex', registration_page_url: '^/promo/\\d+$' });
+    expect(matchesPath(promo, '/promo/42')).toBe(true);
+    expect(matchesPath(promo, '/promo/abc')).toBe(false);
+  });
+
+  test('regex pairs never match overlong paths', () => {
+    const any = pair({ match_mode: 'regex', registration_page_url: '^/a' });
+    expect(matchesPath(any, '/a' + 'x'.repeat(MAX_REGEX_INPUT_LENGTH))).toBe(false);
+  });
+
+  test('unsafe regex patterns stored earlier are not run', () => {
+    const unsafe = pair({ match_mode: 'regex', registration_page_url: '^(a+)+$' });
+    const started = Date.now();
+    expect(matchesPath(unsafe, '/' + 'a'.repeat(40) + '!')).toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('selectBestPair', () => {
+  test('picks by priority, then query params, then mode', () => {
+    const pairs = [
+      pair({ id: 'prefix', match_mode: 'prefix', registration_page_url: '/signup' }),
+      pair({ id: 'exact', registration_page_url: '/signup' }),
+      pair({ id: 'campaign', registration_page_url: '/signup', query_params: { utm_campaign: '*' } })
+    ];
+    expect(selectBestPair(pairs, '/signup').id).toBe('exact');
+    expect(selectBestPair(pairs, '/signup', { utm_campaign: 'spring' }).id).toBe('campaign');
+    expect(selectBestPair([...pairs, pair({ id: 'top', match_mode: 'prefix', registration_page_url: '/', priority: 5 })], '/signup').id)
+      .toBe('top');
+  });
+
+  test('returns null without a match', () => {
+    expect(selectBestPair([pair({ registration_page_url: '/a' })], '/b')).toBeNull();
+    expect(selectBestPair(null, '/b')).toBeNull();
+  });
+});
+
+describe('findUnsafeRegexConstruct', () => {
+  test.each([
+    '^/signup/(free|pro)$',
+    '^/a/.*/b$',
+    '^/x/(\\d+)/?$',
+    '(?:ab)+',
+    '(a*)?',
+    '[(+]*x',
+    'a{2,3}b*',
+    '^/[a-z]*[0-9]+$',
+    '^/(en|de)/signup/?$',
+    '^/x{4}-y{2}$'
+  ])('accepts %s', (pattern) => {
+    expect(findUnsafeRegexConstruct(pattern)).toBeNull();
+  });
+
+  test.each([
+    ['(a+)+$', 'nested quantifier'],
+    ['^(\\w+\\s?)*$', 'nested quantifier'],
+    ['(?:a+b)+', 'nested quantifier'],
+    ['(a*){3}', 'nested quantifier'],
+    ['((a+))*', 'nested quantifier'],
+    ['^/(?:a?){30}a{30}$', 'nested quantifier'],
+    ['^/(?:a{1,2}){20}$', 'nested quantifier'],
+    ['(a|aa)*b', 'repeated alternation'],
+    ['(.*)(.*)(.*)(.*)', 'too many quantifiers'],
+    ['^/.*.*.*x$', 'too many quantifiers'],
+    ['^/[a-z]*[a-z]*[a-z]*!$', 'too many quantifiers'],
+    ['^/.*x.*x.*!$', 'too many quantifiers'],
+    ['^/a?a?a?a?$', 'too many quantifiers'],
+    ['^/[a-z]*[a-z]+$', 'too many quantifiers'],
+    ['(a)\\1', 'backreference'],
+    ['(?<n>a)\\k<n>', 'backreference']
+  ])('rejects %s (%s)', (pattern, reason) => {
+    expect(findUnsafeRegexConstruct(pattern)).toBe(reason);
+  });
+});
+
+describe('validatePairPattern', () => {
+  test('validates regex syntax and safety', () => {
+    expect(validatePairPattern('regex', '^/promo/\\d+$')).toBe('^/promo/\\d+$');
+    expect(validatePairPattern('regex', '([a-z')).toBe(false);
+    expect(validatePairPattern('regex', '^(a+)+$')).toBe(false);
+    expect(validatePairPattern('regex', 'a'.repeat(501))).toBe(false);
+  });
+
+  test.each([
+    '^/(?:a?){30}a{30}$',
+    '^/(?:a?){20}a{20}$',
+    '^/.*.*.*x$',
+    '^/[a-z]*[a-z]*[a-z]*!$'
+  ])('rejects the backtracking pattern %s', (pattern) => {
+    expect(validatePairPattern('regex', pattern)).toBe(false);
+  });
+
+  test('rejects unknown modes', () => {
+    expect(validatePairPattern('fuzzy', '/signup')).toBe(false);
+  });
+});
+
+describe('validateQueryParams', () => {
+  test('accepts flat string maps and trims values', () => {
+    expect(validateQueryParams(undefined)).toEqual({});
+    expect(validateQueryParams({ utm_campaign: ' spring ' })).toEqual({ utm_campaign: 'spring' });
+  });
+
+  test('rejects arrays, nested values and bad keys', () => {
+    expect(validateQueryParams(['a'])).toBe(false);
+    expect(validateQueryParams({ a: { b: 1 } })).toBe(false);
+    expect(validateQueryParams({ 'bad key': 'x' })).toBe(false);
+  });
+});
+
+describe('validatePriority', () => {
+  test('defaults to 0 and keeps integers in range', () => {
+    expect(validatePriority(undefined)).toBe(0);
+    expect(validatePriority('10')).toBe(10);
+    expect(validatePriority(1001)).toBe(false);
+    expect(validatePriority(1.5)).toBe(false);
+  });
+});
@@ -0,0 +1,232 @@
+jest.mock('../utils/supabaseClient', () => ({}), { virtual: true });
+
+const {
+  createMemoryStore,
+  createPostgresStore,
+  createRedisStore,
+  setRateLimitStore,
+  getRateLimitStore,
+  toExpressRateLimitStore
+} = require('../server/middleware/rateLimitStore');
+
+// Chainable query stub resolving to the given result
+function query(result) {
+  const chain = {};
+  ['select', 'delete', 'eq', 'gt', 'lt', 'limit'].forEach((method) => {
+    chain[method] = jest.fn(() => chain);
+  });
+  chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return chain;
+}
+
+// sendCommand double emulating the commands and EVAL scripts the Redis store issues
+function fakeRedis() {
+  const keys = new Map();
+  const now = () => Date.now();
+  const live = (key) => {
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= now()) {
+      keys.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+  const pttl = (key) => {
+    const entry = live(key);
+    if (!entry) return -2;
+    return entry.expiresAt === null ? -1 : entry.expiresAt - now();
+  };
+
+  const sendCommand = jest.fn(async (command, ...args) => {
+    switch (command) {
+      case 'EVAL': {
+        const [script, , key, windowMs] = args;
+        if (script.includes("'INCR'")) {
+          const entry = live(key) || { value: 0, expiresAt: null };
+          entry.value++;
+          if (entry.expiresAt === null) {
+            entry.expiresAt = now() + Number(windowMs);
+          }
+          keys.set(key, entry);
+          return [entry.value, pttl(key)];
+        }
+        const entry = live(key);
+        if (entry && entry.value > 0) {
+          return --entry.value;
+        }
+        return 0;
+      }
+      case 'GET': {
+        const entry = live(args[0]);
+        return entry ? String(entry.value) : null;
+      }
+      case 'PTTL':
+        return pttl(args[0]);
+      case 'DEL':
+        return keys.delete(args[0]) ? 1 : 0;
+      default:
+        throw new Error(`Unexpected command ${command}`);
+    }
+  });
+
+  return { keys, sendCommand };
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('memory store', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    store = createMemoryStore();
+  });
+
+  afterEach(() => {
+    store.shutdown();
+  });
+
+  test('counts hits within the window', () => {
+    store.increment('k', 1000);
+    const info = store.increment('k', 1000);
+    expect(info.totalHits).toBe(2);
+    expect(info.resetTime.getTime()).toBe(Date.now() + 1000);
+    expect(store.get('k').totalHits).toBe(2);
+  });
+
+  test('starts a new window once the old one expires', () => {
+    store.increment('k', 1000);
+    jest.advanceTimersByTime(1000);
+    expect(store.get('k')).toBeUndefined();
+    expect(store.increment('k', 1000).totalHits).toBe(1);
+  });
+
+  test('decrements without going below zero and resets', () => {
+    store.increment('k', 1000);
+    store.decrement('k');
+    store.decrement('k');
+    expect(store.get('k').totalHits).toBe(0);
+
+    store.reset('k');
+    expect(store.get('k')).toBeUndefined();
+  });
+});
+
+describe('Postgres store', () => {
+  test('increments through the rate_limit_increment function', async () => {
+    const resetTime = new Date(Date.now() + 1000).toISOString();
+    const client = { rpc: jest.fn().mockResolvedValue({ data: [{ total_hits: 3, reset_time: resetTime }], error: null }) };
+    const info = await createPostgresStore({ client }).increment('k', 999.6);
+
+    expect(client.rpc).toHaveBeenCalledWith('rate_limit_increment', { p_key: 'k', p_window_ms: 1000 });
+    expect(info).toEqual({ totalHits: 3, resetTime: new Date(resetTime) });
+  });
+
+  test('reads only unexpired counters', async () => {
+    const chain = query({ data: [], error: null });
+    const client = { from: jest.fn(() => chain) };
+    expect(await createPostgresStore({ client }).get('k')).toBeUndefined();
+    expect(chain.eq).toHaveBeenCalledWith('key', 'k');
+    expect(chain.gt).toHaveBeenCalledWith('reset_time', expect.any(String));
+  });
+
+  test('prune deletes expired rows and reports how many', async () => {
+    const chain = query({ count: 4, error: null });
+    const client = { from: jest.fn(() => chain) };
+    expect(await createPostgresStore({ client }).prune()).toBe(4);
+    expect(client.from).toHaveBeenCalledWith('rate_limits');
+    expect(chain.delete).toHaveBeenCalledWith({ count: 'exact' });
+    expect(chain.lt).toHaveBeenCalledWith('reset_time', expect.any(String));
+  });
+
+  test('surfaces database errors', async () => {
+    const client = {
+      rpc: jest.fn().mockResolvedValue({ data: null, error: { message: 'down' } }),
+      from: jest.fn(() => query({ error: { message: 'down' } }))
+    };
+    const store = createPostgresStore({ client });
+    await expect(store.increment('k', 1000)).rejects.toThrow('down');
+    await expect(store.decrement('k')).rejects.toThrow('down');
+    await expect(store.prune()).rejects.toThrow('down');
+  });
+});
+
+describe('Redis store', () => {
+  test('requires a sendCommand function', () => {
+    expect(() => createRedisStore()).toThrow('sendCommand');
+  });
+
+  test('increments with an expiry set on the first hit', async () => {
+    const { keys, sendCommand } = fakeRedis();
+    const store = createRedisStore({ sendCommand });
+
+    await store.increment('k', 1000);
+    const info = await store.increment('k', 1000);
+
+    expect(info.totalHits).toBe(2);
+    expect(sendCommand).toHaveBeenCalledWith('EVAL', expect.any(String), '1', 'sam-rl:k', '1000');
+    expect(keys.get('sam-rl:k').expiresAt).not.toBeNull();
+    expect(await store.get('k')).toMatchObject({ totalHits: 2 });
+  });
+
+  test('decrement does not recreate an expired counter', async () => {
+    const { keys, sendCommand } = fakeRedis();
+    const store = createRedisStore({ sendCommand, prefix: 'p:' });
+
+    await store.decrement('missing');
+    expect(keys.has('p:missing')).toBe(false);
+    expect(sendCommand).toHaveBeenCalledWith('EVAL', expect.any(String), '1', 'p:missing');
+  });
+
+  test('reset deletes the key', async () => {
+    const { sendCommand } = fakeRedis();
+    const store = createRedisStore({ sendCommand });
+
+    await store.increment('k', 1000);
+    await store.reset('k');
+    expect(await store.get('k')).toBeUndefined();
+  });
+});
+
+describe('default store and express-rate-limit adapter', () => {
+  afterEach(() => {
+    setRateLimitStore(null);
+  });
+
+  test('setRateLimitStore replaces the default store', () => {
+    const store = createMemoryStore();
+    setRateLimitStore(store);
+    expect(getRateLimitStore()).toBe(store);
+    store.shutdown();
+  });
+
+  test('the adapter prefixes keys and uses the configured window', async () => {
+    const store = {
+      increment: jest.fn().mockResolvedValue({ totalHits: 1 }),
+      decrement: jest.fn(),
+      get: jest.fn(),
+      reset: jest.fn()
+    };
+    const adapter = toExpressRateLimitStore(store, 'login:');
+    adapter.init({ windowMs: 5000 });
+
+    await adapter.increment('1.2.3.4');
+    adapter.decrement('1.2.3.4');
+    adapter.resetKey('1.2.3.4');
+
+    expect(store.increment).toHaveBeenCalledWith('login:1.2.3.4', 5000);
+    expect(store.decrement).toHaveBeenCalledWith('login:1.2.3.4');
+    expect(store.reset).toHaveBeenCalledWith('login:1.2.3.4');
+  });
+
+  test('an adapter without a store follows the default store', async () => {
+    const adapter = toExpressRateLimitStore(null, 'x:');
+    const store = { increment: jest.fn().mockResolvedValue({ totalHits: 1 }) };
+    setRateLimitStore(store);
+
+    await adapter.increment('k');
+    expect(store.increment).toHaveBeenCalledWith('x:k', 60 * 1000);
+  });
+});
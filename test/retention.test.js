@@ -0,0 +1,102 @@
+const mockClient = { from: jest.fn(), rpc: jest.fn() };
+jest.mock('../utils/supabaseClient', () => mockClient, { virtual: true });
+
+const { RETENTION_RULES, getRetentionPolicy, runRetention } = require('../server/retention');
+
+const ENV_NAMES = [...RETENTION_RULES.map((rule) => rule.env), 'RETENTION_IPV4_PREFIX', 'RETENTION_IPV6_PREFIX'];
+
+// Chainable query stub resolving to the given result
+function query(result) {
+  const chain = {};
+  ['select', 'delete', 'insert', 'lt', 'order', 'limit'].forEach((method) => {
+    chain[method] = jest.fn(() => chain);
+  });
+  chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return chain;
+}
+
+describe('getRetentionPolicy', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_NAMES.forEach((name) => {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    });
+  });
+
+  afterEach(() => {
+    ENV_NAMES.forEach((name) => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+  });
+
+  test('every rule is off by default', () => {
+    const policy = getRetentionPolicy();
+    expect(policy.rules.map((rule) => rule.enabled)).toEqual(RETENTION_RULES.map(() => false));
+    expect(policy.ipv4Prefix).toBe(24);
+    expect(policy.ipv6Prefix).toBe(48);
+  });
+
+  test('reads days and prefixes from the environment', () => {
+    process.env.RETENTION_AUTH_EVENTS_ANONYMIZE_DAYS = '30';
+    process.env.RETENTION_IPV4_PREFIX = '16';
+    const policy = getRetentionPolicy();
+    const anonymize = policy.rules.find((rule) => rule.id === 'auth_events_anonymize');
+    expect(anonymize).toMatchObject({ days: 30, enabled: true, table: 'auth_events' });
+    expect(policy.ipv4Prefix).toBe(16);
+  });
+
+  test.each(['-1', 'abc', '1.5', '40000'])('ignores invalid day value %s', (value) => {
+    process.env.RETENTION_AUTH_EVENTS_DAYS = value;
+    const rule = getRetentionPolicy().rules.find((candidate) => candidate.id === 'auth_events_delete');
+    expect(rule.enabled).toBe(value === '1.5');
+    expect(rule.days).toBe(value === '1.5' ? 1 : 0);
+  });
+
+  test('ignores out-of-range prefixes', () => {
+    process.env.RETENTION_IPV4_PREFIX = '33';
+    process.env.RETENTION_IPV6_PREFIX = '129';
+    const policy = getRetentionPolicy();
+    expect(policy.ipv4Prefix).toBe(24);
+    expect(policy.ipv6Prefix).toBe(48);
+  });
+});
+
+describe('runRetention', () => {
+  afterEach(() => {
+    delete process.env.RETENTION_AUTH_EVENTS_DAYS;
+    delete process.env.RETENTION_AUTH_EVENTS_ANONYMIZE_DAYS;
+    jest.resetAllMocks();
+  });
+
+  test('runs nothing when no rule is enabled', async () => {
+    mockClient.from.mockImplementation(() => query({ data: [{ id: 'run' }], error: null }));
+    const result = await runRetention({ dryRun: true });
+    expect(result.success).toBe(true);
+    expect(mockClient.from.mock.calls.map(([table]) => table)).toEqual(['retention_runs']);
+    expect(mockClient.rpc).not.toHaveBeenCalled();
+  });
+
+  test('reports a failing rule without stopping the others', async () => {
+    process.env.RETENTION_AUTH_EVENTS_ANONYMIZE_DAYS = '30';
+    process.env.RETENTION_AUTH_EVENTS_DAYS = '365';
+    mockClient.rpc.mockResolvedValue({ data: null, error: { message: 'boom' } });
+    mockClient.from.mockImplementation((table) => (table === 'retention_runs'
+      ? query({ data: null, error: { message: 'not recorded' } })
+      : query({ error: null, count: 4 })));
+
+    const result = await runRetention({ dryRun: true, trigger: 'cli' });
+    expect(result.success).toBe(false);
+    expect(result.run.status).toBe('failed');
+    expect(result.run.results).toEqual([
+      expect.objectContaining({ rule: 'auth_events_anonymize', affected: 0, error: 'boom' }),
+      expect.objectContaining({ rule: 'auth_events_delete', affected: 4 })
+    ]);
+    expect(mockClient.rpc).toHaveBeenCalledWith('retention_anonymize_auth_events', expect.objectContaining({ p_dry_run: true }));
+  });
+});
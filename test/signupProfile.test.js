@@ -0,0 +1,148 @@
+const mockClient = { from: jest.fn() };
+jest.mock('../utils/supabaseClient', () => mockClient, { virtual: true });
+
+const { parseSignupMetadata, recordConsents } = require('../server/signupProfile');
+
+const ACCEPTED_AT = '2026-01-15T10:00:00.000Z';
+
+describe('parseSignupMetadata', () => {
+  test('returns empty values for missing metadata', () => {
+    expect(parseSignupMetadata(undefined)).toEqual({
+      username: null,
+      displayName: null,
+      profile: {},
+      consents: [],
+      errors: []
+    });
+  });
+
+  test('reads the signup form fields', () => {
+    const result = parseSignupMetadata({
+      username: ' jane.doe ',
+      display_name: ' Jane Doe ',
+      profile: { company: ' Acme ', seats: 5, newsletter: true },
+      consents: { terms: { version: 2, accepted_at: ACCEPTED_AT } }
+    });
+
+    expect(result).toEqual({
+      username: 'jane.doe',
+      displayName: 'Jane Doe',
+      profile: { company: 'Acme', seats: 5, newsletter: true },
+      consents: [{ consent_type: 'terms', version: '2', accepted_at: ACCEPTED_AT }],
+      errors: []
+    });
+  });
+
+  test('falls back to the OAuth provider name', () => {
+    expect(parseSignupMetadata({ full_name: 'Jane Doe' }).displayName).toBe('Jane Doe');
+    expect(parseSignupMetadata({ name: 'jdoe' }).displayName).toBe('jdoe');
+  });
+
+  test('drops an invalid username and display name', () => {
+    const result = parseSignupMetadata({ username: 'a b', display_name: '<b>Jane</b>' });
+    expect(result.username).toBeNull();
+    expect(result.displayName).toBeNull();
+    expect(result.errors).toEqual(['username', 'display_name']);
+  });
+
+  test('drops invalid profile fields and keeps the rest', () => {
+    const result = parseSignupMetadata({
+      profile: {
+        company: 'Acme',
+        'Bad-Name': 'x',
+        bio: '<script>',
+        tags: ['a'],
+        score: Infinity,
+        about: 'x'.repeat(501)
+      }
+    });
+
+    expect(result.profile).toEqual({ company: 'Acme' });
+    expect(result.errors).toEqual(['profile.Bad-Name', 'profile.bio', 'profile.tags', 'profile.score', 'profile.about']);
+  });
+
+  test('rejects a profile that is not an object or has too many fields', () => {
+    expect(parseSignupMetadata({ profile: ['a'] }).errors).toEqual(['profile']);
+
+    const many = {};
+    for (let i = 0; i < 25; i++) {
+      many[`field_${i}`] = 'x';
+    }
+    const result = parseSignupMetadata({ profile: many });
+    expect(Object.keys(result.profile)).toHaveLength(20);
+    expect(result.errors).toEqual(['profile']);
+  });
+
+  test('drops invalid consents', () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const result = parseSignupMetadata({
+      consents: {
+        terms: { version: '1.0', accepted_at: ACCEPTED_AT },
+        privacy: { version: '', accepted_at: ACCEPTED_AT },
+        marketing: { version: '1', accepted_at: 'not a date' },
+        cookies: { version: '1', accepted_at: future },
+        Analytics: { version: '1', accepted_at: ACCEPTED_AT },
+        tracking: { version: '<1>', accepted_at: ACCEPTED_AT },
+        sharing: null
+      }
+    });
+
+    expect(result.consents).toEqual([{ consent_type: 'terms', version: '1.0', accepted_at: ACCEPTED_AT }]);
+    expect(result.errors).toEqual([
+      'consents.privacy',
+      'consents.marketing',
+      'consents.cookies',
+      'consents.Analytics',
+      'consents.tracking',
+      'consents.sharing'
+    ]);
+  });
+
+  test('accepts consents slightly ahead of the server clock', () => {
+    const soon = new Date(Date.now() + 60 * 1000).toISOString();
+    expect(parseSignupMetadata({ consents: { terms: { version: '1', accepted_at: soon } } }).errors).toEqual([]);
+  });
+});
+
+describe('recordConsents', () => {
+  beforeEach(() => {
+    mockClient.from.mockReset();
+  });
+
+  test('skips the database when there is nothing to record', async () => {
+    expect(await recordConsents('u1', 's1', [])).toEqual({ success: true, recorded: [] });
+    expect(mockClient.from).not.toHaveBeenCalled();
+  });
+
+  test('upserts one row per consent with the request context', async () => {
+    const select = jest.fn().mockResolvedValue({ data: [{ id: 1 }], error: null });
+    const upsert = jest.fn(() => ({ select }));
+    mockClient.from.mockReturnValue({ upsert });
+
+    const consents = [{ consent_type: 'terms', version: '1', accepted_at: ACCEPTED_AT }];
+    const result = await recordConsents('u1', 's1', consents, { ipAddress: '1.2.3.4', userAgent: 'jest' });
+
+    expect(result).toEqual({ success: true, recorded: [{ id: 1 }] });
+    expect(mockClient.from).toHaveBeenCalledWith('consent_records');
+    expect(upsert).toHaveBeenCalledWith(
+      [{
+        user_id: 'u1',
+        system_user_id: 's1',
+        consent_type: 'terms',
+        version: '1',
+        accepted_at: ACCEPTED_AT,
+        ip_address: '1.2.3.4',
+        user_agent: 'jest'
+      }],
+      { onConflict: 'user_id,consent_type,version', ignoreDuplicates: true }
+    );
+  });
+
+  test('reports database errors', async () => {
+    const select = jest.fn().mockResolvedValue({ data: null, error: { message: 'down' } });
+    mockClient.from.mockReturnValue({ upsert: () => ({ select }) });
+
+    const consents = [{ consent_type: 'terms', version: '1', accepted_at: ACCEPTED_AT }];
+    expect(await recordConsents('u1', 's1', consents)).toEqual({ success: false, error: 'down' });
+  });
+});
@@ -0,0 +1,143 @@
+const mockGetSigningKey = jest.fn();
+jest.mock('../server/jwks', () => ({ getSigningKey: (...args) => mockGetSigningKey(...args) }));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyJwt, verifyJwtDetailed, JWT_FAILURE_REASONS } = require('../server/verifyJwt');
+
+const ENV_NAMES = ['JWT_SECRET', 'JWT_PREVIOUS_SECRETS', 'JWT_ISSUER', 'JWT_AUDIENCE', 'JWT_CLOCK_SKEW_SECONDS'];
+const ISSUER = 'https://project.supabase.co/auth/v1';
+const SECRET = 'current-secret';
+
+// Sign a token with the defaults the verifier expects
+function sign(key, { algorithm = 'HS256', keyid, ...claims } = {}) {
+  return jwt.sign(
+    { sub: 'u1', aud: 'authenticated', iss: ISSUER, ...claims },
+    key,
+    { algorithm, ...(keyid ? { keyid } : {}) }
+  );
+}
+
+const saved = {};
+
+beforeEach(() => {
+  ENV_NAMES.forEach((name) => {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  });
+  process.env.JWT_SECRET = SECRET;
+  process.env.JWT_ISSUER = ISSUER;
+  mockGetSigningKey.mockReset();
+});
+
+afterEach(() => {
+  ENV_NAMES.forEach((name) => {
+    if (saved[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = saved[name];
+    }
+  });
+});
+
+describe('HS256', () => {
+  test('accepts a token signed with the current secret', async () => {
+    const result = await verifyJwtDetailed(sign(SECRET));
+    expect(result.valid).toBe(true);
+    expect(result.payload.sub).toBe('u1');
+    expect(await verifyJwt(sign(SECRET))).toMatchObject({ sub: 'u1' });
+  });
+
+  test('accepts a token signed with a previous secret', async () => {
+    process.env.JWT_PREVIOUS_SECRETS = 'older-secret, old-secret';
+    expect((await verifyJwtDetailed(sign('old-secret'))).valid).toBe(true);
+  });
+
+  test('rejects an unknown secret', async () => {
+    process.env.JWT_PREVIOUS_SECRETS = 'old-secret';
+    const result = await verifyJwtDetailed(sign('other-secret'));
+    expect(result).toMatchObject({ valid: false, reason: JWT_FAILURE_REASONS.BAD_SIGNATURE });
+    expect(await verifyJwt(sign('other-secret'))).toBeNull();
+  });
+
+  test('refuses HS256 tokens without a configured secret', async () => {
+    delete process.env.JWT_SECRET;
+    expect((await verifyJwtDetailed(sign(SECRET))).reason).toBe(JWT_FAILURE_REASONS.UNSUPPORTED_ALGORITHM);
+  });
+});
+
+describe('failure reasons', () => {
+  test('missing and malformed tokens', async () => {
+    expect((await verifyJwtDetailed('')).reason).toBe(JWT_FAILURE_REASONS.MISSING_TOKEN);
+    expect((await verifyJwtDetailed('not-a-jwt')).reason).toBe(JWT_FAILURE_REASONS.MALFORMED);
+  });
+
+  test('expired tokens, honouring the clock skew', async () => {
+    const token = sign(SECRET, { exp: Math.floor(Date.now() / 1000) - 30 });
+    expect((await verifyJwtDetailed(token)).reason).toBe(JWT_FAILURE_REASONS.EXPIRED);
+
+    process.env.JWT_CLOCK_SKEW_SECONDS = '60';
+    expect((await verifyJwtDetailed(token)).valid).toBe(true);
+  });
+
+  test('tokens that are not valid yet', async () => {
+    const token = sign(SECRET, { nbf: Math.floor(Date.now() / 1000) + 600 });
+    expect((await verifyJwtDetailed(token)).reason).toBe(JWT_FAILURE_REASONS.NOT_YET_VALID);
+  });
+
+  test('wrong audience and issuer', async () => {
+    expect((await verifyJwtDetailed(sign(SECRET, { aud: 'other' }))).reason).toBe(JWT_FAILURE_REASONS.WRONG_AUDIENCE);
+    expect((await verifyJwtDetailed(sign(SECRET, { iss: 'https://evil.example' }))).reason)
+      .toBe(JWT_FAILURE_REASONS.WRONG_ISSUER);
+  });
+
+  test('a comma-separated audience list', async () => {
+    process.env.JWT_AUDIENCE = 'authenticated, service';
+    expect((await verifyJwtDetailed(sign(SECRET, { aud: 'service' }))).valid).toBe(true);
+  });
+
+  test('unsupported algorithms', async () => {
+    const token = sign(SECRET, { algorithm: 'HS512' });
+    expect((await verifyJwtDetailed(token)).reason).toBe(JWT_FAILURE_REASONS.UNSUPPORTED_ALGORITHM);
+  });
+});
+
+describe('JWKS algorithms', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  test('verifies RS256 with the key for the token kid', async () => {
+    mockGetSigningKey.mockResolvedValue({ key: publicKey, alg: 'RS256' });
+    const result = await verifyJwtDetailed(sign(privateKey, { algorithm: 'RS256', keyid: 'k1' }));
+    expect(result.valid).toBe(true);
+    expect(mockGetSigningKey).toHaveBeenCalledWith('k1');
+  });
+
+  test('requires a kid', async () => {
+    const result = await verifyJwtDetailed(sign(privateKey, { algorithm: 'RS256' }));
+    expect(result.reason).toBe(JWT_FAILURE_REASONS.UNKNOWN_KID);
+    expect(mockGetSigningKey).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown kids and unavailable key sets', async () => {
+    const token = sign(privateKey, { algorithm: 'RS256', keyid: 'k1' });
+
+    mockGetSigningKey.mockResolvedValue(null);
+    expect((await verifyJwtDetailed(token)).reason).toBe(JWT_FAILURE_REASONS.UNKNOWN_KID);
+
+    mockGetSigningKey.mockRejectedValue(new Error('network down'));
+    expect((await verifyJwtDetailed(token)).reason).toBe(JWT_FAILURE_REASONS.JWKS_UNAVAILABLE);
+  });
+
+  test('rejects a key published for another algorithm', async () => {
+    mockGetSigningKey.mockResolvedValue({ key: publicKey, alg: 'ES256' });
+    const result = await verifyJwtDetailed(sign(privateKey, { algorithm: 'RS256', keyid: 'k1' }));
+    expect(result.reason).toBe(JWT_FAILURE_REASONS.UNSUPPORTED_ALGORITHM);
+  });
+
+  test('rejects a signature from another key', async () => {
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    mockGetSigningKey.mockResolvedValue({ key: publicKey, alg: 'RS256' });
+    const result = await verifyJwtDetailed(sign(other.privateKey, { algorithm: 'RS256', keyid: 'k1' }));
+    expect(result.reason).toBe(JWT_FAILURE_REASONS.BAD_SIGNATURE);
+  });
+});
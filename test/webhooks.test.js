@@ -0,0 +1,67 @@
+const mockClient = { from: jest.fn() };
+jest.mock('../utils/supabaseClient', () => mockClient, { virtual: true });
+
+const { attemptDelivery } = require('../server/webhooks');
+
+// Chainable query stub resolving to the given result
+function query(result) {
+  const chain = {};
+  ['select', 'update', 'eq', 'lte', 'limit'].forEach((method) => {
+    chain[method] = jest.fn(() => chain);
+  });
+  chain.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return chain;
+}
+
+const DELIVERY = {
+  id: 'd1',
+  endpoint_id: 'e1',
+  event_type: 'user.registered',
+  status: 'pending',
+  attempts: 0,
+  payload: {}
+};
+
+// Queue the results of the claim, the delivery lookup and the outcome update, in that order
+function respond(...results) {
+  results.forEach((result) => mockClient.from.mockReturnValueOnce(query(result)));
+}
+
+afterEach(() => {
+  mockClient.from.mockReset();
+});
+
+describe('attemptDelivery', () => {
+  test('does not return the endpoint secret for deliveries that are not due', async () => {
+    respond(
+      { data: [], error: null },
+      { data: [{ ...DELIVERY, webhook_endpoints: { id: 'e1', url: 'https://example.com', secret: 's3cret', active: true } }], error: null }
+    );
+
+    const result = await attemptDelivery('d1');
+    expect(result.code).toBe('not_due');
+    expect(result.delivery).toEqual(DELIVERY);
+    expect(JSON.stringify(result)).not.toContain('s3cret');
+  });
+
+  test('marks deliveries to inactive endpoints failed and returns them', async () => {
+    respond(
+      { data: [{ id: 'd1' }], error: null },
+      { data: [{ ...DELIVERY, webhook_endpoints: { id: 'e1', url: 'https://example.com', secret: 's3cret', active: false } }], error: null },
+      { data: null, error: { message: 'not recorded' } }
+    );
+
+    const result = await attemptDelivery('d1');
+    expect(result).toMatchObject({
+      success: false,
+      code: 'endpoint_inactive',
+      delivery: { id: 'd1', status: 'failed', last_error: 'Endpoint missing or inactive', next_attempt_at: null }
+    });
+    expect(JSON.stringify(result)).not.toContain('s3cret');
+  });
+
+  test('reports unknown deliveries', async () => {
+    respond({ data: [], error: null }, { data: [], error: null });
+    expect(await attemptDelivery('missing')).toEqual({ success: false, error: 'Delivery not found' });
+  });
+});